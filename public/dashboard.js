@@ -0,0 +1,652 @@
+/**
+ * Agent Health Monitor - Live Dashboard
+ * Talks to the API (repositories, scraping, analysis, improvements) and
+ * follows pipeline progress over Server-Sent Events (/api/events), so the
+ * leaderboard and health cards refresh as soon as new data lands.
+ */
+
+const API_BASE = '/api';
+const TOKEN_KEY = 'agentHealthApiToken';
+
+class DashboardApp {
+  constructor() {
+    this.repositories = [];
+    this.currentRepo = null;
+    this.latestAnalysis = null;
+    this.eventSource = null;
+
+    this.loadRepositories();
+  }
+
+  // ========== API ==========
+
+  getToken() {
+    return localStorage.getItem(TOKEN_KEY) || '';
+  }
+
+  /**
+   * fetch() against the API with the stored token; asks for a token once
+   * when the API answers 401
+   */
+  async api(path, options = {}, retry = true) {
+    const headers = { ...(options.headers || {}) };
+    if (options.body) headers['Content-Type'] = 'application/json';
+    if (this.getToken()) headers.Authorization = `Bearer ${this.getToken()}`;
+
+    const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+    if (response.status === 401 && retry) {
+      const token = prompt('API token (see README → Authentication):');
+      if (token) {
+        localStorage.setItem(TOKEN_KEY, token.trim());
+        this.subscribe();
+        return this.api(path, options, false);
+      }
+    }
+
+    return response;
+  }
+
+  // ========== Live Updates ==========
+
+  /**
+   * (Re)subscribe to the event stream of the selected repository.
+   * EventSource cannot send the token, so each connection uses a
+   * single-use ticket from /api/events/ticket instead.
+   */
+  async subscribe() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (!this.currentRepo) return;
+
+    const repo = this.currentRepo;
+    const response = await this.api('/events/ticket', { method: 'POST' });
+    // Another subscribe() may have run while the ticket was requested
+    if (!response.ok || this.eventSource || this.currentRepo !== repo) return;
+
+    const { ticket } = await response.json();
+    const params = new URLSearchParams({ repo_id: repo.id, ticket });
+    const eventSource = new EventSource(`${API_BASE}/events?${params}`);
+    this.eventSource = eventSource;
+
+    // A reconnect reuses the spent ticket and is refused; start over with a new one
+    eventSource.onerror = () => {
+      if (eventSource.readyState === EventSource.CLOSED && this.eventSource === eventSource) {
+        this.eventSource = null;
+        setTimeout(() => this.subscribe(), 5000);
+      }
+    };
+
+    const types = [
+      'job.queued', 'job.started', 'job.step', 'job.succeeded', 'job.failed',
+      'scrape.step', 'scrape.completed', 'ingest.completed',
+      'analysis.completed', 'improvement.applied'
+    ];
+    types.forEach(type => {
+      this.eventSource.addEventListener(type, event => this.handleEvent(type, JSON.parse(event.data)));
+    });
+  }
+
+  async handleEvent(type, data) {
+    switch (type) {
+      case 'job.queued':
+        this.showStatus(`⏳ ${data.type} job queued`);
+        break;
+      case 'job.started':
+        this.showStatus(`⚙️  ${data.type} job started`);
+        break;
+      case 'job.step':
+        this.showStatus(`⚙️  ${data.type} job: ${data.step}`);
+        break;
+      case 'job.succeeded':
+        this.showStatus(`✅ ${data.type} job finished`);
+        break;
+      case 'job.failed':
+        this.showStatus(`❌ ${data.type} job failed: ${data.error}`);
+        break;
+      case 'scrape.step':
+        this.showStatus(`🔄 ${data.message}`);
+        break;
+      case 'scrape.completed':
+        this.showStatus(data.status === 'succeeded'
+          ? `✅ Scraped ${data.agent_count} agents`
+          : `❌ Scrape failed: ${data.error}`);
+        break;
+      case 'ingest.completed':
+        this.showStatus(`📥 Stored metrics for ${data.agents_updated} agents`);
+        await this.loadLeaderboard();
+        break;
+      case 'analysis.completed':
+        this.showStatus('🔍 Analysis completed');
+        await this.loadAnalysis(data.analysis_id);
+        await this.loadLeaderboard();
+        break;
+      case 'improvement.applied':
+        this.showStatus(`🛠️  Improvements applied to ${data.agent_name}`);
+        break;
+    }
+  }
+
+  async loadAnalysis(analysisId) {
+    try {
+      const response = await this.api(`/analyses/${analysisId}`);
+      if (!response.ok) return;
+
+      const row = await response.json();
+      this.latestAnalysis = row.analysis;
+      this.renderAnalysis();
+    } catch (error) {
+      console.error('Failed to load analysis:', error);
+    }
+  }
+
+  showStatus(message) {
+    const status = document.getElementById('pipeline-status');
+    status.textContent = message;
+    status.style.display = 'block';
+  }
+
+  // ========== Repositories ==========
+
+  async loadRepositories() {
+    try {
+      const response = await this.api(`/repos`);
+      this.repositories = await response.json();
+
+      this.renderRepositories();
+
+      // Auto-select first repo if available
+      if (this.repositories.length > 0) {
+        await this.selectRepository(this.repositories[0].id);
+      }
+    } catch (error) {
+      console.error('Failed to load repositories:', error);
+      this.showError('Failed to load repositories');
+    }
+  }
+
+  renderRepositories() {
+    const container = document.getElementById('repo-selector');
+
+    if (this.repositories.length === 0) {
+      container.innerHTML = '<div class="loading">No repositories configured. Click "Add Repository" to get started.</div>';
+      return;
+    }
+
+    container.innerHTML = this.repositories
+      .map(
+        repo => `
+        <div class="repo-card ${this.currentRepo?.id === repo.id ? 'selected' : ''}"
+             onclick="app.selectRepository(${repo.id})">
+          <div class="repo-name">${repo.name}</div>
+          <div class="repo-path">${repo.path}</div>
+        </div>
+      `
+      )
+      .join('');
+  }
+
+  async selectRepository(repoId) {
+    this.currentRepo = this.repositories.find(r => r.id === repoId);
+    this.renderRepositories();
+
+    // Show team health section
+    document.getElementById('team-health').style.display = 'block';
+
+    // Follow this repository's pipeline progress
+    this.subscribe();
+
+    // Load latest analysis if exists
+    await this.loadLeaderboard();
+  }
+
+  showAddRepoModal() {
+    document.getElementById('add-repo-modal').classList.add('show');
+  }
+
+  closeAddRepoModal() {
+    document.getElementById('add-repo-modal').classList.remove('show');
+    document.getElementById('add-repo-form').reset();
+  }
+
+  async addRepository(event) {
+    event.preventDefault();
+
+    const formData = {
+      name: document.getElementById('repo-name').value,
+      path: document.getElementById('repo-path').value,
+      techdebtgpt_url: document.getElementById('repo-techdebt-url').value,
+      github_url: document.getElementById('repo-github-url').value || null
+    };
+
+    try {
+      this.showLoading('Adding repository...');
+
+      const response = await this.api(`/repos`, {
+        method: 'POST',
+        body: JSON.stringify(formData)
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to add repository');
+      }
+
+      const repo = await response.json();
+      this.repositories.push(repo);
+
+      this.closeAddRepoModal();
+      await this.loadRepositories();
+      await this.selectRepository(repo.id);
+
+      this.hideLoading();
+      this.showSuccess('Repository added successfully');
+    } catch (error) {
+      this.hideLoading();
+      console.error('Failed to add repository:', error);
+      this.showError('Failed to add repository');
+    }
+  }
+
+  // ========== Metrics Scraping ==========
+
+  async scrapeMetrics() {
+    if (!this.currentRepo) {
+      this.showError('Please select a repository first');
+      return;
+    }
+
+    try {
+      const response = await this.api('/scrape', {
+        method: 'POST',
+        body: JSON.stringify({ repo_id: this.currentRepo.id })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Scraping failed');
+      }
+
+      // The scrape runs as a background job; progress arrives over /api/events
+      const job = await response.json();
+      this.showStatus(job.coalesced ? '⏳ A scrape is already queued' : '⏳ Scrape queued');
+    } catch (error) {
+      console.error('Scraping failed:', error);
+      this.showError(error.message || 'Failed to queue scrape');
+    }
+  }
+
+  // ========== Analysis ==========
+
+  async runAnalysis() {
+    if (!this.currentRepo) {
+      this.showError('Please select a repository first');
+      return;
+    }
+
+    try {
+      this.showLoading('Analyzing agent performance...');
+
+      const response = await this.api(`/analyze`, {
+        method: 'POST',
+        body: JSON.stringify({ repo_id: this.currentRepo.id })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Analysis failed');
+      }
+
+      this.latestAnalysis = await response.json();
+
+      this.hideLoading();
+      this.renderAnalysis();
+      this.showSuccess('Analysis completed successfully');
+    } catch (error) {
+      this.hideLoading();
+      console.error('Analysis failed:', error);
+      this.showError(error.message || 'Failed to analyze agents');
+    }
+  }
+
+  renderAnalysis() {
+    if (!this.latestAnalysis) return;
+
+    // Update team metrics
+    document.getElementById('team-average').textContent =
+      this.latestAnalysis.teamAverageScore.toFixed(1);
+    document.getElementById('team-trend').textContent =
+      this.getHealthLabel(this.latestAnalysis.teamAverageScore);
+
+    document.getElementById('healthy-count').textContent =
+      this.latestAnalysis.healthyAgents.length;
+    document.getElementById('warning-count').textContent =
+      this.latestAnalysis.warningAgents.length;
+    document.getElementById('critical-count').textContent =
+      this.latestAnalysis.criticalAgents.length;
+
+    // Show analysis section
+    document.getElementById('analysis-section').style.display = 'block';
+
+    // Render detailed breakdown
+    this.renderAnalysisDetails();
+
+    // Generate and show recommendations
+    this.renderRecommendations();
+  }
+
+  renderAnalysisDetails() {
+    const container = document.getElementById('analysis-details');
+    const { lowestPerformer, highestPerformer } = this.latestAnalysis;
+
+    container.innerHTML = `
+      <div class="analysis-card">
+        <h3>🔴 Lowest Performer: ${lowestPerformer.name}</h3>
+        <p style="color: var(--text-muted); margin-bottom: 1rem;">
+          Overall Score: <strong style="color: var(--danger-color);">${lowestPerformer.score.toFixed(1)}/100</strong>
+        </p>
+        <div class="breakdown-grid">
+          <div class="breakdown-item">
+            <span class="breakdown-label">Productivity</span>
+            <span class="breakdown-score ${this.getScoreClass(lowestPerformer.breakdown.productivity)}">
+              ${lowestPerformer.breakdown.productivity.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Quality</span>
+            <span class="breakdown-score ${this.getScoreClass(lowestPerformer.breakdown.quality)}">
+              ${lowestPerformer.breakdown.quality.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Collaboration</span>
+            <span class="breakdown-score ${this.getScoreClass(lowestPerformer.breakdown.collaboration)}">
+              ${lowestPerformer.breakdown.collaboration.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Reliability</span>
+            <span class="breakdown-score ${this.getScoreClass(lowestPerformer.breakdown.reliability)}">
+              ${lowestPerformer.breakdown.reliability.toFixed(1)}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div class="analysis-card">
+        <h3>🟢 Highest Performer: ${highestPerformer.name}</h3>
+        <p style="color: var(--text-muted); margin-bottom: 1rem;">
+          Overall Score: <strong style="color: var(--success-color);">${highestPerformer.score.toFixed(1)}/100</strong>
+        </p>
+        <div class="breakdown-grid">
+          <div class="breakdown-item">
+            <span class="breakdown-label">Productivity</span>
+            <span class="breakdown-score ${this.getScoreClass(highestPerformer.breakdown.productivity)}">
+              ${highestPerformer.breakdown.productivity.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Quality</span>
+            <span class="breakdown-score ${this.getScoreClass(highestPerformer.breakdown.quality)}">
+              ${highestPerformer.breakdown.quality.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Collaboration</span>
+            <span class="breakdown-score ${this.getScoreClass(highestPerformer.breakdown.collaboration)}">
+              ${highestPerformer.breakdown.collaboration.toFixed(1)}
+            </span>
+          </div>
+          <div class="breakdown-item">
+            <span class="breakdown-label">Reliability</span>
+            <span class="breakdown-score ${this.getScoreClass(highestPerformer.breakdown.reliability)}">
+              ${highestPerformer.breakdown.reliability.toFixed(1)}
+            </span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderRecommendations() {
+    const container = document.getElementById('recommendations');
+    const section = document.getElementById('recommendations-section');
+
+    if (!this.latestAnalysis) return;
+
+    const { lowestPerformer } = this.latestAnalysis;
+
+    // Generate mock recommendations based on analysis
+    const recommendations = this.generateRecommendations(lowestPerformer);
+
+    container.innerHTML = recommendations
+      .map(
+        rec => `
+        <div class="recommendation-card priority-${rec.priority}">
+          <div class="recommendation-header">
+            <div class="recommendation-title">${rec.title}</div>
+            <span class="priority-badge ${rec.priority}">${rec.priority}</span>
+          </div>
+          <p style="color: var(--text-secondary); margin-bottom: 1rem;">${rec.description}</p>
+          <ul class="recommendation-actions">
+            ${rec.actions.map(action => `<li>${action}</li>`).join('')}
+          </ul>
+        </div>
+      `
+      )
+      .join('');
+
+    section.style.display = 'block';
+  }
+
+  generateRecommendations(agent) {
+    const recommendations = [];
+    const breakdown = agent.breakdown;
+
+    if (breakdown.productivity < 60) {
+      recommendations.push({
+        priority: 'high',
+        title: 'Increase Task Granularity and Commit Frequency',
+        description: `${agent.name} has low productivity (${breakdown.productivity.toFixed(1)}). Focus on breaking work into smaller commits.`,
+        actions: [
+          'Break down work into smaller, atomic commits',
+          'Commit after each logical unit of work',
+          'Use conventional commit messages (feat:, fix:, refactor:)',
+          'Target minimum 5 commits per sprint'
+        ]
+      });
+    }
+
+    if (breakdown.quality < 60) {
+      recommendations.push({
+        priority: 'critical',
+        title: 'Enhance Code Quality Checks and Testing',
+        description: `${agent.name} has quality issues (${breakdown.quality.toFixed(1)}). Strengthen testing and code review practices.`,
+        actions: [
+          'Add pre-commit linting and formatting checks',
+          'Require unit tests for all new code',
+          'Run test suite before committing',
+          'Add code review checklist for self-review'
+        ]
+      });
+    }
+
+    if (breakdown.collaboration < 60) {
+      recommendations.push({
+        priority: 'medium',
+        title: 'Improve Code Review Participation',
+        description: `${agent.name} needs better collaboration (${breakdown.collaboration.toFixed(1)}).`,
+        actions: [
+          'Review at least 2 PRs before submitting own PR',
+          'Provide constructive feedback on code quality',
+          'Ask clarifying questions on unclear implementations'
+        ]
+      });
+    }
+
+    if (breakdown.reliability < 60) {
+      recommendations.push({
+        priority: 'medium',
+        title: 'Stabilize Velocity and Task Completion',
+        description: `${agent.name} shows reliability concerns (${breakdown.reliability.toFixed(1)}).`,
+        actions: [
+          'Focus on completing tasks fully before starting new ones',
+          'Break complex tasks into smaller milestones',
+          'Maintain consistent daily activity'
+        ]
+      });
+    }
+
+    return recommendations;
+  }
+
+  async applyImprovements() {
+    if (!this.latestAnalysis) {
+      this.showError('Run analysis first');
+      return;
+    }
+
+    const lowestPerformer = this.latestAnalysis.lowestPerformer;
+
+    try {
+      this.showLoading('Generating and applying improvements...');
+
+      const response = await this.api(`/improve`, {
+        method: 'POST',
+        body: JSON.stringify({
+          agent_id: lowestPerformer.id,
+          analysis: this.latestAnalysis,
+          auto_apply: true
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to apply improvements');
+      }
+
+      const result = await response.json();
+
+      this.hideLoading();
+      this.showSuccess(
+        `Improvements applied to ${lowestPerformer.name}'s agent definition!`
+      );
+
+      console.log('Improvement result:', result);
+    } catch (error) {
+      this.hideLoading();
+      console.error('Failed to apply improvements:', error);
+      this.showError('Failed to apply improvements');
+    }
+  }
+
+  // ========== Leaderboard ==========
+
+  async loadLeaderboard() {
+    if (!this.currentRepo) return;
+
+    try {
+      const response = await this.api(`/leaderboard?repo_id=${this.currentRepo.id}`);
+      const agents = await response.json();
+
+      this.renderLeaderboard(agents);
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+    }
+  }
+
+  renderLeaderboard(agents) {
+    const container = document.getElementById('leaderboard');
+    const section = document.getElementById('leaderboard-section');
+
+    if (agents.length === 0) {
+      container.innerHTML = '<div class="loading">Run scraper to collect agent metrics...</div>';
+      return;
+    }
+
+    container.innerHTML = agents
+      .map(
+        (agent, index) => `
+        <div class="leaderboard-item">
+          <div class="rank ${index < 3 ? `top-${index + 1}` : ''}">${index + 1}</div>
+          <div class="agent-info">
+            <div class="agent-name">${agent.display_name || agent.name || 'Unknown Agent'}</div>
+            <div class="agent-email">${agent.email}</div>
+          </div>
+          <div class="score">
+            <div class="score-value ${this.getScoreClass(agent.health_score)}">
+              ${(agent.health_score || 0).toFixed(1)}
+            </div>
+            <div class="score-label">Health</div>
+          </div>
+          <div class="metric-mini">
+            <div class="metric-mini-value">${agent.commits || 0}</div>
+            <div class="metric-mini-label">Commits</div>
+          </div>
+          <div class="metric-mini">
+            <div class="metric-mini-value">${agent.pull_requests || 0}</div>
+            <div class="metric-mini-label">PRs</div>
+          </div>
+          <div class="metric-mini">
+            <div class="metric-mini-value">${agent.code_reviews || 0}</div>
+            <div class="metric-mini-label">Reviews</div>
+          </div>
+          <div class="metric-mini">
+            <div class="metric-mini-value">${agent.bugs_introduced || 0}</div>
+            <div class="metric-mini-label">Bugs</div>
+          </div>
+        </div>
+      `
+      )
+      .join('');
+
+    section.style.display = 'block';
+  }
+
+  // ========== Utility Methods ==========
+
+  getScoreClass(score) {
+    if (score >= 80) return 'healthy';
+    if (score >= 60) return 'warning';
+    return 'critical';
+  }
+
+  getHealthLabel(score) {
+    if (score >= 80) return '🟢 Healthy';
+    if (score >= 60) return '🟡 Warning';
+    return '🔴 Critical';
+  }
+
+  showLoading(message = 'Processing...') {
+    const overlay = document.getElementById('loading-overlay');
+    const text = overlay.querySelector('.loading-text');
+    text.textContent = message;
+    overlay.style.display = 'flex';
+  }
+
+  hideLoading() {
+    document.getElementById('loading-overlay').style.display = 'none';
+  }
+
+  showSuccess(message) {
+    console.log('✅', message);
+    // TODO: Add toast notification UI
+    alert(message);
+  }
+
+  showError(message) {
+    console.error('❌', message);
+    // TODO: Add toast notification UI
+    alert('Error: ' + message);
+  }
+}
+
+// Initialize app when DOM is ready
+let app;
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    app = new DashboardApp();
+  });
+} else {
+  app = new DashboardApp();
+}
@@ -0,0 +1,57 @@
+/**
+ * Analysis Service
+ * Runs AgentAnalyzer over the latest snapshots of a repository, stores the
+ * result and publishes analysis.completed (when given an event bus)
+ */
+
+const AgentAnalyzer = require('../meta-agent/analyzer');
+const { toAnalyzerAgent } = require('../meta-agent/comparison');
+
+class AnalysisService {
+  constructor(db, analyzer = null, events = null) {
+    this.db = db;
+    this.analyzer = analyzer || new AgentAnalyzer();
+    this.events = events;
+  }
+
+  /**
+   * Analyze a repository's agents and save the analysis
+   * @param {number} repository_id - Target repository
+   * @param {Object} options - { sprint } to analyze one sprint; otherwise the
+   *   analysis is attached to the sprint running today (if any)
+   * @returns {Object|null} { analysis, analysis_id, sprint_id }, or null when
+   *   there are no metrics to analyze
+   */
+  async analyze(repository_id, options = {}) {
+    const sprint = options.sprint ||
+      await this.db.findSprintForDate(repository_id, new Date().toISOString().slice(0, 10));
+
+    // Latest metrics for all agents
+    const agents = await this.db.getAgentsWithLatestMetrics(
+      repository_id,
+      options.sprint ? options.sprint.id : null
+    );
+    if (agents.length === 0) {
+      return null;
+    }
+
+    // Rows are keyed by column; the analyzer reads camelCase fields
+    const analysis = this.analyzer.performFullAnalysis(agents.map(row => ({ ...row, ...toAnalyzerAgent(row) })));
+    const sprintId = sprint?.id || null;
+    const analysisId = await this.db.saveAnalysis(repository_id, analysis, sprintId);
+
+    if (this.events) {
+      this.events.publish('analysis.completed', {
+        repository_id: Number(repository_id),
+        analysis_id: analysisId,
+        sprint_id: sprintId,
+        team_average_score: analysis.teamAverageScore ?? null,
+        team_size: agents.length
+      });
+    }
+
+    return { analysis, analysis_id: analysisId, sprint_id: sprintId };
+  }
+}
+
+module.exports = AnalysisService;
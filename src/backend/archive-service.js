@@ -0,0 +1,328 @@
+/**
+ * Archive Service
+ * Exports monitor data to a versioned JSON archive and restores it,
+ * remapping ids so an archive can be imported into a non-empty database.
+ *
+ * CLI usage:
+ *   node src/backend/archive-service.js export <file> [--repo <id>]
+ *   node src/backend/archive-service.js import <file>
+ */
+
+const fs = require('fs');
+const { toSqlTimestamp } = require('./time-utils');
+
+const ARCHIVE_FORMAT = 'agent-health-archive';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Tables in dependency order. `refs` maps a foreign key column to the
+ * table whose ids it points at; `jsonRefs` remaps the ids inside a JSON
+ * column; `repoFilter` selects a repository's rows; `secrets` are columns
+ * that never leave the database.
+ */
+const TABLES = [
+  {
+    name: 'repositories',
+    refs: {},
+    secrets: ['webhook_secret'],
+    repoFilter: 'id IN ({repos})'
+  },
+  {
+    name: 'agents',
+    refs: { repository_id: 'repositories' },
+    deferredRefs: { merged_into_id: 'agents' },
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'agent_aliases',
+    refs: { repository_id: 'repositories', agent_id: 'agents', origin_agent_id: 'agents' },
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'sprints',
+    refs: { repository_id: 'repositories' },
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'scrape_runs',
+    refs: { repository_id: 'repositories' },
+    keepId: true,
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'agent_metrics',
+    refs: { agent_id: 'agents', origin_agent_id: 'agents', sprint_id: 'sprints' },
+    repoFilter: 'agent_id IN (SELECT id FROM agents WHERE repository_id IN ({repos}))'
+  },
+  {
+    name: 'agent_metrics_daily',
+    refs: { agent_id: 'agents', origin_agent_id: 'agents' },
+    repoFilter: 'agent_id IN (SELECT id FROM agents WHERE repository_id IN ({repos}))'
+  },
+  {
+    name: 'agent_metrics_weekly',
+    refs: { agent_id: 'agents', origin_agent_id: 'agents' },
+    repoFilter: 'agent_id IN (SELECT id FROM agents WHERE repository_id IN ({repos}))'
+  },
+  {
+    name: 'agent_activity',
+    refs: { agent_id: 'agents', origin_agent_id: 'agents', repository_id: 'repositories' },
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'analyses',
+    refs: {
+      repository_id: 'repositories',
+      lowest_performer_id: 'agents',
+      highest_performer_id: 'agents',
+      sprint_id: 'sprints'
+    },
+    jsonRefs: { analysis_data: remapAnalysisData },
+    repoFilter: 'repository_id IN ({repos})'
+  },
+  {
+    name: 'improvements',
+    refs: { agent_id: 'agents', origin_agent_id: 'agents', analysis_id: 'analyses' },
+    repoFilter: 'agent_id IN (SELECT id FROM agents WHERE repository_id IN ({repos}))'
+  }
+];
+
+// Agents embedded in analysis_data (see AgentAnalyzer.analyzeTeam) and the
+// tables their id fields point at
+const ANALYSIS_AGENT_FIELDS = [
+  'lowestPerformer',
+  'highestPerformer',
+  'criticalAgents',
+  'warningAgents',
+  'healthyAgents',
+  'allAgents'
+];
+const ANALYSIS_AGENT_REFS = { id: 'agents', repository_id: 'repositories', sprint_id: 'sprints' };
+
+/**
+ * Remap the agent, repository and sprint ids stored in an analysis
+ * @param {string} json - analysis_data
+ * @param {Function} remap - (table, archived id) => new id or null
+ */
+function remapAnalysisData(json, remap) {
+  if (!json) return json;
+
+  const analysis = JSON.parse(json);
+  for (const field of ANALYSIS_AGENT_FIELDS) {
+    for (const agent of [].concat(analysis[field] || [])) {
+      for (const [key, target] of Object.entries(ANALYSIS_AGENT_REFS)) {
+        if (agent[key] !== null && agent[key] !== undefined) {
+          agent[key] = remap(target, agent[key]);
+        }
+      }
+    }
+  }
+  return JSON.stringify(analysis);
+}
+
+const COLUMN_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+// Stays below SQLite's bound parameter limit
+const ID_CHUNK_SIZE = 500;
+
+class ArchiveService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build an archive of all data, or of selected repositories
+   * @param {Object} options - { repositoryIds }
+   * @returns {Object} Archive
+   */
+  async export(options = {}) {
+    const repositoryIds = (options.repositoryIds || []).map(id => parseInt(id, 10));
+    const tables = {};
+
+    for (const table of TABLES) {
+      let sql = `SELECT * FROM ${table.name}`;
+      if (repositoryIds.length > 0) {
+        const placeholders = repositoryIds.map(() => '?').join(', ');
+        const filter = table.repoFilter.replace('{repos}', placeholders);
+        sql += ` WHERE ${filter}`;
+      }
+      sql += ' ORDER BY id';
+
+      const rows = await this.db.all(sql, repositoryIds);
+      tables[table.name] = rows.map(row => this.serializeRow(row, table.secrets));
+    }
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schema_version: await this.db.getSchemaVersion(),
+      exported_at: new Date().toISOString(),
+      tables
+    };
+  }
+
+  /**
+   * Dates from PostgreSQL are stored in the SQLite timestamp format;
+   * secret columns are left out
+   */
+  serializeRow(row, secrets = []) {
+    const serialized = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (secrets.includes(column)) continue;
+      serialized[column] = value instanceof Date ? toSqlTimestamp(value) : value;
+    }
+    return serialized;
+  }
+
+  validate(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+      throw new Error('Not an agent health archive');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+      throw new Error(`Archive version ${archive.version} is newer than supported version ${ARCHIVE_VERSION}`);
+    }
+    if (!archive.tables || typeof archive.tables !== 'object') {
+      throw new Error('Archive has no tables');
+    }
+  }
+
+  /**
+   * Restore an archive, assigning new ids and remapping foreign keys
+   * @param {Object} archive - Archive produced by export()
+   * @returns {Object} Number of rows imported per table
+   */
+  async import(archive) {
+    this.validate(archive);
+
+    const schemaVersion = await this.db.getSchemaVersion();
+    if (archive.schema_version > schemaVersion) {
+      throw new Error(
+        `Archive schema version ${archive.schema_version} is newer than database schema ${schemaVersion}; run migrations first`
+      );
+    }
+
+    return this.db.transaction(async (db) => {
+      await this.checkKeptIds(db, archive);
+
+      const idMaps = Object.fromEntries(TABLES.map(table => [table.name, new Map()]));
+      const remap = (target, id) => idMaps[target].get(id) ?? null;
+      const counts = {};
+
+      for (const table of TABLES) {
+        const rows = archive.tables[table.name] || [];
+        counts[table.name] = 0;
+
+        for (const row of rows) {
+          const values = { ...row };
+          if (!table.keepId) delete values.id;
+
+          for (const [column, target] of Object.entries(table.refs)) {
+            if (values[column] !== null && values[column] !== undefined) {
+              values[column] = remap(target, values[column]);
+            }
+          }
+          for (const [column, remapJson] of Object.entries(table.jsonRefs || {})) {
+            values[column] = remapJson(values[column], remap);
+          }
+          for (const column of Object.keys(table.deferredRefs || {})) {
+            delete values[column];
+          }
+
+          const columns = Object.keys(values);
+          const invalid = columns.find(column => !COLUMN_PATTERN.test(column));
+          if (invalid) {
+            throw new Error(`Invalid column "${invalid}" in ${table.name}`);
+          }
+
+          const result = await db.run(
+            `INSERT INTO ${table.name} (${columns.join(', ')})
+             VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => values[column])
+          );
+
+          idMaps[table.name].set(row.id, table.keepId ? row.id : result.id);
+          counts[table.name]++;
+        }
+
+        // Self references can only be resolved once every row exists
+        for (const [column, target] of Object.entries(table.deferredRefs || {})) {
+          for (const row of rows) {
+            if (row[column] === null || row[column] === undefined) continue;
+            await db.run(
+              `UPDATE ${table.name} SET ${column} = ? WHERE id = ?`,
+              [remap(target, row[column]), idMaps[table.name].get(row.id)]
+            );
+          }
+        }
+      }
+
+      return counts;
+    });
+  }
+
+  /**
+   * Rows of keepId tables are inserted under their archived id, so an id that
+   * is already taken (e.g. the archive was imported before) aborts the import
+   */
+  async checkKeptIds(db, archive) {
+    for (const table of TABLES.filter(t => t.keepId)) {
+      const ids = (archive.tables[table.name] || []).map(row => row.id);
+      if (ids.length === 0) continue;
+
+      const existing = [];
+      for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+        existing.push(...await db.all(
+          `SELECT id FROM ${table.name} WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+          chunk
+        ));
+      }
+      if (existing.length > 0) {
+        const conflicts = existing.map(row => row.id);
+        const shown = conflicts.slice(0, 5).join(', ') + (conflicts.length > 5 ? ', ...' : '');
+        throw new Error(
+          `Archive conflicts with existing ${table.name}: ${conflicts.length} id(s) already present (${shown})`
+        );
+      }
+    }
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const Database = require('./database');
+
+  (async () => {
+    const [command, ...args] = process.argv.slice(2);
+    const repoIndex = args.indexOf('--repo');
+    const repositoryIds = repoIndex >= 0 ? [args[repoIndex + 1]] : [];
+    const file = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--repo');
+
+    const db = new Database();
+    await db.initialize();
+    const archives = new ArchiveService(db);
+
+    try {
+      if (command === 'export') {
+        if (!file) throw new Error('Usage: archive-service.js export <file> [--repo <id>]');
+        const archive = await archives.export({ repositoryIds });
+        fs.writeFileSync(file, JSON.stringify(archive, null, 2));
+        console.log(`✅ Archive written to ${file}`);
+      } else if (command === 'import') {
+        if (!file) throw new Error('Usage: archive-service.js import <file>');
+        const counts = await archives.import(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        console.log('✅ Archive imported:');
+        Object.entries(counts).forEach(([table, count]) => console.log(`   ${table}: ${count}`));
+      } else {
+        throw new Error('Usage: archive-service.js export <file> [--repo <id>] | import <file>');
+      }
+    } finally {
+      await db.close();
+    }
+  })().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = ArchiveService;
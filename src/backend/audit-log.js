@@ -0,0 +1,90 @@
+/**
+ * Audit Log Middleware
+ * Records every mutating /api request in audit_events once the response
+ * has been sent. Route handlers can add details through res.locals.audit:
+ *   res.locals.audit = { affected_files: ['/repo/.claude/agents/x.md'] }
+ */
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const SENSITIVE_KEY_PATTERN = /secret|token|password|signature/i;
+const MAX_STRING_LENGTH = 200;
+
+/**
+ * Shallow, redacted summary of a request body - archives and analyses
+ * can be large, so nested values are reduced to their size
+ */
+function summarizePayload(body) {
+  if (!body || typeof body !== 'object') return null;
+
+  const summary = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) {
+      summary[key] = '[redacted]';
+    } else if (Array.isArray(value)) {
+      summary[key] = `[array(${value.length})]`;
+    } else if (value && typeof value === 'object') {
+      summary[key] = `[object(${Object.keys(value).length} keys)]`;
+    } else if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+      summary[key] = `${value.slice(0, MAX_STRING_LENGTH)}…`;
+    } else {
+      summary[key] = value;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Who triggered the request: the identity authentication (or the webhook
+ * route, once the signature checks out) put in req.actor. Headers and
+ * unverified payloads are client-controlled and never name the actor.
+ */
+function resolveActor(req) {
+  return req.actor || `anonymous@${req.ip}`;
+}
+
+/**
+ * Create the audit middleware
+ * @param {Object} db - Database
+ */
+function auditLog(db) {
+  return (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method) || !req.path.toLowerCase().startsWith('/api/')) {
+      return next();
+    }
+
+    const startedAt = Date.now();
+    res.locals.audit = res.locals.audit || {};
+
+    // Keep the error message of failed requests
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.error) res.locals.audit.error_message = body.error;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const audit = res.locals.audit;
+      const action = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${req.path}`;
+
+      db.saveAuditEvent({
+        actor: resolveActor(req),
+        method: req.method,
+        action,
+        path: req.originalUrl,
+        payload_summary: summarizePayload(req.body),
+        status_code: res.statusCode,
+        result: res.statusCode < 400 ? 'success' : 'failure',
+        error_message: audit.error_message,
+        affected_files: audit.affected_files,
+        ip_address: req.ip,
+        duration_ms: Date.now() - startedAt
+      }).catch(error => {
+        console.error('❌ Failed to write audit event:', error.message);
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { auditLog };
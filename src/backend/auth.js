@@ -0,0 +1,180 @@
+/**
+ * API Authentication Middleware
+ * Every /api request except the public ones must carry a token:
+ *   Authorization: Bearer <token>   (or X-API-Key: <token>)
+ * EventSource cannot set headers, so /api/events also accepts ?ticket=: a
+ * single-use ticket from POST /api/events/ticket that expires after a minute,
+ * so the URLs that end up in logs and browser history hold no usable secret.
+ * Tokens are managed through /api/tokens or the token-service CLI.
+ * ADMIN_TOKEN, when set, is accepted as an admin token (for bootstrapping),
+ * and AUTH_DISABLED=true treats every request as admin (local development).
+ */
+
+const crypto = require('crypto');
+const TokenService = require('./token-service');
+
+// Health checks, the API document and the GitHub webhook (verified by its own signature)
+const PUBLIC_PATHS = new Set(['/api/health', '/api/openapi.json', '/api/webhook/github']);
+
+// Streams opened with EventSource, which can only pass a ticket in the URL
+const TICKET_PATHS = new Set(['/api/events']);
+const TICKET_TTL_MS = 60 * 1000;
+
+// ticket → { auth, actor, expires }
+const tickets = new Map();
+
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, value] = header.split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && value) return value.trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+  return null;
+}
+
+/**
+ * Issue a ticket that authenticates one /api/events request as the caller
+ * @returns {Object} { ticket, expires_at }
+ */
+function issueTicket(req) {
+  const now = Date.now();
+  for (const [ticket, entry] of tickets) {
+    if (entry.expires <= now) tickets.delete(ticket);
+  }
+
+  const ticket = crypto.randomBytes(24).toString('hex');
+  tickets.set(ticket, { auth: req.auth, actor: req.actor || null, expires: now + TICKET_TTL_MS });
+  return { ticket, expires_at: new Date(now + TICKET_TTL_MS).toISOString() };
+}
+
+/**
+ * Use up a ticket
+ * @returns {Object|null} { auth, actor }, or null when unknown, used or expired
+ */
+function redeemTicket(ticket) {
+  const entry = tickets.get(ticket);
+  tickets.delete(ticket);
+  return entry && entry.expires > Date.now() ? entry : null;
+}
+
+function matchesSecret(secret, token) {
+  if (!secret || !token) return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function matchesAdminToken(token) {
+  return matchesSecret(process.env.ADMIN_TOKEN, token);
+}
+
+/**
+ * Resolve the request's token into req.auth = { role, token_id, name } and
+ * req.actor (used by the audit log)
+ * @param {Object} db - Database
+ */
+function authenticate(db) {
+  const tokens = new TokenService(db);
+
+  return async (req, res, next) => {
+    // Express routes ignore case, so /API/repos reaches the /api/repos handler
+    const path = req.path.toLowerCase();
+    if (!path.startsWith('/api/') || PUBLIC_PATHS.has(path)) {
+      return next();
+    }
+
+    try {
+      if (process.env.AUTH_DISABLED === 'true') {
+        req.auth = { role: 'admin', token_id: null, name: 'auth-disabled' };
+        return next();
+      }
+
+      const token = readToken(req);
+      if (!token && TICKET_PATHS.has(path) && typeof req.query.ticket === 'string') {
+        const entry = redeemTicket(req.query.ticket);
+        if (!entry) {
+          return res.status(401).json({ error: 'Invalid or expired ticket' });
+        }
+        req.auth = entry.auth;
+        req.actor = entry.actor;
+        return next();
+      }
+
+      if (matchesAdminToken(token)) {
+        req.auth = { role: 'admin', token_id: null, name: 'admin-token' };
+        req.actor = 'token:admin-token';
+        return next();
+      }
+
+      const record = await tokens.verify(token);
+      if (!record) {
+        return res.status(401).json({ error: token ? 'Invalid or expired API token' : 'API token required' });
+      }
+
+      req.auth = { role: record.role, token_id: record.id, name: record.name };
+      req.actor = `token:${record.name}`;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Reject requests whose token lacks the role (viewer < analyst < admin)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'API token required' });
+    }
+    if (!TokenService.hasRole(req.auth.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Protect GET /metrics. Prometheus sends a bearer token (`authorization` /
+ * `bearer_token`); METRICS_TOKEN, ADMIN_TOKEN or any valid API token is
+ * accepted. The endpoint is only open with AUTH_DISABLED=true.
+ * @param {Object} db - Database
+ */
+function metricsAuth(db) {
+  const tokens = new TokenService(db);
+
+  return async (req, res, next) => {
+    try {
+      if (process.env.AUTH_DISABLED === 'true') {
+        return next();
+      }
+
+      const token = readToken(req);
+      if (matchesSecret(process.env.METRICS_TOKEN, token) || matchesAdminToken(token) || await tokens.verify(token)) {
+        return next();
+      }
+      res.status(401).type('text/plain').send('Unauthorized\n');
+    } catch (error) {
+      res.status(500).type('text/plain').send(`# ${error.message}\n`);
+    }
+  };
+}
+
+/**
+ * CORS options from CORS_ORIGINS (comma separated; "*" allows any origin).
+ * Without it, cross-origin requests are not allowed.
+ */
+function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    origin: origins.includes('*') ? true : origins,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  };
+}
+
+module.exports = { authenticate, requireRole, metricsAuth, corsOptions, issueTicket };
@@ -0,0 +1,160 @@
+/**
+ * Cron Expressions
+ * Standard five-field cron ("minute hour day-of-month month day-of-week"),
+ * evaluated in UTC like every other timestamp in the monitor.
+ *
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 8-18/2), month and
+ * weekday names (jan, mon) and the @hourly/@daily/@weekly/@monthly/@yearly
+ * shortcuts. When both day fields are restricted a day matches either one,
+ * as in classic cron.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Give up on expressions that never match (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index >= 0 ? index + field.offset : Number(text);
+
+  if ((index < 0 && !/^\d+$/.test(text)) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value "${text}" (expected ${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Expand one field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+class CronExpression {
+  /**
+   * @param {string} expression - Five-field cron expression or @macro
+   * @throws {Error} If the expression is invalid
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression is required');
+    }
+
+    this.expression = expression.trim();
+    const parts = (MACROS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got "${this.expression}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    this.minutes = minutes;
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    // 7 is an alias for Sunday
+    this.weekdays = new Set([...weekdays].map(day => day % 7));
+    this.daysRestricted = !parts[2].startsWith('*');
+    this.weekdaysRestricted = !parts[4].startsWith('*');
+  }
+
+  matchesDay(date) {
+    const dayMatches = this.days.has(date.getUTCDate());
+    const weekdayMatches = this.weekdays.has(date.getUTCDay());
+
+    if (this.daysRestricted && this.weekdaysRestricted) {
+      return dayMatches || weekdayMatches;
+    }
+    return dayMatches && weekdayMatches;
+  }
+
+  /**
+   * First run time strictly after the given date
+   * @param {Date} after - Defaults to now
+   * @returns {Date}
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+    // Skip whole months, days and hours that cannot match before checking minutes
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+
+  /**
+   * The next `count` run times after the given date
+   */
+  upcoming(count, after = new Date()) {
+    const runs = [];
+    let cursor = after;
+    for (let i = 0; i < count; i++) {
+      cursor = this.next(cursor);
+      runs.push(cursor);
+    }
+    return runs;
+  }
+}
+
+module.exports = CronExpression;
@@ -1,163 +1,149 @@
 /**
- * Database Layer using SQLite
+ * Database Layer
  * Stores agent metrics, analysis results, and improvement history
+ * on top of a pluggable storage adapter (SQLite, in-memory, PostgreSQL)
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('./migrator');
+const { createAdapter } = require('./storage');
+const { normalizeGitHubUrl } = require('./github-url');
+const { SCORE_FIELDS } = require('../meta-agent/comparison');
+
+const ROLLUP_TABLES = {
+  daily: 'agent_metrics_daily',
+  weekly: 'agent_metrics_weekly'
+};
+
+// Tables whose rows follow an agent through merges and splits (by origin_agent_id)
+const MERGED_TABLES = [
+  'agent_metrics',
+  'improvements',
+  'agent_aliases',
+  'agent_activity',
+  ...Object.values(ROLLUP_TABLES)
+];
 
 class Database {
-  constructor(dbPath = null) {
-    this.dbPath = dbPath || path.join(__dirname, '../../data/agent-health.db');
-    this.db = null;
+  /**
+   * @param {Object|string|null} adapter - Storage adapter, SQLite file path,
+   *   or null to pick the adapter from DB_ADAPTER / DB_PATH / DATABASE_URL
+   */
+  constructor(adapter = null) {
+    if (!adapter) {
+      this.adapter = createAdapter();
+    } else if (typeof adapter === 'string') {
+      this.adapter = createAdapter({ type: 'sqlite', dbPath: adapter });
+    } else {
+      this.adapter = adapter;
+    }
+
+    // Transactions share one connection, so they must not overlap, and statements
+    // from other requests must not run inside one (see transaction())
+    this.transactionQueue = Promise.resolve();
+    this.transactionContext = new AsyncLocalStorage();
+    this.activeTransaction = null;
   }
 
   /**
-   * Initialize database and create tables
+   * Initialize database and apply pending schema migrations
    */
   async initialize() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('📦 Connected to SQLite database');
-          this.createTables()
-            .then(resolve)
-            .catch(reject);
-        }
-      });
-    });
+    await this.connect();
+    await this.migrate();
   }
 
   /**
-   * Create database schema
-   */
-  async createTables() {
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS repositories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        path TEXT NOT NULL,
-        github_url TEXT,
-        techdebtgpt_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS agents (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        repository_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        role TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (repository_id) REFERENCES repositories(id),
-        UNIQUE(repository_id, email)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS agent_metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id INTEGER NOT NULL,
-        commits INTEGER DEFAULT 0,
-        pull_requests INTEGER DEFAULT 0,
-        code_reviews INTEGER DEFAULT 0,
-        bugs_introduced INTEGER DEFAULT 0,
-        lines_added INTEGER DEFAULT 0,
-        lines_deleted INTEGER DEFAULT 0,
-        tech_debt_score REAL DEFAULT 0,
-        velocity REAL DEFAULT 0,
-        health_score REAL DEFAULT 0,
-        productivity_score REAL DEFAULT 0,
-        quality_score REAL DEFAULT 0,
-        collaboration_score REAL DEFAULT 0,
-        reliability_score REAL DEFAULT 0,
-        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS analyses (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        repository_id INTEGER NOT NULL,
-        team_size INTEGER,
-        team_average_score REAL,
-        lowest_performer_id INTEGER,
-        lowest_performer_score REAL,
-        highest_performer_id INTEGER,
-        highest_performer_score REAL,
-        critical_count INTEGER DEFAULT 0,
-        warning_count INTEGER DEFAULT 0,
-        healthy_count INTEGER DEFAULT 0,
-        analysis_data TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (repository_id) REFERENCES repositories(id),
-        FOREIGN KEY (lowest_performer_id) REFERENCES agents(id),
-        FOREIGN KEY (highest_performer_id) REFERENCES agents(id)
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS improvements (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id INTEGER NOT NULL,
-        analysis_id INTEGER,
-        improvement_type TEXT,
-        root_causes TEXT,
-        recommendations TEXT,
-        changes_applied TEXT,
-        applied BOOLEAN DEFAULT 0,
-        result TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (agent_id) REFERENCES agents(id),
-        FOREIGN KEY (analysis_id) REFERENCES analyses(id)
-      )`,
-
-      `CREATE INDEX IF NOT EXISTS idx_agent_metrics_agent_id ON agent_metrics(agent_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_agent_metrics_recorded_at ON agent_metrics(recorded_at)`,
-      `CREATE INDEX IF NOT EXISTS idx_analyses_repo ON analyses(repository_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_improvements_agent ON improvements(agent_id)`
-    ];
-
-    for (const sql of tables) {
-      await this.run(sql);
-    }
+   * Open the storage connection without touching the schema
+   */
+  connect() {
+    return this.adapter.connect();
+  }
+
+  /**
+   * Apply pending migrations from src/backend/migrations
+   * @returns {Array} Applied migrations
+   */
+  async migrate(targetVersion = null) {
+    return new Migrator(this).migrate(targetVersion);
+  }
+
+  /**
+   * Highest applied migration version (0 for an empty database)
+   */
+  async getSchemaVersion() {
+    const row = await this.get(`SELECT MAX(version) AS version FROM schema_migrations`);
+    return row?.version || 0;
   }
 
   /**
    * Run SQL query
    */
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.execute('run', sql, params);
   }
 
   /**
    * Get single row
    */
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return this.execute('get', sql, params);
   }
 
   /**
    * Get all rows
    */
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+    return this.execute('all', sql, params);
+  }
+
+  /**
+   * Send a statement to the adapter. While a transaction is open, statements
+   * from outside it wait until it has committed or rolled back; otherwise
+   * they would run on the shared connection as part of the transaction.
+   */
+  execute(method, sql, params) {
+    const transaction = this.activeTransaction;
+    if (transaction && this.transactionContext.getStore() !== transaction) {
+      return transaction.finished.then(() => this.execute(method, sql, params));
+    }
+    return this.adapter[method](sql, params);
+  }
+
+  /**
+   * Run work inside a transaction; rolls back if it throws. Everything work
+   * awaits belongs to the transaction (a nested transaction() joins it).
+   * @param {Function} work - async (db) => result
+   * @returns {*} Result of work
+   */
+  async transaction(work) {
+    if (this.activeTransaction && this.transactionContext.getStore() === this.activeTransaction) {
+      return work(this);
+    }
+
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => { release = resolve; });
+    const transaction = { finished: this.transactionQueue };
+
+    await previous;
+    this.activeTransaction = transaction;
+    try {
+      return await this.transactionContext.run(transaction, async () => {
+        await this.run('BEGIN');
+        try {
+          const result = await work(this);
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
       });
-    });
+    } finally {
+      this.activeTransaction = null;
+      release();
+    }
   }
 
   // Repository operations
@@ -167,19 +153,135 @@ class Database {
       `INSERT INTO repositories (name, path, techdebtgpt_url, github_url) VALUES (?, ?, ?, ?)`,
       [name, path, techdebtgpt_url, github_url]
     );
-    return { id: result.id, name, path, techdebtgpt_url, github_url };
+    return this.getRepository(result.id);
+  }
+
+  /**
+   * @param {Object} options - { includeDeleted } to list soft-deleted repositories too
+   */
+  async getRepositories(options = {}) {
+    const where = options.includeDeleted ? '' : 'WHERE deleted_at IS NULL';
+    return this.all(`SELECT * FROM repositories ${where} ORDER BY created_at DESC`);
+  }
+
+  /**
+   * @param {Object} options - { includeDeleted } to find a soft-deleted repository
+   */
+  async getRepository(id, options = {}) {
+    const where = options.includeDeleted ? '' : 'AND deleted_at IS NULL';
+    return this.get(`SELECT * FROM repositories WHERE id = ? ${where}`, [id]);
+  }
+
+  /**
+   * Update repository settings
+   * @param {Object} fields - Any of { name, path, techdebtgpt_url, github_url,
+   *   metrics_sources (array of source names, null for the default) }
+   */
+  async updateRepository(id, fields) {
+    if (fields.metrics_sources !== undefined) {
+      fields = { ...fields, metrics_sources: fields.metrics_sources ? JSON.stringify(fields.metrics_sources) : null };
+    }
+    for (const column of ['name', 'path', 'techdebtgpt_url', 'github_url', 'metrics_sources']) {
+      if (fields[column] === undefined) continue;
+      await this.run(`UPDATE repositories SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [fields[column], id]);
+    }
+    return this.getRepository(id);
   }
 
-  async getRepositories() {
-    return this.all(`SELECT * FROM repositories ORDER BY created_at DESC`);
+  /**
+   * Hide a repository; its agents, metrics and analyses are kept and come back on restore
+   */
+  async softDeleteRepository(id) {
+    await this.run(`UPDATE repositories SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    return this.getRepository(id, { includeDeleted: true });
   }
 
-  async getRepository(id) {
-    return this.get(`SELECT * FROM repositories WHERE id = ?`, [id]);
+  async restoreRepository(id) {
+    await this.run(`UPDATE repositories SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    return this.getRepository(id);
   }
 
+  /**
+   * Permanently delete a repository and everything recorded for it
+   * (audit events are kept)
+   */
+  async purgeRepository(id) {
+    const agentRows = 'agent_id IN (SELECT id FROM agents WHERE repository_id = ?)';
+
+    return this.transaction(async (db) => {
+      for (const table of ['improvements', 'agent_metrics', 'agent_metrics_daily', 'agent_metrics_weekly']) {
+        await db.run(`DELETE FROM ${table} WHERE ${agentRows}`, [id]);
+      }
+      for (const table of [
+        'agent_activity', 'agent_aliases', 'analyses', 'sprints',
+        'scrape_runs', 'jobs', 'webhook_deliveries', 'agents'
+      ]) {
+        await db.run(`DELETE FROM ${table} WHERE repository_id = ?`, [id]);
+      }
+      await db.run(`DELETE FROM repositories WHERE id = ?`, [id]);
+    });
+  }
+
+  /**
+   * Find a repository by GitHub URL, ignoring case, a trailing slash or .git
+   * and the URL form (https, ssh, git@, or plain owner/name)
+   */
   async findRepositoryByGitHubUrl(github_url) {
-    return this.get(`SELECT * FROM repositories WHERE github_url = ?`, [github_url]);
+    const wanted = normalizeGitHubUrl(github_url);
+    if (!wanted) return undefined;
+
+    const repos = await this.all(
+      `SELECT * FROM repositories WHERE github_url IS NOT NULL AND deleted_at IS NULL ORDER BY id`
+    );
+    return repos.find(repo => normalizeGitHubUrl(repo.github_url) === wanted);
+  }
+
+  /**
+   * Set the webhook secret and/or the branches whose events are processed
+   * @param {Object} config - { secret, branches: ['main', ...] }
+   */
+  async updateRepositoryWebhook(id, config) {
+    if (config.secret !== undefined) {
+      await this.run(`UPDATE repositories SET webhook_secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [config.secret, id]);
+    }
+    if (config.branches !== undefined) {
+      const branches = config.branches && config.branches.length > 0 ? config.branches.join(',') : null;
+      await this.run(`UPDATE repositories SET webhook_branches = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [branches, id]);
+    }
+    return this.getRepository(id);
+  }
+
+  /**
+   * Change a repository's schedule
+   * @param {Object} schedule - { cron, enabled, catch_up, next_run_at }
+   */
+  async updateRepositorySchedule(id, schedule) {
+    const columns = {
+      cron: 'schedule_cron',
+      enabled: 'schedule_enabled',
+      catch_up: 'schedule_catch_up',
+      next_run_at: 'schedule_next_run_at'
+    };
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (schedule[key] === undefined) continue;
+      const value = typeof schedule[key] === 'boolean' ? (schedule[key] ? 1 : 0) : schedule[key];
+      await this.run(`UPDATE repositories SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [value, id]);
+    }
+    return this.getRepository(id);
+  }
+
+  /**
+   * Record a scheduler decision: when it last ran (if it did) and when it runs next
+   */
+  async recordScheduleRun(id, last_run_at, next_run_at) {
+    if (last_run_at) {
+      return this.run(
+        `UPDATE repositories SET schedule_last_run_at = ?, schedule_next_run_at = ? WHERE id = ?`,
+        [last_run_at, next_run_at, id]
+      );
+    }
+    return this.run(`UPDATE repositories SET schedule_next_run_at = ? WHERE id = ?`, [next_run_at, id]);
   }
 
   // Agent operations
@@ -189,37 +291,139 @@ class Database {
       `INSERT INTO agents (repository_id, name, email, role) VALUES (?, ?, ?, ?)`,
       [repository_id, name, email, role]
     );
+    await this.addAgentAlias(result.id, repository_id, email);
     return { id: result.id, repository_id, name, email, role };
   }
 
-  async getAgents(repository_id) {
+  /**
+   * Canonical agents of a repository (agents merged into another are hidden)
+   * @param {Object} options - { status: 'active' (default) | 'archived' | 'all' }
+   */
+  async getAgents(repository_id, options = {}) {
+    const status = options.status || 'active';
+    const statusFilter = status === 'all' ? '' : 'AND status = ?';
+
     return this.all(
-      `SELECT * FROM agents WHERE repository_id = ? ORDER BY name`,
-      [repository_id]
+      `SELECT * FROM agents WHERE repository_id = ? AND merged_into_id IS NULL ${statusFilter} ORDER BY name`,
+      status === 'all' ? [repository_id] : [repository_id, status]
     );
   }
 
+  /**
+   * Update the editable details of an agent. Archived agents keep their
+   * history but are left out of analyses and the leaderboard.
+   * @param {Object} fields - Any of { name, display_name, role, team, status }
+   */
+  async updateAgent(id, fields) {
+    for (const column of ['name', 'display_name', 'role', 'team']) {
+      if (fields[column] === undefined) continue;
+      await this.run(`UPDATE agents SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [fields[column], id]);
+    }
+    if (fields.status !== undefined) {
+      await this.run(
+        `UPDATE agents
+         SET status = ?, archived_at = ${fields.status === 'archived' ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [fields.status, id]
+      );
+    }
+    return this.getAgent(id);
+  }
+
   async getAgent(id) {
     return this.get(`SELECT * FROM agents WHERE id = ?`, [id]);
   }
 
   async findAgentByEmail(email, repository_id) {
+    return this.findAgentByAlias(email, repository_id);
+  }
+
+  /**
+   * Resolve an email or handle to its canonical agent
+   * @returns {Object|undefined} Agent row plus origin_agent_id of the alias
+   */
+  async findAgentByAlias(alias, repository_id) {
+    if (!alias) return undefined;
+
     return this.get(
-      `SELECT * FROM agents WHERE email = ? AND repository_id = ?`,
-      [email, repository_id]
+      `SELECT a.*, al.origin_agent_id
+       FROM agent_aliases al
+       JOIN agents a ON a.id = al.agent_id
+       WHERE al.repository_id = ? AND al.alias = ?`,
+      [repository_id, alias.trim().toLowerCase()]
     );
   }
 
+  // Agent alias operations
+
+  async addAgentAlias(agent_id, repository_id, alias, origin_agent_id = null) {
+    const result = await this.run(
+      `INSERT INTO agent_aliases (repository_id, agent_id, origin_agent_id, alias) VALUES (?, ?, ?, ?)`,
+      [repository_id, agent_id, origin_agent_id || agent_id, alias.trim().toLowerCase()]
+    );
+    return { id: result.id, agent_id, alias: alias.trim().toLowerCase() };
+  }
+
+  async getAgentAliases(agent_id) {
+    return this.all(
+      `SELECT * FROM agent_aliases WHERE agent_id = ? ORDER BY created_at`,
+      [agent_id]
+    );
+  }
+
+  /**
+   * Merge source agent into target: metrics, rollups, improvements, aliases
+   * and activity are re-pointed to target, and source is marked merged_into_id = target
+   */
+  async mergeAgents(source_id, target_id) {
+    return this.transaction(async (db) => {
+      for (const table of MERGED_TABLES) {
+        await db.run(`UPDATE ${table} SET agent_id = ? WHERE agent_id = ?`, [target_id, source_id]);
+      }
+      await db.run(
+        `UPDATE agents SET merged_into_id = ? WHERE id = ? OR merged_into_id = ?`,
+        [target_id, source_id, source_id]
+      );
+    });
+  }
+
+  /**
+   * Undo a merge: rows and aliases that originated from the agent move back
+   */
+  async splitAgent(agent_id) {
+    const agent = await this.getAgent(agent_id);
+
+    await this.transaction(async (db) => {
+      for (const table of MERGED_TABLES) {
+        await db.run(
+          `UPDATE ${table} SET agent_id = ? WHERE agent_id = ? AND origin_agent_id = ?`,
+          [agent_id, agent.merged_into_id, agent_id]
+        );
+      }
+      await db.run(`UPDATE agents SET merged_into_id = NULL WHERE id = ?`, [agent_id]);
+    });
+
+    return this.getAgent(agent_id);
+  }
+
   // Agent metrics operations
 
+  /**
+   * Save a metrics snapshot. A snapshot with the same scrape_run_id for
+   * the same agent identity (origin_agent_id) is ignored (result.changes === 0).
+   * recorded_at defaults to now.
+   */
   async saveAgentMetrics(agent_id, metrics) {
     return this.run(
       `INSERT INTO agent_metrics (
         agent_id, commits, pull_requests, code_reviews, bugs_introduced,
         lines_added, lines_deleted, tech_debt_score, velocity,
+        files_touched, active_days, review_comments,
         health_score, productivity_score, quality_score,
-        collaboration_score, reliability_score
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        collaboration_score, reliability_score, scrape_run_id, sprint_id,
+        origin_agent_id, recorded_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      ON CONFLICT DO NOTHING`,
       [
         agent_id,
         metrics.commits || 0,
@@ -230,11 +434,18 @@ class Database {
         metrics.lines_deleted || 0,
         metrics.tech_debt_score || 0,
         metrics.velocity || 0,
+        metrics.files_touched || 0,
+        metrics.active_days || 0,
+        metrics.review_comments || 0,
         metrics.health_score || 0,
         metrics.productivity_score || 0,
         metrics.quality_score || 0,
         metrics.collaboration_score || 0,
-        metrics.reliability_score || 0
+        metrics.reliability_score || 0,
+        metrics.scrape_run_id || null,
+        metrics.sprint_id || null,
+        metrics.origin_agent_id || agent_id,
+        metrics.recorded_at || null
       ]
     );
   }
@@ -249,31 +460,72 @@ class Database {
     );
   }
 
-  async getAgentsWithLatestMetrics(repository_id) {
+  /**
+   * Snapshots of an agent recorded since a timestamp, oldest first
+   */
+  async getAgentMetricsSince(agent_id, since) {
+    return this.all(
+      `SELECT * FROM agent_metrics
+       WHERE agent_id = ? AND recorded_at >= ?
+       ORDER BY recorded_at, id`,
+      [agent_id, since]
+    );
+  }
+
+  /**
+   * Snapshots of an agent recorded in a time window (either bound may be null)
+   */
+  async getAgentMetricsBetween(agent_id, from = null, to = null) {
+    const conditions = ['agent_id = ?'];
+    const params = [agent_id];
+    if (from) {
+      conditions.push('recorded_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('recorded_at <= ?');
+      params.push(to);
+    }
+
+    return this.all(
+      `SELECT * FROM agent_metrics
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY recorded_at, id`,
+      params
+    );
+  }
+
+  /**
+   * Latest snapshot per agent, optionally restricted to one sprint
+   */
+  async getAgentsWithLatestMetrics(repository_id, sprint_id = null) {
+    const sprintFilter = sprint_id ? 'AND sprint_id = ?' : '';
+
     return this.all(
       `SELECT
-        a.id, a.name, a.email, a.role,
+        a.id, a.name, a.email, a.role, a.display_name, a.team,
         m.commits, m.pull_requests, m.code_reviews, m.bugs_introduced,
         m.lines_added, m.lines_deleted, m.tech_debt_score, m.velocity,
-        m.health_score, m.recorded_at
+        m.files_touched, m.active_days, m.review_comments,
+        m.health_score, m.sprint_id, m.recorded_at
        FROM agents a
        LEFT JOIN agent_metrics m ON a.id = m.agent_id
-       WHERE a.repository_id = ?
+       WHERE a.repository_id = ? AND a.status = 'active'
          AND m.id = (
            SELECT id FROM agent_metrics
-           WHERE agent_id = a.id
-           ORDER BY recorded_at DESC
+           WHERE agent_id = a.id ${sprintFilter}
+           ORDER BY recorded_at DESC, id DESC
            LIMIT 1
          )
        ORDER BY m.health_score ASC`,
-      [repository_id]
+      sprint_id ? [repository_id, sprint_id] : [repository_id]
     );
   }
 
   async getAgentLeaderboard(repository_id) {
     return this.all(
       `SELECT
-        a.id, a.name, a.email, a.role,
+        a.id, a.name, a.email, a.role, a.display_name, a.team,
         m.health_score,
         m.productivity_score,
         m.quality_score,
@@ -285,11 +537,11 @@ class Database {
         m.recorded_at
        FROM agents a
        LEFT JOIN agent_metrics m ON a.id = m.agent_id
-       WHERE a.repository_id = ?
+       WHERE a.repository_id = ? AND a.status = 'active'
          AND m.id = (
            SELECT id FROM agent_metrics
            WHERE agent_id = a.id
-           ORDER BY recorded_at DESC
+           ORDER BY recorded_at DESC, id DESC
            LIMIT 1
          )
        ORDER BY m.health_score DESC`,
@@ -297,17 +549,258 @@ class Database {
     );
   }
 
+  // Scrape run operations
+
+  async createScrapeRun(id, repository_id, source = 'techdebtgpt', triggered_by = null) {
+    await this.run(
+      `INSERT INTO scrape_runs (id, repository_id, source, triggered_by, status)
+       VALUES (?, ?, ?, ?, 'running')`,
+      [id, repository_id, source, triggered_by]
+    );
+    return this.getScrapeRun(id);
+  }
+
+  /**
+   * Record the outcome of a scrape run
+   * @param {string} id - Scrape run id
+   * @param {Object} outcome - { status, duration_ms, error_message, screenshot_paths, agent_count, raw_payload }
+   */
+  async completeScrapeRun(id, outcome) {
+    return this.run(
+      `UPDATE scrape_runs SET
+        status = ?, finished_at = CURRENT_TIMESTAMP, duration_ms = ?,
+        error_message = ?, screenshot_paths = ?, agent_count = ?, raw_payload = ?
+       WHERE id = ?`,
+      [
+        outcome.status,
+        outcome.duration_ms || null,
+        outcome.error_message || null,
+        JSON.stringify(outcome.screenshot_paths || []),
+        outcome.agent_count || 0,
+        outcome.raw_payload ? JSON.stringify(outcome.raw_payload) : null,
+        id
+      ]
+    );
+  }
+
+  async getScrapeRun(id) {
+    return this.get(`SELECT * FROM scrape_runs WHERE id = ?`, [id]);
+  }
+
+  /**
+   * Finished scrape runs per repository and status, with total duration
+   * and the latest finish time
+   */
+  async getScrapeRunStats() {
+    return this.all(
+      `SELECT repository_id, status, COUNT(*) AS runs,
+              COALESCE(SUM(duration_ms), 0) AS duration_ms, MAX(finished_at) AS last_finished_at
+       FROM scrape_runs
+       WHERE status <> 'running'
+       GROUP BY repository_id, status
+       ORDER BY repository_id, status`
+    );
+  }
+
+  /**
+   * List scrape runs without their raw payloads
+   * @param {Object} filters - { repository_id, status, limit }
+   */
+  async getScrapeRuns(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.repository_id) {
+      conditions.push('repository_id = ?');
+      params.push(filters.repository_id);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(filters.limit || 50);
+
+    return this.all(
+      `SELECT id, repository_id, source, triggered_by, status, started_at, finished_at,
+        duration_ms, error_message, screenshot_paths, agent_count
+       FROM scrape_runs
+       ${where}
+       ORDER BY started_at DESC
+       LIMIT ?`,
+      params
+    );
+  }
+
+  // Rollup and retention operations
+
+  async getEarliestMetricTimestamp() {
+    const row = await this.get(`SELECT MIN(recorded_at) AS earliest FROM agent_metrics`);
+    return row?.earliest || null;
+  }
+
+  async getMetricsRecordedSince(since) {
+    return this.all(
+      `SELECT agent_id, origin_agent_id, recorded_at, health_score, productivity_score, quality_score,
+        collaboration_score, reliability_score
+       FROM agent_metrics
+       WHERE recorded_at >= ?
+       ORDER BY recorded_at`,
+      [since]
+    );
+  }
+
+  /**
+   * Replace all rollup rows of a period from period_start onwards
+   * @param {string} period - 'daily' | 'weekly'
+   * @param {string} fromPeriodStart - YYYY-MM-DD
+   * @param {Array} rollups - Rows keyed by column name
+   */
+  async replaceRollups(period, fromPeriodStart, rollups) {
+    const table = ROLLUP_TABLES[period];
+    await this.run(`DELETE FROM ${table} WHERE period_start >= ?`, [fromPeriodStart]);
+
+    for (const rollup of rollups) {
+      const columns = Object.keys(rollup);
+      await this.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => rollup[column])
+      );
+    }
+  }
+
+  async pruneMetricsBefore(cutoff) {
+    const result = await this.run(`DELETE FROM agent_metrics WHERE recorded_at < ?`, [cutoff]);
+    return result.changes;
+  }
+
+  /**
+   * Rollups for an agent, oldest first. The rows of identities merged into
+   * the agent are combined per period (averages weighted by samples).
+   * @param {string} period - 'daily' | 'weekly'
+   * @param {string|null} since - YYYY-MM-DD lower bound
+   */
+  async getAgentRollups(agent_id, period = 'daily', since = null) {
+    const table = ROLLUP_TABLES[period];
+    if (!table) {
+      throw new Error(`Unknown rollup period: ${period}`);
+    }
+
+    const scores = SCORE_FIELDS.map(field =>
+      `MIN(${field}_min) AS ${field}_min, MAX(${field}_max) AS ${field}_max, ` +
+      `SUM(${field}_avg * samples) / NULLIF(SUM(samples), 0) AS ${field}_avg`
+    );
+
+    return this.all(
+      `SELECT agent_id, period_start, SUM(samples) AS samples, ${scores.join(', ')}
+       FROM ${table}
+       WHERE agent_id = ? AND period_start >= ?
+       GROUP BY agent_id, period_start
+       ORDER BY period_start`,
+      [agent_id, since || '0000-00-00']
+    );
+  }
+
+  // Sprint operations
+
+  async addSprint(repository_id, name, start_date, end_date) {
+    const result = await this.run(
+      `INSERT INTO sprints (repository_id, name, start_date, end_date) VALUES (?, ?, ?, ?)`,
+      [repository_id, name, start_date, end_date]
+    );
+    return this.getSprint(result.id);
+  }
+
+  async getSprint(id) {
+    return this.get(`SELECT * FROM sprints WHERE id = ?`, [id]);
+  }
+
+  async getSprints(repository_id) {
+    return this.all(
+      `SELECT * FROM sprints WHERE repository_id = ? ORDER BY start_date DESC`,
+      [repository_id]
+    );
+  }
+
+  /**
+   * Sprints of a repository whose window overlaps [start_date, end_date]
+   */
+  async findOverlappingSprints(repository_id, start_date, end_date) {
+    return this.all(
+      `SELECT * FROM sprints
+       WHERE repository_id = ? AND start_date <= ? AND end_date >= ?`,
+      [repository_id, end_date, start_date]
+    );
+  }
+
+  /**
+   * Sprint of a repository covering a date (YYYY-MM-DD) that is active, or
+   * was still active at `at` (a stored timestamp) when given
+   */
+  async findSprintForDate(repository_id, date, at = null) {
+    return this.get(
+      `SELECT * FROM sprints
+       WHERE repository_id = ? AND (status = 'active' OR closed_at > ?)
+         AND start_date <= ? AND end_date >= ?
+       ORDER BY start_date DESC
+       LIMIT 1`,
+      [repository_id, at, date, date]
+    );
+  }
+
+  async closeSprint(id) {
+    await this.run(
+      `UPDATE sprints SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id]
+    );
+    return this.getSprint(id);
+  }
+
+  /**
+   * Attach unassigned snapshots and analyses recorded inside the sprint window
+   * @returns {Object} { metrics, analyses } - number of rows attached
+   */
+  async assignToSprint(sprint) {
+    const from = `${sprint.start_date} 00:00:00`;
+    const to = `${sprint.end_date} 23:59:59`;
+
+    const metrics = await this.run(
+      `UPDATE agent_metrics SET sprint_id = ?
+       WHERE sprint_id IS NULL
+         AND recorded_at BETWEEN ? AND ?
+         AND agent_id IN (SELECT id FROM agents WHERE repository_id = ?)`,
+      [sprint.id, from, to, sprint.repository_id]
+    );
+    const analyses = await this.run(
+      `UPDATE analyses SET sprint_id = ?
+       WHERE sprint_id IS NULL
+         AND created_at BETWEEN ? AND ?
+         AND repository_id = ?`,
+      [sprint.id, from, to, sprint.repository_id]
+    );
+
+    return { metrics: metrics.changes, analyses: analyses.changes };
+  }
+
+  async getSprintAnalyses(sprint_id) {
+    return this.all(
+      `SELECT * FROM analyses WHERE sprint_id = ? ORDER BY created_at DESC`,
+      [sprint_id]
+    );
+  }
+
   // Analysis operations
 
-  async saveAnalysis(repository_id, analysis) {
+  async saveAnalysis(repository_id, analysis, sprint_id = null) {
     const result = await this.run(
       `INSERT INTO analyses (
         repository_id, team_size, team_average_score,
         lowest_performer_id, lowest_performer_score,
         highest_performer_id, highest_performer_score,
         critical_count, warning_count, healthy_count,
-        analysis_data
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        analysis_data, sprint_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         repository_id,
         analysis.teamSize,
@@ -319,12 +812,69 @@ class Database {
         analysis.criticalAgents?.length || 0,
         analysis.warningAgents?.length || 0,
         analysis.healthyAgents?.length || 0,
-        JSON.stringify(analysis)
+        JSON.stringify(analysis),
+        sprint_id
       ]
     );
     return result.id;
   }
 
+  /**
+   * Build the WHERE clause for analysis history filters
+   */
+  analysisFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.repository_id) {
+      conditions.push('repository_id = ?');
+      params.push(filters.repository_id);
+    }
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Page through analyses (newest first) without their analysis_data
+   * @param {Object} filters - { repository_id, from, to, limit, offset }
+   */
+  async getAnalyses(filters = {}) {
+    const { where, params } = this.analysisFilters(filters);
+
+    return this.all(
+      `SELECT id, repository_id, sprint_id, team_size, team_average_score,
+        lowest_performer_id, lowest_performer_score,
+        highest_performer_id, highest_performer_score,
+        critical_count, warning_count, healthy_count, created_at
+       FROM analyses
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 20, filters.offset || 0]
+    );
+  }
+
+  async countAnalyses(filters = {}) {
+    const { where, params } = this.analysisFilters(filters);
+    const row = await this.get(`SELECT COUNT(*) AS total FROM analyses ${where}`, params);
+    return row.total;
+  }
+
+  async getAnalysis(id) {
+    return this.get(`SELECT * FROM analyses WHERE id = ?`, [id]);
+  }
+
   async getLatestAnalysis(repository_id) {
     return this.get(
       `SELECT * FROM analyses
@@ -341,8 +891,8 @@ class Database {
     return this.run(
       `INSERT INTO improvements (
         agent_id, improvement_type, root_causes, recommendations,
-        changes_applied, applied, result
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        changes_applied, applied, result, origin_agent_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         agent_id,
         improvement.type || 'manual',
@@ -350,7 +900,8 @@ class Database {
         JSON.stringify(improvement.recommendations || []),
         JSON.stringify(improvement.changes || {}),
         improvement.applied ? 1 : 0,
-        JSON.stringify(improvement.result || {})
+        JSON.stringify(improvement.result || {}),
+        agent_id
       ]
     );
   }
@@ -365,13 +916,293 @@ class Database {
     );
   }
 
+  // Audit operations
+
+  async saveAuditEvent(event) {
+    return this.run(
+      `INSERT INTO audit_events (
+        actor, method, action, path, payload_summary, status_code, result,
+        error_message, affected_files, ip_address, duration_ms
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.actor,
+        event.method,
+        event.action,
+        event.path,
+        JSON.stringify(event.payload_summary || null),
+        event.status_code,
+        event.result,
+        event.error_message || null,
+        JSON.stringify(event.affected_files || []),
+        event.ip_address || null,
+        event.duration_ms ?? null
+      ]
+    );
+  }
+
+  auditFilters(filters) {
+    const conditions = [];
+    const params = [];
+
+    for (const column of ['actor', 'action', 'result']) {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    }
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Page through audit events (newest first)
+   * @param {Object} filters - { actor, action, result, from, to, limit, offset }
+   */
+  async getAuditEvents(filters = {}) {
+    const { where, params } = this.auditFilters(filters);
+
+    return this.all(
+      `SELECT * FROM audit_events
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+  }
+
+  async countAuditEvents(filters = {}) {
+    const { where, params } = this.auditFilters(filters);
+    const row = await this.get(`SELECT COUNT(*) AS total FROM audit_events ${where}`, params);
+    return row.total;
+  }
+
+  // Job operations
+
+  async createJob(type, repository_id, payload = {}, triggered_by = null) {
+    const result = await this.run(
+      `INSERT INTO jobs (type, repository_id, payload, triggered_by) VALUES (?, ?, ?, ?)`,
+      [type, repository_id, JSON.stringify(payload), triggered_by]
+    );
+    return this.getJob(result.id);
+  }
+
+  async getJob(id) {
+    return this.get(`SELECT * FROM jobs WHERE id = ?`, [id]);
+  }
+
+  /**
+   * List jobs (newest first)
+   * @param {Object} filters - { repository_id, status, type, limit }
+   */
+  async getJobs(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    for (const column of ['repository_id', 'status', 'type']) {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(filters.limit || 50);
+
+    return this.all(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, params);
+  }
+
+  async findQueuedJob(type, repository_id) {
+    return this.get(
+      `SELECT * FROM jobs WHERE type = ? AND repository_id = ? AND status = 'queued' ORDER BY id LIMIT 1`,
+      [type, repository_id]
+    );
+  }
+
+  async getQueuedJobs(limit = 20) {
+    return this.all(`SELECT * FROM jobs WHERE status = 'queued' ORDER BY id LIMIT ?`, [limit]);
+  }
+
+  /**
+   * Move a queued job to running
+   * @returns {boolean} false if another worker claimed it first
+   */
+  async claimJob(id) {
+    const result = await this.run(
+      `UPDATE jobs SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+       WHERE id = ? AND status = 'queued'`,
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  async updateJobStep(id, step) {
+    return this.run(`UPDATE jobs SET step = ? WHERE id = ?`, [step, id]);
+  }
+
+  async finishJob(id, status, result = null, error_message = null) {
+    return this.run(
+      `UPDATE jobs SET status = ?, result = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, result ? JSON.stringify(result) : null, error_message, id]
+    );
+  }
+
+  /**
+   * Jobs left running by a stopped process are queued again
+   * @returns {number} Number of re-queued jobs
+   */
+  async requeueRunningJobs() {
+    const result = await this.run(`UPDATE jobs SET status = 'queued', step = NULL WHERE status = 'running'`);
+    return result.changes;
+  }
+
+  /**
+   * Number of jobs per repository, type and status
+   */
+  async getJobStats() {
+    return this.all(
+      `SELECT repository_id, type, status, COUNT(*) AS jobs
+       FROM jobs
+       GROUP BY repository_id, type, status
+       ORDER BY repository_id, type, status`
+    );
+  }
+
+  // Webhook operations
+
+  /**
+   * Record a webhook delivery
+   * @returns {boolean} false if the delivery was already processed
+   */
+  async recordWebhookDelivery(id, repository_id, event, action = null) {
+    const result = await this.run(
+      `INSERT INTO webhook_deliveries (id, repository_id, event, action) VALUES (?, ?, ?, ?)
+       ON CONFLICT DO NOTHING`,
+      [id, repository_id, event, action]
+    );
+    return result.changes > 0;
+  }
+
+  async setWebhookDeliveryOutcome(id, outcome) {
+    return this.run(`UPDATE webhook_deliveries SET outcome = ? WHERE id = ?`, [outcome, id]);
+  }
+
+  async getWebhookDeliveries(repository_id, limit = 50) {
+    return this.all(
+      `SELECT * FROM webhook_deliveries WHERE repository_id = ? ORDER BY received_at DESC LIMIT ?`,
+      [repository_id, limit]
+    );
+  }
+
+  // Agent activity operations
+
+  /**
+   * Record one activity of an agent (resolved through findAgentByAlias)
+   * @param {Object} agent - Agent row with origin_agent_id
+   * @param {Object} activity - { kind, reference, detail, occurred_at, delivery_id }
+   */
+  async saveAgentActivity(agent, activity) {
+    await this.run(
+      `INSERT INTO agent_activity (agent_id, origin_agent_id, repository_id, delivery_id, kind, reference, detail, occurred_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        agent.id,
+        agent.origin_agent_id || agent.id,
+        agent.repository_id,
+        activity.delivery_id || null,
+        activity.kind,
+        activity.reference || null,
+        activity.detail ? JSON.stringify(activity.detail) : null,
+        activity.occurred_at
+      ]
+    );
+    return this.run(
+      `UPDATE agents SET last_active_at = ? WHERE id = ? AND (last_active_at IS NULL OR last_active_at < ?)`,
+      [activity.occurred_at, agent.id, activity.occurred_at]
+    );
+  }
+
+  /**
+   * Activity counts per kind
+   * @param {number} agent_id - Agent
+   * @param {string|null} since - Only count activity at or after this timestamp
+   */
+  async getAgentActivitySummary(agent_id, since = null) {
+    return this.all(
+      `SELECT kind, COUNT(*) AS count, MAX(occurred_at) AS last_occurred_at
+       FROM agent_activity
+       WHERE agent_id = ? ${since ? 'AND occurred_at >= ?' : ''}
+       GROUP BY kind
+       ORDER BY kind`,
+      since ? [agent_id, since] : [agent_id]
+    );
+  }
+
+  async getAgentActivity(agent_id, limit = 50) {
+    return this.all(
+      `SELECT * FROM agent_activity WHERE agent_id = ? ORDER BY occurred_at DESC, id DESC LIMIT ?`,
+      [agent_id, limit]
+    );
+  }
+
+  // API token operations
+
+  async createApiToken(name, role, token_hash, token_prefix, created_by = null, expires_at = null) {
+    const result = await this.run(
+      `INSERT INTO api_tokens (name, role, token_hash, token_prefix, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, role, token_hash, token_prefix, created_by, expires_at]
+    );
+    return this.getApiToken(result.id);
+  }
+
+  /**
+   * Token metadata (never the hash)
+   */
+  async getApiToken(id) {
+    return this.get(
+      `SELECT id, name, role, token_prefix, created_by, created_at, expires_at, last_used_at, revoked_at
+       FROM api_tokens WHERE id = ?`,
+      [id]
+    );
+  }
+
+  async getApiTokens() {
+    return this.all(
+      `SELECT id, name, role, token_prefix, created_by, created_at, expires_at, last_used_at, revoked_at
+       FROM api_tokens ORDER BY created_at DESC, id DESC`
+    );
+  }
+
+  async findApiTokenByHash(token_hash) {
+    return this.get(`SELECT * FROM api_tokens WHERE token_hash = ?`, [token_hash]);
+  }
+
+  async touchApiToken(id) {
+    return this.run(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+  }
+
+  async revokeApiToken(id) {
+    await this.run(
+      `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL`,
+      [id]
+    );
+    return this.getApiToken(id);
+  }
+
   close() {
-    return new Promise((resolve, reject) => {
-      this.db.close((err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    return this.adapter.close();
   }
 }
 
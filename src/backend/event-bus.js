@@ -0,0 +1,52 @@
+/**
+ * Event Bus
+ * In-process publisher for pipeline progress (jobs, scraper steps, ingestion,
+ * analyses, improvements). GET /api/events relays it as Server-Sent Events.
+ *
+ * Recent events are kept so a reconnecting client can resume from its
+ * Last-Event-ID instead of missing what happened while it was away.
+ */
+
+const { EventEmitter } = require('events');
+
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} options - { historySize }
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per connected dashboard
+    this.historySize = options.historySize || 200;
+    this.history = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - e.g. 'scrape.step', 'analysis.completed'
+   * @param {Object} data - Payload; include repository_id so clients can filter
+   * @returns {Object} { id, type, data, timestamp }
+   */
+  publish(type, data = {}) {
+    const event = { id: ++this.lastId, type, data, timestamp: new Date().toISOString() };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Events published after the given id (oldest first)
+   */
+  since(lastEventId) {
+    const id = parseInt(lastEventId, 10);
+    if (!Number.isInteger(id)) return [];
+    return this.history.filter(event => event.id > id);
+  }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,20 @@
+/**
+ * GitHub URL helpers shared by the webhook repository lookup and the
+ * GitHub metrics source
+ */
+
+/**
+ * Reduce a GitHub URL (https, ssh, git@ or plain owner/name) to "owner/name"
+ * for comparison
+ */
+function normalizeGitHubUrl(url) {
+  if (!url) return null;
+  return url
+    .trim()
+    .toLowerCase()
+    .replace(/^(https?:\/\/|ssh:\/\/|git:\/\/)?(git@)?(www\.)?github\.com[/:]/, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+}
+
+module.exports = { normalizeGitHubUrl };
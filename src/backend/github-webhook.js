@@ -0,0 +1,213 @@
+/**
+ * GitHub Webhook Handler
+ * Verifies X-Hub-Signature-256 against the repository's secret, ignores
+ * redelivered X-GitHub-Delivery ids and turns events into agent activity:
+ *   pull_request        - opened/merged; a merge queues a scrape → analyze pipeline
+ *   pull_request_review - submitted reviews
+ *   push                - commits, attributed by author email or username
+ *   issues              - opened/closed
+ * Pull request, review and push events only count for the repository's
+ * webhook branches (WEBHOOK_BRANCHES when none are configured).
+ */
+
+const crypto = require('crypto');
+const { parseTimestamp, toSqlTimestamp } = require('./time-utils');
+
+function toTimestamp(value) {
+  return toSqlTimestamp(value ? parseTimestamp(value) : new Date());
+}
+
+class GitHubWebhook {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} jobQueue - JobQueue used for merge-triggered pipelines
+   */
+  constructor(db, jobQueue) {
+    this.db = db;
+    this.jobQueue = jobQueue;
+  }
+
+  /**
+   * Constant-time check of an X-Hub-Signature-256 header ("sha256=<hex>")
+   */
+  static verifySignature(secret, rawBody, signature) {
+    if (!secret || !rawBody || !signature || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  branchesFor(repository) {
+    const configured = repository.webhook_branches || process.env.WEBHOOK_BRANCHES || 'master';
+    return configured.split(',').map(branch => branch.trim()).filter(Boolean);
+  }
+
+  /**
+   * Process a verified delivery
+   * @param {Object} repository - Repository row
+   * @param {string} event - X-GitHub-Event
+   * @param {string} deliveryId - X-GitHub-Delivery
+   * @param {Object} payload - Event payload
+   * @returns {Object} { outcome, duplicate, activities_recorded, unmatched, job_id }
+   */
+  async handle(repository, event, deliveryId, payload) {
+    const handler = {
+      ping: () => ({ outcome: 'pong', activities: [] }),
+      pull_request: () => this.pullRequest(repository, payload),
+      pull_request_review: () => this.pullRequestReview(repository, payload),
+      push: () => this.push(repository, payload),
+      issues: () => this.issues(payload)
+    }[event];
+
+    const plan = handler ? handler() : { outcome: `ignored: unsupported event ${event}`, activities: [] };
+
+    const recorded = await this.db.transaction(async (db) => {
+      const isNew = await db.recordWebhookDelivery(deliveryId, repository.id, event, payload.action || null);
+      if (!isNew) return null;
+
+      let saved = 0;
+      const unmatched = new Set();
+      for (const activity of plan.activities) {
+        const agent = await this.resolveAgent(repository.id, activity.identities);
+        if (!agent) {
+          unmatched.add(activity.identities.find(Boolean) || 'unknown');
+          continue;
+        }
+        await db.saveAgentActivity(agent, { ...activity, delivery_id: deliveryId });
+        saved++;
+      }
+
+      await db.setWebhookDeliveryOutcome(deliveryId, plan.outcome);
+      return { saved, unmatched: [...unmatched] };
+    });
+
+    if (!recorded) {
+      return { outcome: 'duplicate delivery', duplicate: true };
+    }
+
+    // Queued after the delivery is committed so a redelivery cannot queue it twice
+    let job = null;
+    if (plan.pipeline) {
+      job = await this.jobQueue.enqueue('pipeline', repository.id, {}, 'webhook');
+      console.log(`🎯 ${plan.outcome}, queued agent health check (job ${job.id})`);
+    }
+
+    return {
+      outcome: plan.outcome,
+      duplicate: false,
+      activities_recorded: recorded.saved,
+      unmatched: recorded.unmatched,
+      job_id: job ? job.id : null
+    };
+  }
+
+  /**
+   * First identity (email, login, name) that is a known alias
+   */
+  async resolveAgent(repository_id, identities) {
+    for (const identity of identities.filter(Boolean)) {
+      const agent = await this.db.findAgentByAlias(identity, repository_id);
+      if (agent) return agent;
+    }
+    return null;
+  }
+
+  isTracked(repository, branch) {
+    return this.branchesFor(repository).includes(branch);
+  }
+
+  pullRequest(repository, payload) {
+    const pr = payload.pull_request || {};
+    const branch = pr.base?.ref;
+    if (!this.isTracked(repository, branch)) {
+      return { outcome: `ignored: branch ${branch} is not tracked`, activities: [] };
+    }
+
+    const author = [pr.user?.login];
+    const reference = `#${pr.number}`;
+
+    if (payload.action === 'closed' && pr.merged === true) {
+      return {
+        outcome: `PR ${reference} merged to ${branch}`,
+        pipeline: true,
+        activities: [{ kind: 'pr_merged', identities: author, reference, occurred_at: toTimestamp(pr.merged_at) }]
+      };
+    }
+    if (payload.action === 'opened') {
+      return {
+        outcome: `PR ${reference} opened`,
+        activities: [{ kind: 'pr_opened', identities: author, reference, occurred_at: toTimestamp(pr.created_at) }]
+      };
+    }
+    return { outcome: `ignored: pull_request ${payload.action}`, activities: [] };
+  }
+
+  pullRequestReview(repository, payload) {
+    const pr = payload.pull_request || {};
+    const review = payload.review || {};
+    const branch = pr.base?.ref;
+
+    if (payload.action !== 'submitted') {
+      return { outcome: `ignored: pull_request_review ${payload.action}`, activities: [] };
+    }
+    if (!this.isTracked(repository, branch)) {
+      return { outcome: `ignored: branch ${branch} is not tracked`, activities: [] };
+    }
+
+    return {
+      outcome: `review of PR #${pr.number} ${review.state}`,
+      activities: [{
+        kind: 'review',
+        identities: [review.user?.login],
+        reference: `#${pr.number}`,
+        detail: { state: review.state },
+        occurred_at: toTimestamp(review.submitted_at)
+      }]
+    };
+  }
+
+  push(repository, payload) {
+    const branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+    if (!this.isTracked(repository, branch)) {
+      return { outcome: `ignored: branch ${branch} is not tracked`, activities: [] };
+    }
+
+    const commits = (payload.commits || []).filter(commit => commit.distinct !== false);
+    return {
+      outcome: `push of ${commits.length} commit(s) to ${branch}`,
+      activities: commits.map(commit => ({
+        kind: 'commit',
+        identities: [commit.author?.email, commit.author?.username, commit.author?.name],
+        reference: commit.id,
+        detail: { message: (commit.message || '').split('\n')[0] },
+        occurred_at: toTimestamp(commit.timestamp)
+      }))
+    };
+  }
+
+  issues(payload) {
+    const issue = payload.issue || {};
+    const reference = `#${issue.number}`;
+
+    if (payload.action === 'opened') {
+      return {
+        outcome: `issue ${reference} opened`,
+        activities: [{ kind: 'issue_opened', identities: [issue.user?.login], reference, occurred_at: toTimestamp(issue.created_at) }]
+      };
+    }
+    if (payload.action === 'closed') {
+      return {
+        outcome: `issue ${reference} closed`,
+        activities: [{ kind: 'issue_closed', identities: [payload.sender?.login], reference, occurred_at: toTimestamp(issue.closed_at) }]
+      };
+    }
+    return { outcome: `ignored: issues ${payload.action}`, activities: [] };
+  }
+}
+
+module.exports = GitHubWebhook;
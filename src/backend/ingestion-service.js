@@ -0,0 +1,132 @@
+/**
+ * Scrape Ingestion Service
+ * Writes a whole scrape result in one transaction, tagged with a scrape run id.
+ * Each snapshot is stored with its analyzer scores, which trends and rollups read.
+ */
+
+const crypto = require('crypto');
+const AgentAnalyzer = require('../meta-agent/analyzer');
+const { scoreColumns } = require('../meta-agent/comparison');
+const { fillGaps } = require('../sources/merged-source');
+const { toSqlTimestamp, toDateString } = require('./time-utils');
+
+class IngestionService {
+  constructor(db, analyzer = null) {
+    this.db = db;
+    this.analyzer = analyzer || new AgentAnalyzer();
+  }
+
+  /**
+   * Derive a stable run id for a scrape result, so retrying the same
+   * result maps to the same run and its snapshots are skipped
+   */
+  getScrapeRunId(repository_id, scrapeResult) {
+    return crypto
+      .createHash('sha256')
+      .update(`${repository_id}:${scrapeResult.timestamp}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Map scraper agent data (camelCase) to an agent_metrics row
+   */
+  toMetricsRow(agentData) {
+    return {
+      commits: agentData.commits,
+      pull_requests: agentData.pullRequests,
+      code_reviews: agentData.codeReviews,
+      bugs_introduced: agentData.bugsIntroduced,
+      lines_added: agentData.linesAdded,
+      lines_deleted: agentData.linesDeleted,
+      tech_debt_score: agentData.techDebtScore,
+      velocity: agentData.velocity,
+      files_touched: agentData.filesTouched,
+      active_days: agentData.activeDays,
+      review_comments: agentData.reviewComments
+    };
+  }
+
+  /**
+   * Store all agents and metrics snapshots of a successful scrape
+   * @param {number} repository_id - Target repository
+   * @param {Object} scrapeResult - { success, timestamp, agents } from a scraper
+   * @param {Object} options - { scrapeRunId } to override the derived run id
+   * @returns {Object} Ingestion summary
+   */
+  async ingest(repository_id, scrapeResult, options = {}) {
+    if (!scrapeResult.success) {
+      throw new Error(`Cannot ingest failed scrape: ${scrapeResult.error}`);
+    }
+
+    const scrapeRunId = options.scrapeRunId || this.getScrapeRunId(repository_id, scrapeResult);
+
+    // Snapshots are recorded at the capture time, so replayed pages land in their own day and sprint
+    const capturedAt = scrapeResult.timestamp ? new Date(scrapeResult.timestamp) : new Date();
+    if (Number.isNaN(capturedAt.getTime())) {
+      throw new Error(`Invalid scrape timestamp: ${scrapeResult.timestamp}`);
+    }
+    const recordedAt = toSqlTimestamp(capturedAt);
+
+    const summary = await this.db.transaction(async (db) => {
+      const counts = { agents_created: 0, agents_merged: 0, snapshots_saved: 0, snapshots_skipped: 0 };
+      const sprint = await db.findSprintForDate(repository_id, toDateString(capturedAt), recordedAt);
+      counts.sprint_id = sprint?.id || null;
+
+      // Sources merge their agents by email or name; aliases can still map
+      // several of those rows to one agent, which gets one merged snapshot
+      const snapshots = new Map();
+      for (const agentData of scrapeResult.agents) {
+        // Match on email first, then on the handle, through agent aliases
+        let agent = await db.findAgentByAlias(agentData.email, repository_id) ||
+          await db.findAgentByAlias(agentData.name, repository_id);
+        if (!agent) {
+          agent = await db.addAgent(repository_id, agentData.name, agentData.email, agentData.role || null);
+          counts.agents_created++;
+        }
+
+        const originId = agent.origin_agent_id || agent.id;
+        if (snapshots.has(originId)) {
+          fillGaps(snapshots.get(originId).agentData, agentData);
+          counts.agents_merged++;
+        } else {
+          snapshots.set(originId, { agent, originId, agentData: { ...agentData } });
+        }
+      }
+
+      for (const { agent, originId, agentData } of snapshots.values()) {
+        const metrics = this.toMetricsRow(agentData);
+        const result = await db.saveAgentMetrics(agent.id, {
+          ...metrics,
+          ...scoreColumns(this.analyzer, metrics),
+          scrape_run_id: scrapeRunId,
+          sprint_id: counts.sprint_id,
+          origin_agent_id: originId,
+          recorded_at: recordedAt
+        });
+
+        if (result.changes > 0) {
+          counts.snapshots_saved++;
+        } else {
+          counts.snapshots_skipped++;
+        }
+      }
+
+      return counts;
+    });
+
+    console.log(
+      `📥 Ingested scrape run ${scrapeRunId}: ${summary.snapshots_saved} saved, ` +
+      `${summary.snapshots_skipped} already stored`
+    );
+
+    return {
+      scrape_run_id: scrapeRunId,
+      agents_updated: scrapeResult.agents.length,
+      ...summary,
+      timestamp: scrapeResult.timestamp
+    };
+  }
+}
+
+module.exports = IngestionService;
@@ -0,0 +1,52 @@
+/**
+ * Job Handlers
+ * scrape   - collect metrics from the repository's sources and ingest them
+ * analyze  - analyze the latest snapshots
+ * pipeline - scrape → ingest → analyze
+ */
+
+/**
+ * @param {Object} services - { db, scrapeRunner, analysisService }
+ * @returns {Object} Handlers keyed by job type
+ */
+function createJobHandlers({ db, scrapeRunner, analysisService }) {
+  async function scrape(job, { setStep }) {
+    const repository = await db.getRepository(job.repository_id);
+    if (!repository) {
+      throw new Error(`Repository ${job.repository_id} not found`);
+    }
+
+    await setStep('scrape');
+    const { run, ingested } = await scrapeRunner.run(repository, { triggeredBy: job.triggered_by });
+    if (run.status !== 'succeeded') {
+      throw new Error(run.error_message || 'Scrape failed');
+    }
+
+    const { scrape_run_id: snapshot_run_id, ...counts } = ingested;
+    return { scrape_run_id: run.id, snapshot_run_id, ...counts };
+  }
+
+  async function analyze(job, { setStep }) {
+    await setStep('analyze');
+    const outcome = await analysisService.analyze(job.repository_id);
+    if (!outcome) {
+      throw new Error('No agent metrics found. Run scraper first.');
+    }
+
+    return {
+      analysis_id: outcome.analysis_id,
+      sprint_id: outcome.sprint_id,
+      team_average_score: outcome.analysis.teamAverageScore
+    };
+  }
+
+  async function pipeline(job, context) {
+    const scraped = await scrape(job, context);
+    const analyzed = await analyze(job, context);
+    return { ...scraped, ...analyzed };
+  }
+
+  return { scrape, analyze, pipeline };
+}
+
+module.exports = { createJobHandlers };
@@ -0,0 +1,129 @@
+/**
+ * Background Job Queue
+ * Persists scrape/analyze jobs in the jobs table and runs them in-process.
+ * Jobs for the same repository never run concurrently, and a job that is
+ * still queued absorbs identical requests, so a burst of webhook deliveries
+ * results in one browser session per repository.
+ *
+ * Designed for a single worker process (the API server).
+ * Lifecycle changes are published as job.* events when an event bus is given.
+ */
+
+class JobQueue {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} handlers - { [type]: async (job, context) => result }
+   * @param {Object} options - { concurrency, pollIntervalMs, events }
+   */
+  constructor(db, handlers, options = {}) {
+    this.db = db;
+    this.handlers = handlers;
+    this.events = options.events || null;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.activeRepositories = new Set();
+    this.running = new Map();
+    this.draining = false;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a job, or return the identical job that is still waiting
+   * @returns {Object} Job row plus `coalesced` flag
+   */
+  async enqueue(type, repository_id, payload = {}, triggeredBy = null) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const waiting = await this.db.findQueuedJob(type, repository_id);
+    if (waiting) {
+      return { ...waiting, coalesced: true };
+    }
+
+    const job = await this.db.createJob(type, repository_id, payload, triggeredBy);
+    this.publish('job.queued', job);
+    setImmediate(() => this.drain());
+    return { ...job, coalesced: false };
+  }
+
+  /**
+   * Start processing; jobs interrupted by a restart are queued again
+   */
+  async start() {
+    const requeued = await this.db.requeueRunningJobs();
+    if (requeued > 0) {
+      console.log(`♻️  Re-queued ${requeued} interrupted job(s)`);
+    }
+
+    this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.timer.unref();
+    await this.drain();
+  }
+
+  publish(type, job, extra = {}) {
+    if (this.events) {
+      this.events.publish(type, { job_id: job.id, type: job.type, repository_id: job.repository_id, ...extra });
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start queued jobs while there is free capacity
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const candidates = await this.db.getQueuedJobs(20);
+        const next = candidates.find(job => !this.activeRepositories.has(job.repository_id));
+        if (!next) break;
+
+        const claimed = await this.db.claimJob(next.id);
+        if (!claimed) continue;
+
+        this.activeRepositories.add(next.repository_id);
+        const execution = this.execute(next).finally(() => {
+          this.activeRepositories.delete(next.repository_id);
+          this.running.delete(next.id);
+          this.drain();
+        });
+        this.running.set(next.id, execution);
+      }
+    } catch (error) {
+      console.error('❌ Job queue error:', error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async execute(job) {
+    const payload = JSON.parse(job.payload || '{}');
+    console.log(`⚙️  Running ${job.type} job ${job.id} for repository ${job.repository_id}`);
+    this.publish('job.started', job);
+
+    try {
+      const result = await this.handlers[job.type]({ ...job, payload }, {
+        setStep: async step => {
+          await this.db.updateJobStep(job.id, step);
+          this.publish('job.step', job, { step });
+        }
+      });
+      await this.db.finishJob(job.id, 'succeeded', result);
+      this.publish('job.succeeded', job, { result });
+      console.log(`✅ Job ${job.id} succeeded`);
+    } catch (error) {
+      await this.db.finishJob(job.id, 'failed', null, error.message);
+      this.publish('job.failed', job, { error: error.message });
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,116 @@
+/**
+ * Prometheus Metrics Exporter
+ * Renders agent health in the Prometheus text exposition format for GET /metrics:
+ *   agent_*_score              - latest scores of each active agent
+ *   team_*                     - figures of each repository's latest analysis
+ *   scrape_runs_total, scrape_duration_seconds_total - finished scrape runs
+ *   background_jobs            - background jobs by type and status
+ *
+ * Values are read from the database on every scrape, so counters survive
+ * restarts (they only go down when a repository is purged).
+ */
+
+const { parseTimestamp } = require('./time-utils');
+
+const AGENT_SCORES = [
+  ['health_score', 'agent_health_score', 'Latest overall health score of the agent (0-100)'],
+  ['productivity_score', 'agent_productivity_score', 'Latest productivity score of the agent (0-100)'],
+  ['quality_score', 'agent_quality_score', 'Latest quality score of the agent (0-100)'],
+  ['collaboration_score', 'agent_collaboration_score', 'Latest collaboration score of the agent (0-100)'],
+  ['reliability_score', 'agent_reliability_score', 'Latest reliability score of the agent (0-100)']
+];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function toSeconds(timestamp) {
+  return timestamp ? Math.floor(parseTimestamp(timestamp).getTime() / 1000) : null;
+}
+
+class MetricsExporter {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * @returns {string} Metrics in Prometheus text format (version 0.0.4)
+   */
+  async render() {
+    const families = new Map();
+    const add = (name, type, help, labels, value) => {
+      if (value === null || value === undefined || Number.isNaN(Number(value))) return;
+      if (!families.has(name)) {
+        families.set(name, { type, help, samples: [] });
+      }
+      families.get(name).samples.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+    };
+
+    const repositories = await this.db.getRepositories();
+    const repositoryNames = new Map(repositories.map(repo => [Number(repo.id), repo.name]));
+
+    for (const repo of repositories) {
+      const repoLabels = { repository: repo.name, repository_id: repo.id };
+
+      for (const agent of await this.db.getAgentLeaderboard(repo.id)) {
+        const labels = {
+          ...repoLabels,
+          agent: agent.display_name || agent.name,
+          agent_id: agent.id,
+          team: agent.team || ''
+        };
+        for (const [column, name, help] of AGENT_SCORES) {
+          add(name, 'gauge', help, labels, agent[column]);
+        }
+      }
+
+      const analysis = await this.db.getLatestAnalysis(repo.id);
+      if (analysis) {
+        add('team_average_score', 'gauge', 'Team average health score from the latest analysis', repoLabels, analysis.team_average_score);
+        add('team_size', 'gauge', 'Agents included in the latest analysis', repoLabels, analysis.team_size);
+        for (const status of ['critical', 'warning', 'healthy']) {
+          add('team_agents', 'gauge', 'Agents per health status in the latest analysis',
+            { ...repoLabels, status }, analysis[`${status}_count`]);
+        }
+        add('team_analysis_timestamp_seconds', 'gauge', 'When the latest analysis ran (Unix time)',
+          repoLabels, toSeconds(analysis.created_at));
+      }
+    }
+
+    // Scrape and job history of repositories that still exist
+    for (const row of await this.db.getScrapeRunStats()) {
+      const name = repositoryNames.get(Number(row.repository_id));
+      if (name === undefined) continue;
+
+      const labels = { repository: name, repository_id: row.repository_id, status: row.status };
+      add('scrape_runs_total', 'counter', 'Finished scrape runs by outcome', labels, row.runs);
+      add('scrape_duration_seconds_total', 'counter', 'Total time spent in finished scrape runs',
+        labels, Number(row.duration_ms) / 1000);
+      if (row.status === 'succeeded') {
+        add('scrape_last_success_timestamp_seconds', 'gauge', 'When the latest successful scrape finished (Unix time)',
+          { repository: name, repository_id: row.repository_id }, toSeconds(row.last_finished_at));
+      }
+    }
+
+    for (const row of await this.db.getJobStats()) {
+      const name = repositoryNames.get(Number(row.repository_id));
+      if (name === undefined) continue;
+
+      add('background_jobs', 'gauge', 'Background jobs by type and status',
+        { repository: name, repository_id: row.repository_id, type: row.type, status: row.status }, row.jobs);
+    }
+
+    const lines = [];
+    for (const [name, family] of families) {
+      lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`, ...family.samples);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = MetricsExporter;
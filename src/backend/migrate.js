@@ -0,0 +1,69 @@
+/**
+ * Schema Migration CLI
+ * Usage: node src/backend/migrate.js [up [version] | down [steps] | status]
+ */
+
+const Database = require('./database');
+const Migrator = require('./migrator');
+require('dotenv').config();
+
+/**
+ * Parse a CLI number strictly ("3" but not "3x", "-1" or "abc")
+ */
+function parseCount(value, label) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${label} "${value}": expected a whole number`);
+  }
+  return parseInt(value, 10);
+}
+
+async function main(args) {
+  const [command = 'up', arg] = args;
+
+  const db = new Database();
+  await db.connect();
+  const migrator = new Migrator(db);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate(arg !== undefined ? parseCount(arg, 'version') : null);
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : '✅ Schema is up to date');
+        break;
+      }
+
+      case 'down': {
+        const reverted = await migrator.rollback(arg !== undefined ? parseCount(arg, 'number of steps') : 1);
+        console.log(`✅ Reverted ${reverted.length} migration(s)`);
+        break;
+      }
+
+      case 'status': {
+        const migrations = await migrator.status();
+        migrations.forEach(m => {
+          console.log(`  ${m.applied ? '✓' : '·'} ${String(m.version).padStart(3, '0')}_${m.name}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,96 @@
+/**
+ * Migration 001 - Initial schema
+ * Repositories, agents, metrics snapshots, analyses and improvements
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS repositories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      path TEXT NOT NULL,
+      github_url TEXT,
+      techdebtgpt_url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS agents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id),
+      UNIQUE(repository_id, email)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS agent_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      commits INTEGER DEFAULT 0,
+      pull_requests INTEGER DEFAULT 0,
+      code_reviews INTEGER DEFAULT 0,
+      bugs_introduced INTEGER DEFAULT 0,
+      lines_added INTEGER DEFAULT 0,
+      lines_deleted INTEGER DEFAULT 0,
+      tech_debt_score REAL DEFAULT 0,
+      velocity REAL DEFAULT 0,
+      health_score REAL DEFAULT 0,
+      productivity_score REAL DEFAULT 0,
+      quality_score REAL DEFAULT 0,
+      collaboration_score REAL DEFAULT 0,
+      reliability_score REAL DEFAULT 0,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS analyses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id INTEGER NOT NULL,
+      team_size INTEGER,
+      team_average_score REAL,
+      lowest_performer_id INTEGER,
+      lowest_performer_score REAL,
+      highest_performer_id INTEGER,
+      highest_performer_score REAL,
+      critical_count INTEGER DEFAULT 0,
+      warning_count INTEGER DEFAULT 0,
+      healthy_count INTEGER DEFAULT 0,
+      analysis_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id),
+      FOREIGN KEY (lowest_performer_id) REFERENCES agents(id),
+      FOREIGN KEY (highest_performer_id) REFERENCES agents(id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS improvements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      analysis_id INTEGER,
+      improvement_type TEXT,
+      root_causes TEXT,
+      recommendations TEXT,
+      changes_applied TEXT,
+      applied BOOLEAN DEFAULT 0,
+      result TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      FOREIGN KEY (analysis_id) REFERENCES analyses(id)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_agent_metrics_agent_id ON agent_metrics(agent_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_agent_metrics_recorded_at ON agent_metrics(recorded_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_analyses_repo ON analyses(repository_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_improvements_agent ON improvements(agent_id)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS improvements`,
+    `DROP TABLE IF EXISTS analyses`,
+    `DROP TABLE IF EXISTS agent_metrics`,
+    `DROP TABLE IF EXISTS agents`,
+    `DROP TABLE IF EXISTS repositories`
+  ]
+};
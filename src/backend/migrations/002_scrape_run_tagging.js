@@ -0,0 +1,17 @@
+/**
+ * Migration 002 - Scrape run tagging
+ * Tags each metrics snapshot with the scrape run that produced it;
+ * one snapshot per agent per run makes re-ingestion idempotent
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE agent_metrics ADD COLUMN scrape_run_id TEXT`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_metrics_run_agent ON agent_metrics(scrape_run_id, agent_id)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_agent_metrics_run_agent`,
+    `ALTER TABLE agent_metrics DROP COLUMN scrape_run_id`
+  ]
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 003 - Scrape run provenance
+ * One row per scrape attempt with status, timing and the raw extracted payload
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS scrape_runs (
+      id TEXT PRIMARY KEY,
+      repository_id INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'techdebtgpt',
+      triggered_by TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME,
+      duration_ms INTEGER,
+      error_message TEXT,
+      screenshot_paths TEXT,
+      agent_count INTEGER DEFAULT 0,
+      raw_payload TEXT,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_scrape_runs_repo ON scrape_runs(repository_id, started_at)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS scrape_runs`
+  ]
+};
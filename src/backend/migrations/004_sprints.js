@@ -0,0 +1,35 @@
+/**
+ * Migration 004 - Sprints
+ * Per-repository time windows that metrics snapshots and analyses belong to
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS sprints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      closed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id)
+    )`,
+
+    `ALTER TABLE agent_metrics ADD COLUMN sprint_id INTEGER REFERENCES sprints(id)`,
+    `ALTER TABLE analyses ADD COLUMN sprint_id INTEGER REFERENCES sprints(id)`,
+
+    `CREATE INDEX IF NOT EXISTS idx_sprints_repo ON sprints(repository_id, start_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_agent_metrics_sprint ON agent_metrics(sprint_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_analyses_sprint ON analyses(sprint_id)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_analyses_sprint`,
+    `DROP INDEX IF EXISTS idx_agent_metrics_sprint`,
+    `ALTER TABLE analyses DROP COLUMN sprint_id`,
+    `ALTER TABLE agent_metrics DROP COLUMN sprint_id`,
+    `DROP TABLE IF EXISTS sprints`
+  ]
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration 005 - Agent aliases
+ * Several emails/handles can map to one canonical agent. Agents merged
+ * into another keep their row (merged_into_id) and rows moved by a merge
+ * remember their origin_agent_id so the merge can be split again.
+ * Snapshot idempotency moves to (scrape_run_id, origin_agent_id), since two
+ * merged identities may both have a snapshot from the same scrape run.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS agent_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repository_id INTEGER NOT NULL,
+      agent_id INTEGER NOT NULL,
+      origin_agent_id INTEGER NOT NULL,
+      alias TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id),
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      FOREIGN KEY (origin_agent_id) REFERENCES agents(id),
+      UNIQUE(repository_id, alias)
+    )`,
+
+    `ALTER TABLE agents ADD COLUMN merged_into_id INTEGER`,
+    `ALTER TABLE agent_metrics ADD COLUMN origin_agent_id INTEGER`,
+    `ALTER TABLE improvements ADD COLUMN origin_agent_id INTEGER`,
+
+    `INSERT INTO agent_aliases (repository_id, agent_id, origin_agent_id, alias)
+     SELECT repository_id, id, id, LOWER(email) FROM agents WHERE 1 = 1
+     ON CONFLICT DO NOTHING`,
+    `UPDATE agent_metrics SET origin_agent_id = agent_id`,
+    `UPDATE improvements SET origin_agent_id = agent_id`,
+
+    `DROP INDEX IF EXISTS idx_agent_metrics_run_agent`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_metrics_run_origin ON agent_metrics(scrape_run_id, origin_agent_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_agent_aliases_agent ON agent_aliases(agent_id)`
+  ],
+
+  down: [
+    `DROP INDEX IF EXISTS idx_agent_aliases_agent`,
+    `DROP INDEX IF EXISTS idx_agent_metrics_run_origin`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_metrics_run_agent ON agent_metrics(scrape_run_id, agent_id)`,
+    `ALTER TABLE improvements DROP COLUMN origin_agent_id`,
+    `ALTER TABLE agent_metrics DROP COLUMN origin_agent_id`,
+    `ALTER TABLE agents DROP COLUMN merged_into_id`,
+    `DROP TABLE IF EXISTS agent_aliases`
+  ]
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 006 - Metric rollups
+ * Daily and weekly min/max/avg of each score per agent, so raw
+ * agent_metrics rows can be pruned by the retention policy
+ */
+
+// The score columns as of this migration; the app's list (meta-agent/comparison.js)
+// may grow, but the tables created here must not change with it
+const SCORE_FIELDS = [
+  'health_score',
+  'productivity_score',
+  'quality_score',
+  'collaboration_score',
+  'reliability_score'
+];
+
+function rollupTable(name) {
+  const scoreColumns = SCORE_FIELDS
+    .map(field => `${field}_min REAL, ${field}_max REAL, ${field}_avg REAL`)
+    .join(',\n      ');
+
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      period_start TEXT NOT NULL,
+      samples INTEGER DEFAULT 0,
+      ${scoreColumns},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      UNIQUE(agent_id, period_start)
+    )`;
+}
+
+module.exports = {
+  up: [
+    rollupTable('agent_metrics_daily'),
+    rollupTable('agent_metrics_weekly')
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS agent_metrics_weekly`,
+    `DROP TABLE IF EXISTS agent_metrics_daily`
+  ]
+};
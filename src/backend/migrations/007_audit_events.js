@@ -0,0 +1,31 @@
+/**
+ * Migration 007 - Audit events
+ * One row per mutating API request: who, what, outcome and touched files
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT NOT NULL,
+      method TEXT NOT NULL,
+      action TEXT NOT NULL,
+      path TEXT NOT NULL,
+      payload_summary TEXT,
+      status_code INTEGER,
+      result TEXT NOT NULL,
+      error_message TEXT,
+      affected_files TEXT,
+      ip_address TEXT,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS audit_events`
+  ]
+};
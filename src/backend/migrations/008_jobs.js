@@ -0,0 +1,32 @@
+/**
+ * Migration 008 - Background jobs
+ * Persisted scrape/analyze jobs processed by the job queue worker
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      repository_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      step TEXT,
+      payload TEXT,
+      result TEXT,
+      error_message TEXT,
+      triggered_by TEXT,
+      attempts INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, id)`,
+    `CREATE INDEX IF NOT EXISTS idx_jobs_repo ON jobs(repository_id, created_at)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS jobs`
+  ]
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration 009 - GitHub webhooks
+ * Per-repository webhook secret and branches, processed deliveries (for
+ * dedupe on X-GitHub-Delivery) and agent activity recorded from events
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE repositories ADD COLUMN webhook_secret TEXT`,
+    `ALTER TABLE repositories ADD COLUMN webhook_branches TEXT`,
+    `ALTER TABLE agents ADD COLUMN last_active_at DATETIME`,
+
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      repository_id INTEGER,
+      event TEXT NOT NULL,
+      action TEXT,
+      outcome TEXT,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS agent_activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      origin_agent_id INTEGER,
+      repository_id INTEGER NOT NULL,
+      delivery_id TEXT,
+      kind TEXT NOT NULL,
+      reference TEXT,
+      detail TEXT,
+      occurred_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      FOREIGN KEY (repository_id) REFERENCES repositories(id)
+    )`,
+
+    `CREATE INDEX IF NOT EXISTS idx_agent_activity_agent ON agent_activity(agent_id, occurred_at)`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS agent_activity`,
+    `DROP TABLE IF EXISTS webhook_deliveries`,
+    `ALTER TABLE agents DROP COLUMN last_active_at`,
+    `ALTER TABLE repositories DROP COLUMN webhook_branches`,
+    `ALTER TABLE repositories DROP COLUMN webhook_secret`
+  ]
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 010 - API tokens
+ * Tokens are stored as SHA-256 hashes; only the prefix is kept for display
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )`
+  ],
+
+  down: [
+    `DROP TABLE IF EXISTS api_tokens`
+  ]
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 011 - Repository schedules
+ * Cron expression per repository for periodic scrape + analyze runs, and the
+ * scheduler's bookkeeping (last and next run) so missed runs survive restarts
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE repositories ADD COLUMN schedule_cron TEXT`,
+    `ALTER TABLE repositories ADD COLUMN schedule_enabled INTEGER DEFAULT 1`,
+    `ALTER TABLE repositories ADD COLUMN schedule_catch_up INTEGER DEFAULT 1`,
+    `ALTER TABLE repositories ADD COLUMN schedule_last_run_at DATETIME`,
+    `ALTER TABLE repositories ADD COLUMN schedule_next_run_at DATETIME`
+  ],
+
+  down: [
+    `ALTER TABLE repositories DROP COLUMN schedule_next_run_at`,
+    `ALTER TABLE repositories DROP COLUMN schedule_last_run_at`,
+    `ALTER TABLE repositories DROP COLUMN schedule_catch_up`,
+    `ALTER TABLE repositories DROP COLUMN schedule_enabled`,
+    `ALTER TABLE repositories DROP COLUMN schedule_cron`
+  ]
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 012 - Repository and agent lifecycle
+ * Soft-deleted repositories keep their history; agents get a display name,
+ * an owning team and an active/archived status
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE repositories ADD COLUMN deleted_at DATETIME`,
+    `ALTER TABLE agents ADD COLUMN display_name TEXT`,
+    `ALTER TABLE agents ADD COLUMN team TEXT`,
+    `ALTER TABLE agents ADD COLUMN status TEXT DEFAULT 'active'`,
+    `ALTER TABLE agents ADD COLUMN archived_at DATETIME`,
+    `ALTER TABLE agents ADD COLUMN updated_at DATETIME`
+  ],
+
+  down: [
+    `ALTER TABLE agents DROP COLUMN updated_at`,
+    `ALTER TABLE agents DROP COLUMN archived_at`,
+    `ALTER TABLE agents DROP COLUMN status`,
+    `ALTER TABLE agents DROP COLUMN team`,
+    `ALTER TABLE agents DROP COLUMN display_name`,
+    `ALTER TABLE repositories DROP COLUMN deleted_at`
+  ]
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 013 - Metrics sources
+ * Which metrics sources (see src/sources) a repository is scraped with, as a
+ * JSON array in priority order; NULL uses METRICS_SOURCES
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE repositories ADD COLUMN metrics_sources TEXT`
+  ],
+
+  down: [
+    `ALTER TABLE repositories DROP COLUMN metrics_sources`
+  ]
+};
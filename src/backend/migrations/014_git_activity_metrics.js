@@ -0,0 +1,17 @@
+/**
+ * Migration 014 - Git activity metrics
+ * Files touched and active days per snapshot, reported by the git history
+ * collector (src/sources/git-source.js)
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE agent_metrics ADD COLUMN files_touched INTEGER DEFAULT 0`,
+    `ALTER TABLE agent_metrics ADD COLUMN active_days INTEGER DEFAULT 0`
+  ],
+
+  down: [
+    `ALTER TABLE agent_metrics DROP COLUMN active_days`,
+    `ALTER TABLE agent_metrics DROP COLUMN files_touched`
+  ]
+};
@@ -0,0 +1,62 @@
+/**
+ * Migration 015 - Snapshot scores
+ * Snapshots used to be stored with every score at 0; score them from their
+ * raw metrics the way ingestion did when this migration was written. The
+ * formula is copied here (from meta-agent/analyzer.js at that time) so the
+ * migration writes the same data however the app's scoring changes later.
+ * The next rollup run refreshes the rollups of periods that still have raw rows.
+ */
+
+const SCORE_FIELDS = [
+  'health_score',
+  'productivity_score',
+  'quality_score',
+  'collaboration_score',
+  'reliability_score'
+];
+
+/**
+ * AgentAnalyzer.calculateHealthScore as of this migration, on an agent_metrics row
+ */
+function scoreSnapshot(row) {
+  const value = column => Number(row[column]) || 0;
+
+  const productivity = Math.round((
+    Math.min((value('commits') / 5) * 100, 100) +
+    Math.min((value('pull_requests') / 2) * 100, 100)
+  ) / 2);
+  const quality = Math.round(Math.max(0, (
+    (100 - value('bugs_introduced') * 10) +
+    Math.max(0, 100 - value('tech_debt_score'))
+  ) / 2));
+  const collaboration = Math.round(Math.min((value('code_reviews') / 3) * 100, 100));
+  const reliability = Math.round(Math.min(value('velocity') * 10, 100));
+
+  return {
+    health_score: Math.round(productivity * 0.3 + quality * 0.35 + collaboration * 0.2 + reliability * 0.15),
+    productivity_score: productivity,
+    quality_score: quality,
+    collaboration_score: collaboration,
+    reliability_score: reliability
+  };
+}
+
+module.exports = {
+  up: async (db) => {
+    const rows = await db.all(
+      `SELECT * FROM agent_metrics WHERE ${SCORE_FIELDS.map(field => `COALESCE(${field}, 0) = 0`).join(' AND ')}`
+    );
+
+    for (const row of rows) {
+      const scores = scoreSnapshot(row);
+      await db.run(
+        `UPDATE agent_metrics SET ${SCORE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...SCORE_FIELDS.map(field => scores[field]), row.id]
+      );
+    }
+  },
+
+  // No reverse: once ingestion stores scores, backfilled snapshots cannot be told
+  // apart from later ones, and putting the zeros back would only lose data
+  down: []
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 016 - Review comments
+ * Inline review comments left on other authors' pull requests, reported by
+ * the GitHub collector (src/sources/github-source.js)
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE agent_metrics ADD COLUMN review_comments INTEGER DEFAULT 0`
+  ],
+
+  down: [
+    `ALTER TABLE agent_metrics DROP COLUMN review_comments`
+  ]
+};
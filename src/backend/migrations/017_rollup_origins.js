@@ -0,0 +1,74 @@
+/**
+ * Migration 017 - Rollup origins
+ * Rollup rows remember the agent identity they were computed for
+ * (origin_agent_id), like agent_metrics, so merging agents moves them and
+ * splitting moves them back. One agent can now hold several rows per period
+ * (one per merged identity); readers combine them.
+ * Existing rows belong to their own agent. Rows from older archives may
+ * have no origin and then stay with the agent they were merged into.
+ */
+
+const TABLES = ['agent_metrics_daily', 'agent_metrics_weekly'];
+
+// The score columns as of this migration (see 006_metric_rollups.js)
+const SCORE_FIELDS = [
+  'health_score',
+  'productivity_score',
+  'quality_score',
+  'collaboration_score',
+  'reliability_score'
+];
+
+const STAT_COLUMNS = SCORE_FIELDS.flatMap(field => [`${field}_min`, `${field}_max`, `${field}_avg`]);
+
+function createTable(name, withOrigin) {
+  const scoreColumns = STAT_COLUMNS.map(column => `${column} REAL`).join(',\n      ');
+
+  return `CREATE TABLE ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id INTEGER NOT NULL,
+      ${withOrigin ? 'origin_agent_id INTEGER,\n      ' : ''}period_start TEXT NOT NULL,
+      samples INTEGER DEFAULT 0,
+      ${scoreColumns},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents(id),
+      UNIQUE(${withOrigin ? 'agent_id, origin_agent_id' : 'agent_id'}, period_start)
+    )`;
+}
+
+/**
+ * Rebuild a rollup table from a SELECT over the current one; ids are not
+ * copied (nothing references them) so PostgreSQL sequences stay valid
+ */
+async function rebuild(db, name, withOrigin, select) {
+  const columns = ['agent_id', ...(withOrigin ? ['origin_agent_id'] : []), 'period_start', 'samples', ...STAT_COLUMNS];
+
+  await db.run(createTable(`${name}_rebuilt`, withOrigin));
+  await db.run(`INSERT INTO ${name}_rebuilt (${columns.join(', ')}) ${select}`);
+  await db.run(`DROP TABLE ${name}`);
+  await db.run(`ALTER TABLE ${name}_rebuilt RENAME TO ${name}`);
+}
+
+module.exports = {
+  up: async (db) => {
+    for (const name of TABLES) {
+      await rebuild(db, name, true,
+        `SELECT agent_id, agent_id, period_start, samples, ${STAT_COLUMNS.join(', ')} FROM ${name}`);
+    }
+  },
+
+  // Rows of merged identities are combined into one row per agent and period again
+  down: async (db) => {
+    const combined = SCORE_FIELDS.flatMap(field => [
+      `MIN(${field}_min)`,
+      `MAX(${field}_max)`,
+      `SUM(${field}_avg * samples) / NULLIF(SUM(samples), 0)`
+    ]);
+
+    for (const name of TABLES) {
+      await rebuild(db, name, false,
+        `SELECT agent_id, period_start, SUM(samples), ${combined.join(', ')}
+         FROM ${name} GROUP BY agent_id, period_start`);
+    }
+  }
+};
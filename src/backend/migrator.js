@@ -0,0 +1,166 @@
+/**
+ * Schema Migrator
+ * Applies numbered up/down migrations from src/backend/migrations
+ * and records them in the schema_migrations table
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(db, migrationsDir = null) {
+    this.db = db;
+    this.migrationsDir = migrationsDir || path.join(__dirname, 'migrations');
+  }
+
+  /**
+   * Load migration modules sorted by version
+   * @returns {Array} Migrations ({ version, name, up, down })
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        version: parseInt(match[1], 10),
+        name: match[2],
+        ...require(path.join(this.migrationsDir, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    const seen = new Set();
+    for (const migration of migrations) {
+      if (seen.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      seen.add(migration.version);
+    }
+
+    return migrations;
+  }
+
+  async ensureMigrationsTable() {
+    await this.db.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  }
+
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.db.all(`SELECT version FROM schema_migrations ORDER BY version`);
+    return rows.map(row => row.version);
+  }
+
+  /**
+   * Report applied and pending migrations
+   */
+  async status() {
+    const applied = new Set(await this.getAppliedVersions());
+
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version)
+    }));
+  }
+
+  /**
+   * Apply all pending migrations, optionally up to a target version
+   * @param {number|null} targetVersion - Highest version to apply
+   * @returns {Array} Applied migrations
+   */
+  async migrate(targetVersion = null) {
+    if (targetVersion !== null && !(Number.isInteger(targetVersion) && targetVersion >= 0)) {
+      throw new Error(`Invalid target version: ${targetVersion} (expected a non-negative integer)`);
+    }
+
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = this.loadMigrations().filter(migration =>
+      !applied.has(migration.version) &&
+      (targetVersion === null || migration.version <= targetVersion)
+    );
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${this.label(migration)}`);
+      await this.execute(migration, 'up', async () => {
+        await this.db.run(
+          `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+          [migration.version, migration.name]
+        );
+      });
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {number} steps - Number of migrations to revert (a positive integer)
+   * @returns {Array} Reverted migrations
+   */
+  async rollback(steps = 1) {
+    // applied.slice(-steps) selects every migration for 0 or NaN and all but one for -1
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`Invalid number of steps: ${steps} (expected a positive integer)`);
+    }
+
+    const applied = await this.getAppliedVersions();
+    const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+    const toRevert = applied.slice(-steps).reverse();
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      console.log(`⬇️  Reverting migration ${this.label(migration)}`);
+      await this.execute(migration, 'down', async () => {
+        await this.db.run(`DELETE FROM schema_migrations WHERE version = ?`, [version]);
+      });
+      reverted.push({ version, name: migration.name });
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Run one direction of a migration inside a transaction
+   */
+  async execute(migration, direction, record) {
+    const step = migration[direction];
+    if (!step) {
+      throw new Error(`Migration ${this.label(migration)} has no "${direction}" step`);
+    }
+
+    try {
+      await this.db.transaction(async (db) => {
+        if (typeof step === 'function') {
+          await step(db);
+        } else {
+          for (const sql of step) {
+            await db.run(sql);
+          }
+        }
+        await record();
+      });
+    } catch (error) {
+      throw new Error(
+        `Migration ${this.label(migration)} (${direction}) failed: ${error.message}`
+      );
+    }
+  }
+
+  label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = Migrator;
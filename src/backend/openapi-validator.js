@@ -0,0 +1,221 @@
+/**
+ * OpenAPI Validation Middleware
+ * Checks path/query/header parameters and JSON bodies of /api requests
+ * against openapi.js and answers mismatches with a structured 400:
+ *   { error: 'Request validation failed',
+ *     details: [{ location: 'body', field: 'repo_id', message: 'must be integer' }] }
+ *
+ * Responses are checked too (OPENAPI_RESPONSE_VALIDATION):
+ *   warn   - log mismatches (default outside production)
+ *   strict - replace mismatching responses with a 500
+ *   off    - skip (default in production)
+ */
+
+const Ajv = require('ajv');
+
+const SPEC_ID = 'openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Point local refs (#/components/...) at the registered document so
+ * schemas can be compiled on their own
+ */
+function qualifyRefs(value) {
+  if (Array.isArray(value)) return value.map(qualifyRefs);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    key === '$ref' && typeof item === 'string' && item.startsWith('#/') ? `${SPEC_ID}${item}` : qualifyRefs(item)
+  ]));
+}
+
+function formatErrors(location, errors) {
+  return errors.map(error => {
+    const segments = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') segments.push(error.params.missingProperty);
+
+    return {
+      location,
+      field: segments.join('.'),
+      message: error.keyword === 'required' ? 'is required' : error.message
+    };
+  });
+}
+
+class OpenApiValidator {
+  /**
+   * @param {Object} spec - OpenAPI document
+   * @param {Object} options - { responses: 'warn' | 'strict' | 'off' }
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.responseMode = options.responses ||
+      process.env.OPENAPI_RESPONSE_VALIDATION ||
+      (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+    const ajvOptions = { allErrors: true, strict: false, validateFormats: false };
+    this.ajv = new Ajv(ajvOptions);
+    // Query, path and header values arrive as strings
+    this.parameterAjv = new Ajv({ ...ajvOptions, coerceTypes: true });
+
+    const components = qualifyRefs({ components: spec.components });
+    this.ajv.addSchema({ $id: SPEC_ID, ...components });
+    this.parameterAjv.addSchema({ $id: SPEC_ID, ...components });
+
+    this.routes = this.buildRoutes();
+    this.validators = new Map();
+  }
+
+  /**
+   * One matcher per operation; literal paths win over templated ones
+   * (/api/analyses/diff before /api/analyses/{id}). Like Express routes,
+   * matchers ignore case and a trailing slash.
+   */
+  buildRoutes() {
+    const routes = [];
+
+    for (const [template, pathItem] of Object.entries(this.spec.paths)) {
+      const names = [];
+      const pattern = new RegExp(`^${template.replace(/\{(\w+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+      })}/?$`, 'i');
+
+      for (const method of METHODS) {
+        if (!pathItem[method]) continue;
+        routes.push({
+          method: method.toUpperCase(),
+          template,
+          pattern,
+          names,
+          operation: pathItem[method],
+          parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])].map(p => this.resolve(p))
+        });
+      }
+    }
+
+    return routes.sort((a, b) => a.names.length - b.names.length);
+  }
+
+  resolve(object) {
+    if (!object || !object.$ref) return object;
+    const path = object.$ref.replace(/^#\//, '').split('/');
+    return path.reduce((node, key) => node[key], this.spec);
+  }
+
+  match(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const found = route.pattern.exec(path);
+      if (found) {
+        const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(found[i + 1])]));
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  compile(key, schema, ajv = this.ajv) {
+    if (!this.validators.has(key)) {
+      this.validators.set(key, ajv.compile(qualifyRefs(schema)));
+    }
+    return this.validators.get(key);
+  }
+
+  /**
+   * @returns {Array} Validation errors (empty when the request is valid)
+   */
+  validateRequest(req, { route, params }) {
+    const details = [];
+    const sources = {
+      path: name => params[name],
+      query: name => req.query[name],
+      header: name => req.get(name)
+    };
+
+    for (const parameter of route.parameters) {
+      const value = sources[parameter.in](parameter.name);
+      if (value === undefined || value === '') {
+        if (parameter.required) {
+          details.push({ location: parameter.in, field: parameter.name, message: 'is required' });
+        }
+        continue;
+      }
+
+      const validate = this.compile(
+        `${route.method} ${route.template} ${parameter.in}:${parameter.name}`,
+        parameter.schema,
+        this.parameterAjv
+      );
+      const schemaErrors = validate(value) ? [] : validate.errors;
+      details.push(...schemaErrors.map(error => ({
+        location: parameter.in,
+        field: parameter.name,
+        message: error.message
+      })));
+    }
+
+    const requestBody = this.resolve(route.operation.requestBody);
+    const schema = requestBody?.content?.['application/json']?.schema;
+    if (schema) {
+      const validate = this.compile(`${route.method} ${route.template} body`, schema);
+      if (!validate(req.body)) {
+        details.push(...formatErrors('body', validate.errors));
+      }
+    }
+
+    return details;
+  }
+
+  validateResponse(route, statusCode, payload) {
+    const responses = route.operation.responses || {};
+    const response = this.resolve(responses[statusCode] || responses.default);
+    if (!response) {
+      return [`status ${statusCode} is not documented`];
+    }
+
+    const schema = response.content?.['application/json']?.schema;
+    if (!schema) return [];
+
+    const validate = this.compile(`${route.method} ${route.template} ${statusCode} response`, schema);
+    // Validate what the client receives (Dates become strings, undefined disappears)
+    const body = JSON.parse(JSON.stringify(payload) ?? 'null');
+    return validate(body) ? [] : formatErrors('response', validate.errors).map(e => `${e.field || '(root)'} ${e.message}`);
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!req.path.toLowerCase().startsWith('/api/')) return next();
+
+      const matched = this.match(req.method, req.path);
+      if (!matched) return next();
+
+      const details = this.validateRequest(req, matched);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Request validation failed', details });
+      }
+
+      if (this.responseMode !== 'off') {
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+          const problems = this.validateResponse(matched.route, res.statusCode, payload);
+          if (problems.length === 0) return json(payload);
+
+          const label = `${req.method} ${matched.route.template} → ${res.statusCode}`;
+          if (this.responseMode === 'strict') {
+            console.error(`❌ Response does not match OpenAPI spec (${label}):`, problems.join('; '));
+            res.status(500);
+            return json({ error: 'Response does not match the API specification' });
+          }
+          console.warn(`⚠️  Response does not match OpenAPI spec (${label}):`, problems.join('; '));
+          return json(payload);
+        };
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = OpenApiValidator;
@@ -0,0 +1,1290 @@
+/**
+ * OpenAPI 3 document for the backend API (served at /api/openapi.json).
+ * Request bodies and parameters are enforced by openapi-validator.js, so
+ * a route added to server.js must be described here as well.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const body = (schema, required = true) => ({ required, ...json(schema) });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const error = description => ok(description, ref('Error'));
+const arrayOf = schema => ({ type: 'array', items: schema });
+
+const nullableString = { type: 'string', nullable: true };
+const nullableInteger = { type: 'integer', nullable: true };
+const nullableNumber = { type: 'number', nullable: true };
+
+// Error responses shared by most operations
+const errors = {
+  400: { $ref: '#/components/responses/ValidationError' },
+  401: error('Missing or invalid API token'),
+  403: error('Token lacks the required role'),
+  500: error('Unexpected error')
+};
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, schema, description });
+const pathId = (name = 'id', description = 'Numeric id') => ({
+  name, in: 'path', required: true, schema: ref('Id'), description
+});
+
+/**
+ * Build an operation; `role` is the minimum token role (see auth.js)
+ */
+function operation(tag, summary, role, spec) {
+  return {
+    tags: [tag],
+    summary,
+    ...(role && { description: `Requires the \`${role}\` role.`, 'x-required-role': role }),
+    ...spec,
+    responses: { ...errors, ...spec.responses }
+  };
+}
+
+const page = (key, item) => ({
+  type: 'object',
+  required: [key, 'page', 'page_size', 'total', 'total_pages'],
+  properties: {
+    [key]: arrayOf(ref(item)),
+    page: { type: 'integer' },
+    page_size: { type: 'integer' },
+    total: { type: 'integer' },
+    total_pages: { type: 'integer' }
+  }
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Agent Health Monitor API',
+    version: '1.0.0',
+    description: 'Agent metrics, analyses, sprints, improvements and administration of the TechDebtGPT agent health monitor.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
+  tags: [
+    { name: 'System' }, { name: 'Repositories' }, { name: 'Agents' }, { name: 'Scraping' },
+    { name: 'Jobs' }, { name: 'Analyses' }, { name: 'Sprints' }, { name: 'Improvements' },
+    { name: 'Administration' }, { name: 'Webhooks' }, { name: 'Schedules' }
+  ],
+
+  paths: {
+    '/api/health': {
+      get: {
+        tags: ['System'],
+        summary: 'Health check',
+        security: [],
+        responses: {
+          200: ok('Service is up', {
+            type: 'object',
+            required: ['status', 'timestamp'],
+            properties: { status: { type: 'string' }, timestamp: { type: 'string' } }
+          })
+        }
+      }
+    },
+
+    '/api/openapi.json': {
+      get: {
+        tags: ['System'],
+        summary: 'This document',
+        security: [],
+        responses: { 200: ok('OpenAPI document', { type: 'object' }) }
+      }
+    },
+
+    '/metrics': {
+      get: {
+        tags: ['System'],
+        summary: 'Prometheus metrics (agent scores, team health, scrape runs, jobs)',
+        description: 'Send METRICS_TOKEN, ADMIN_TOKEN or an API token as a bearer token (open only with AUTH_DISABLED=true).',
+        security: [{ bearerAuth: [] }, { apiKey: [] }],
+        responses: {
+          200: {
+            description: 'Prometheus text exposition format',
+            content: { 'text/plain': { schema: { type: 'string' } } }
+          },
+          401: { description: 'No valid token was sent' }
+        }
+      }
+    },
+
+    '/api/auth/me': {
+      get: operation('System', 'Role of the calling token', 'viewer', {
+        responses: {
+          200: ok('Token identity', {
+            type: 'object',
+            required: ['role'],
+            properties: { role: ref('Role'), token_id: nullableInteger, name: { type: 'string' } }
+          })
+        }
+      })
+    },
+
+    '/api/repos': {
+      get: operation('Repositories', 'List target repositories', 'viewer', {
+        parameters: [query('include_deleted', { type: 'boolean', default: false }, 'Include soft-deleted repositories')],
+        responses: { 200: ok('Repositories', arrayOf(ref('Repository'))) }
+      }),
+      post: operation('Repositories', 'Add a target repository', 'admin', {
+        requestBody: body({
+          type: 'object',
+          required: ['name', 'path'],
+          properties: {
+            name: ref('NonEmptyString'),
+            path: ref('NonEmptyString'),
+            techdebtgpt_url: nullableString,
+            github_url: nullableString,
+            metrics_sources: ref('MetricsSources')
+          }
+        }),
+        responses: { 200: ok('Created repository', ref('Repository')) }
+      })
+    },
+
+    '/api/sources': {
+      get: operation('Repositories', 'Available metrics sources', 'viewer', {
+        responses: {
+          200: ok('Sources', arrayOf({
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string' }, description: { type: 'string' } }
+          }))
+        }
+      })
+    },
+
+    '/api/repos/{id}': {
+      parameters: [pathId('id', 'Repository id')],
+      get: operation('Repositories', 'Get a repository', 'viewer', {
+        responses: {
+          200: ok('Repository', ref('Repository')),
+          404: error('Repository not found')
+        }
+      }),
+      put: operation('Repositories', 'Replace repository settings (omitted URLs and sources are reset)', 'admin', {
+        requestBody: body({
+          type: 'object',
+          required: ['name', 'path'],
+          properties: {
+            name: ref('NonEmptyString'),
+            path: ref('NonEmptyString'),
+            techdebtgpt_url: nullableString,
+            github_url: nullableString,
+            metrics_sources: ref('MetricsSources')
+          }
+        }),
+        responses: {
+          200: ok('Updated repository', ref('Repository')),
+          404: error('Repository not found')
+        }
+      }),
+      patch: operation('Repositories', 'Change repository settings', 'admin', {
+        requestBody: body({
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: ref('NonEmptyString'),
+            path: ref('NonEmptyString'),
+            techdebtgpt_url: nullableString,
+            github_url: nullableString,
+            metrics_sources: ref('MetricsSources')
+          }
+        }),
+        responses: {
+          200: ok('Updated repository', ref('Repository')),
+          404: error('Repository not found')
+        }
+      }),
+      delete: operation('Repositories', 'Soft-delete a repository, or purge it with all its data', 'admin', {
+        parameters: [query('purge', { type: 'boolean', default: false }, 'Delete the repository and its history permanently')],
+        responses: {
+          200: ok('Deleted', {
+            type: 'object',
+            required: ['success', 'id', 'purged'],
+            properties: {
+              success: { type: 'boolean' },
+              id: { type: 'integer' },
+              purged: { type: 'boolean' },
+              deleted_at: { type: 'string' }
+            }
+          }),
+          404: error('Repository not found')
+        }
+      })
+    },
+
+    '/api/repos/{id}/restore': {
+      parameters: [pathId('id', 'Repository id')],
+      post: operation('Repositories', 'Restore a soft-deleted repository', 'admin', {
+        responses: {
+          200: ok('Restored repository', ref('Repository')),
+          404: error('Repository not found'),
+          409: error('Repository is not deleted')
+        }
+      })
+    },
+
+    '/api/repos/{id}/webhook': {
+      parameters: [pathId('id', 'Repository id')],
+      get: operation('Webhooks', 'Webhook configuration and recent deliveries', 'admin', {
+        parameters: [param('Limit')],
+        responses: {
+          200: ok('Webhook configuration', {
+            type: 'object',
+            required: ['branches', 'secret_configured', 'deliveries'],
+            properties: {
+              branches: arrayOf({ type: 'string' }),
+              secret_configured: { type: 'boolean' },
+              deliveries: arrayOf(ref('WebhookDelivery'))
+            }
+          }),
+          404: error('Repository not found')
+        }
+      }),
+      put: operation('Webhooks', 'Configure the webhook secret and tracked branches', 'admin', {
+        requestBody: body({
+          type: 'object',
+          properties: {
+            secret: nullableString,
+            branches: { type: 'array', nullable: true, items: { type: 'string', pattern: '^[^,\\s]+$' } }
+          }
+        }),
+        responses: {
+          200: ok('Updated repository', ref('Repository')),
+          404: error('Repository not found')
+        }
+      })
+    },
+
+    '/api/repos/{id}/schedule': {
+      parameters: [pathId('id', 'Repository id')],
+      get: operation('Schedules', 'Schedule, last run and upcoming runs of a repository', 'viewer', {
+        responses: {
+          200: ok('Schedule', ref('Schedule')),
+          404: error('Repository not found')
+        }
+      }),
+      put: operation('Schedules', 'Set the cron schedule of a repository', 'admin', {
+        requestBody: body({
+          type: 'object',
+          properties: {
+            cron: { ...nullableString, description: 'Five-field cron expression (UTC) or @daily/@hourly/...; null uses DEFAULT_SCHEDULE' },
+            enabled: { type: 'boolean' },
+            catch_up: { type: 'boolean', description: 'Run once after a restart if runs were missed' }
+          }
+        }),
+        responses: {
+          200: ok('Updated schedule', ref('Schedule')),
+          404: error('Repository not found')
+        }
+      })
+    },
+
+    '/api/schedules': {
+      get: operation('Schedules', 'Schedules of all repositories', 'viewer', {
+        responses: { 200: ok('Schedules', arrayOf(ref('Schedule'))) }
+      })
+    },
+
+    '/api/agents': {
+      get: operation('Agents', 'List canonical agents of a repository', 'viewer', {
+        parameters: [
+          param('RepoIdRequired'),
+          query('status', { type: 'string', enum: ['active', 'archived', 'all'], default: 'active' }, 'Agent status')
+        ],
+        responses: { 200: ok('Agents', arrayOf(ref('Agent'))) }
+      }),
+      post: operation('Agents', 'Register an agent', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['repo_id', 'name', 'email'],
+          properties: {
+            repo_id: ref('Id'),
+            name: ref('NonEmptyString'),
+            email: ref('NonEmptyString'),
+            role: nullableString,
+            display_name: nullableString,
+            team: nullableString
+          }
+        }),
+        responses: {
+          201: ok('Created agent', ref('Agent')),
+          404: error('Repository not found'),
+          409: error('Email already belongs to an agent')
+        }
+      })
+    },
+
+    '/api/agents/{id}': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Get an agent', 'viewer', {
+        responses: {
+          200: ok('Agent', ref('Agent')),
+          404: error('Agent not found')
+        }
+      }),
+      patch: operation('Agents', 'Change name, display name, role, team or status', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          minProperties: 1,
+          properties: {
+            name: ref('NonEmptyString'),
+            display_name: nullableString,
+            role: nullableString,
+            team: nullableString,
+            status: ref('AgentStatus')
+          }
+        }),
+        responses: {
+          200: ok('Updated agent', ref('Agent')),
+          404: error('Agent not found')
+        }
+      }),
+      delete: operation('Agents', 'Archive an agent (history is kept)', 'analyst', {
+        responses: {
+          200: ok('Archived agent', ref('Agent')),
+          404: error('Agent not found')
+        }
+      })
+    },
+
+    '/api/agents/merge': {
+      post: operation('Agents', 'Merge one agent into another', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['source_agent_id', 'target_agent_id'],
+          properties: { source_agent_id: ref('Id'), target_agent_id: ref('Id') }
+        }),
+        responses: {
+          200: ok('Merged agent', ref('AgentWithAliases')),
+          404: error('Agent not found'),
+          409: error('Agent was already merged')
+        }
+      })
+    },
+
+    '/api/agents/{id}/metrics': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Metrics snapshots of an agent, newest first', 'viewer', {
+        parameters: [query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 30 }, 'Maximum number of snapshots')],
+        responses: { 200: ok('Snapshots', arrayOf(ref('AgentMetrics'))) }
+      })
+    },
+
+    '/api/agents/{id}/trend': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Score trends: moving average, EWMA, slope and direction', 'viewer', {
+        parameters: [
+          query('window_days', { type: 'integer', minimum: 1, maximum: 365, default: 30 }, 'Days of history to include'),
+          query('period', { type: 'string', enum: ['snapshot', 'daily', 'weekly'], default: 'snapshot' },
+            'Raw snapshots or daily/weekly rollup averages'),
+          query('ma_window', { type: 'integer', minimum: 1, maximum: 100, default: 7 }, 'Moving average window (samples)'),
+          query('alpha', { type: 'number', exclusiveMinimum: 0, maximum: 1, default: 0.3 }, 'EWMA smoothing factor'),
+          query('threshold', { type: 'number', minimum: 0, default: 1 },
+            'Slope (points per week) beyond which a dimension is improving or declining')
+        ],
+        responses: {
+          200: ok('Trends', {
+            type: 'object',
+            required: ['agent_id', 'period', 'window_days', 'samples', 'dimensions'],
+            properties: {
+              agent_id: { type: 'integer' },
+              agent_name: { type: 'string' },
+              period: { type: 'string' },
+              window_days: { type: 'integer' },
+              from: { type: 'string' },
+              to: { type: 'string' },
+              samples: { type: 'integer' },
+              dimensions: {
+                type: 'object',
+                required: ['health', 'productivity', 'quality', 'collaboration', 'reliability'],
+                additionalProperties: ref('ScoreTrend')
+              }
+            }
+          }),
+          404: error('Agent not found')
+        }
+      })
+    },
+
+    '/api/agents/{id}/rollups': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Daily or weekly score rollups of an agent', 'viewer', {
+        parameters: [
+          query('period', { type: 'string', enum: ['daily', 'weekly'], default: 'daily' }, 'Rollup period'),
+          query('since', ref('Date'), 'First period start to include')
+        ],
+        responses: { 200: ok('Rollups', arrayOf(ref('Rollup'))) }
+      })
+    },
+
+    '/api/agents/{id}/activity': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Activity recorded from GitHub webhooks', 'viewer', {
+        parameters: [query('since', ref('Date'), 'Count activity from this date'), param('Limit')],
+        responses: {
+          200: ok('Activity', {
+            type: 'object',
+            required: ['agent_id', 'summary', 'recent'],
+            properties: {
+              agent_id: { type: 'integer' },
+              last_active_at: nullableString,
+              summary: arrayOf({
+                type: 'object',
+                properties: { kind: { type: 'string' }, count: { type: 'integer' }, last_occurred_at: nullableString }
+              }),
+              recent: arrayOf(ref('Activity'))
+            }
+          }),
+          404: error('Agent not found')
+        }
+      })
+    },
+
+    '/api/agents/{id}/aliases': {
+      parameters: [pathId('id', 'Agent id')],
+      get: operation('Agents', 'Emails and handles that resolve to an agent', 'viewer', {
+        responses: { 200: ok('Aliases', arrayOf(ref('Alias'))) }
+      }),
+      post: operation('Agents', 'Add an alias to an agent', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['alias'],
+          properties: { alias: ref('NonEmptyString') }
+        }),
+        responses: {
+          200: ok('Created alias', ref('Alias')),
+          404: error('Agent not found'),
+          409: error('Alias taken or agent merged')
+        }
+      })
+    },
+
+    '/api/agents/{id}/split': {
+      parameters: [pathId('id', 'Agent id')],
+      post: operation('Agents', 'Undo a merge', 'analyst', {
+        responses: {
+          200: ok('Restored agent', ref('AgentWithAliases')),
+          404: error('Agent not found'),
+          409: error('Agent is not merged')
+        }
+      })
+    },
+
+    '/api/scrape': {
+      post: operation('Scraping', 'Queue a TechDebtGPT scrape', 'analyst', {
+        requestBody: body(ref('RepoIdBody')),
+        responses: {
+          202: ok('Queued (or already queued) job', ref('Job')),
+          404: error('Repository not found')
+        }
+      })
+    },
+
+    '/api/scrape-runs': {
+      get: operation('Scraping', 'List scrape runs', 'viewer', {
+        parameters: [
+          param('RepoId'),
+          query('status', { type: 'string', enum: ['running', 'succeeded', 'failed'] }, 'Run status'),
+          param('Limit')
+        ],
+        responses: { 200: ok('Scrape runs', arrayOf(ref('ScrapeRun'))) }
+      })
+    },
+
+    '/api/scrape-runs/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Scrape run id' }],
+      get: operation('Scraping', 'Scrape run including the raw payload', 'viewer', {
+        responses: {
+          200: ok('Scrape run', ref('ScrapeRun')),
+          404: error('Scrape run not found')
+        }
+      })
+    },
+
+    '/api/jobs': {
+      get: operation('Jobs', 'List jobs, newest first', 'viewer', {
+        parameters: [
+          param('RepoId'),
+          query('status', ref('JobStatus'), 'Job status'),
+          query('type', ref('JobType'), 'Job type'),
+          param('Limit')
+        ],
+        responses: { 200: ok('Jobs', arrayOf(ref('Job'))) }
+      }),
+      post: operation('Jobs', 'Queue a job', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['type', 'repo_id'],
+          properties: { type: ref('JobType'), repo_id: ref('Id') }
+        }),
+        responses: {
+          202: ok('Queued (or already queued) job', ref('Job')),
+          404: error('Repository not found')
+        }
+      })
+    },
+
+    '/api/jobs/{id}': {
+      parameters: [pathId('id', 'Job id')],
+      get: operation('Jobs', 'Job status, step and result', 'viewer', {
+        responses: {
+          200: ok('Job', ref('Job')),
+          404: error('Job not found')
+        }
+      })
+    },
+
+    '/api/events/ticket': {
+      post: operation('Jobs', 'Single-use ticket for opening /api/events with EventSource', 'viewer', {
+        responses: {
+          200: ok('Ticket, valid for one request within a minute', {
+            type: 'object',
+            required: ['ticket', 'expires_at'],
+            properties: { ticket: { type: 'string' }, expires_at: { type: 'string' } }
+          })
+        }
+      })
+    },
+
+    '/api/events': {
+      get: operation('Jobs', 'Stream pipeline progress (Server-Sent Events)', 'viewer', {
+        security: [{ bearerAuth: [] }, { apiKey: [] }, { eventTicket: [] }],
+        parameters: [
+          param('RepoId'),
+          { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' }, description: 'Resume after this event id' }
+        ],
+        responses: {
+          200: {
+            description: 'Event stream. Event types: job.queued, job.started, job.step, job.succeeded, ' +
+              'job.failed, scrape.step, scrape.completed, ingest.completed, analysis.completed, ' +
+              'improvement.applied. Each data line is a JSON object with repository_id and timestamp.',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          }
+        }
+      })
+    },
+
+    '/api/analyze': {
+      post: operation('Analyses', 'Analyze the latest snapshots of a repository', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['repo_id'],
+          properties: { repo_id: ref('Id'), sprint_id: ref('Id') }
+        }),
+        responses: {
+          200: ok('Team analysis', {
+            allOf: [ref('TeamAnalysis'), {
+              type: 'object',
+              properties: { analysis_id: { type: 'integer' }, sprint_id: nullableInteger }
+            }]
+          }),
+          400: error('No agent metrics to analyze'),
+          404: error('Repository not found, or sprint not found for this repository')
+        }
+      })
+    },
+
+    '/api/analyses': {
+      get: operation('Analyses', 'Page through stored analyses, newest first', 'viewer', {
+        parameters: [
+          param('RepoId'),
+          query('from', ref('DateOrTimestamp'), 'Earliest creation time'),
+          query('to', ref('DateOrTimestamp'), 'Latest creation time (a date includes the whole day)'),
+          param('Page'),
+          query('page_size', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Analyses per page')
+        ],
+        responses: { 200: ok('Analyses', page('analyses', 'AnalysisSummary')) }
+      })
+    },
+
+    '/api/analyses/diff': {
+      get: operation('Analyses', 'Compare two analyses of the same repository', 'viewer', {
+        parameters: [
+          query('from', ref('Id'), 'Earlier analysis id', true),
+          query('to', ref('Id'), 'Later analysis id', true)
+        ],
+        responses: {
+          200: ok('Diff', ref('AnalysisDiff')),
+          404: error('Analysis not found')
+        }
+      })
+    },
+
+    '/api/compare': {
+      get: operation('Analyses', 'Compare two agents, or one agent in two time windows', 'viewer', {
+        parameters: [
+          query('agent_a', ref('Id'), 'First agent (compare two agents)'),
+          query('agent_b', ref('Id'), 'Second agent (compare two agents)'),
+          query('from', ref('DateOrTimestamp'), 'Window start for both agents'),
+          query('to', ref('DateOrTimestamp'), 'Window end for both agents'),
+          query('agent_id', ref('Id'), 'Agent (compare two windows)'),
+          query('from_a', ref('DateOrTimestamp'), 'Start of window A'),
+          query('to_a', ref('DateOrTimestamp'), 'End of window A'),
+          query('from_b', ref('DateOrTimestamp'), 'Start of window B'),
+          query('to_b', ref('DateOrTimestamp'), 'End of window B')
+        ],
+        responses: {
+          200: ok('Comparison', ref('Comparison')),
+          404: error('Agent not found')
+        }
+      })
+    },
+
+    '/api/analyses/{id}': {
+      parameters: [pathId('id', 'Analysis id')],
+      get: operation('Analyses', 'Stored analysis with its full report', 'viewer', {
+        responses: {
+          200: ok('Analysis', ref('Analysis')),
+          404: error('Analysis not found')
+        }
+      })
+    },
+
+    '/api/sprints': {
+      get: operation('Sprints', 'List sprints of a repository', 'viewer', {
+        parameters: [param('RepoIdRequired')],
+        responses: { 200: ok('Sprints', arrayOf(ref('Sprint'))) }
+      }),
+      post: operation('Sprints', 'Create a sprint and attach existing data in its range', 'analyst', {
+        requestBody: body({
+          type: 'object',
+          required: ['repo_id', 'name', 'start_date', 'end_date'],
+          properties: {
+            repo_id: ref('Id'),
+            name: ref('NonEmptyString'),
+            start_date: ref('Date'),
+            end_date: ref('Date')
+          }
+        }),
+        responses: {
+          200: ok('Created sprint', ref('Sprint')),
+          404: error('Repository not found'),
+          409: error('Overlaps an existing sprint')
+        }
+      })
+    },
+
+    '/api/sprints/{id}': {
+      parameters: [pathId('id', 'Sprint id')],
+      get: operation('Sprints', 'Sprint with its agents and analyses', 'viewer', {
+        responses: {
+          200: ok('Sprint', ref('Sprint')),
+          404: error('Sprint not found')
+        }
+      })
+    },
+
+    '/api/sprints/{id}/close': {
+      parameters: [pathId('id', 'Sprint id')],
+      post: operation('Sprints', 'Close a sprint', 'analyst', {
+        responses: {
+          200: ok('Closed sprint', ref('Sprint')),
+          404: error('Sprint not found'),
+          409: error('Sprint is already closed')
+        }
+      })
+    },
+
+    '/api/improve': {
+      post: operation('Improvements', 'Generate (and optionally apply) improvements for an agent', 'analyst', {
+        description: 'Requires the `analyst` role; `auto_apply` writes agent files and requires `admin`.',
+        requestBody: body({
+          type: 'object',
+          required: ['agent_id', 'analysis'],
+          properties: {
+            agent_id: ref('Id'),
+            analysis: {
+              type: 'object',
+              description: 'Team analysis (POST /api/analyze) whose lowest performer is the agent',
+              required: ['lowestPerformer'],
+              properties: {
+                lowestPerformer: {
+                  type: 'object',
+                  required: ['score', 'breakdown'],
+                  properties: { score: nullableNumber, breakdown: { type: 'object' } }
+                }
+              }
+            },
+            auto_apply: { type: 'boolean' }
+          }
+        }),
+        responses: {
+          200: ok('Improvements', {
+            type: 'object',
+            required: ['success', 'improvements', 'applied'],
+            properties: { success: { type: 'boolean' }, improvements: {}, applied: {} }
+          }),
+          404: error('Agent not found')
+        }
+      })
+    },
+
+    '/api/leaderboard': {
+      get: operation('Agents', 'Agents ranked by latest health score', 'viewer', {
+        parameters: [param('RepoIdRequired')],
+        responses: { 200: ok('Leaderboard', arrayOf({ type: 'object' })) }
+      })
+    },
+
+    '/api/improvements/{agent_id}': {
+      parameters: [pathId('agent_id', 'Agent id')],
+      get: operation('Improvements', 'Improvement history of an agent', 'viewer', {
+        responses: { 200: ok('Improvements', arrayOf({ type: 'object' })) }
+      })
+    },
+
+    '/api/export': {
+      get: operation('Administration', 'Export data as a JSON archive', 'admin', {
+        parameters: [param('RepoId')],
+        responses: { 200: ok('Archive', ref('Archive')) }
+      })
+    },
+
+    '/api/import': {
+      post: operation('Administration', 'Import a JSON archive', 'admin', {
+        requestBody: body(ref('Archive')),
+        responses: {
+          200: ok('Rows imported per table', {
+            type: 'object',
+            required: ['success', 'imported'],
+            properties: {
+              success: { type: 'boolean' },
+              imported: { type: 'object', additionalProperties: { type: 'integer' } }
+            }
+          })
+        }
+      })
+    },
+
+    '/api/audit': {
+      get: operation('Administration', 'Page through the audit log', 'admin', {
+        parameters: [
+          query('actor', { type: 'string' }, 'Actor, e.g. token:ci'),
+          query('action', { type: 'string' }, 'Action, e.g. "POST /api/improve"'),
+          query('result', { type: 'string', enum: ['success', 'failure'] }, 'Outcome'),
+          query('from', ref('DateOrTimestamp'), 'Earliest event time'),
+          query('to', ref('DateOrTimestamp'), 'Latest event time (a date includes the whole day)'),
+          param('Page'),
+          query('page_size', { type: 'integer', minimum: 1, maximum: 200, default: 50 }, 'Events per page')
+        ],
+        responses: { 200: ok('Audit events', page('events', 'AuditEvent')) }
+      })
+    },
+
+    '/api/tokens': {
+      get: operation('Administration', 'List API tokens', 'admin', {
+        responses: { 200: ok('Tokens', arrayOf(ref('ApiToken'))) }
+      }),
+      post: operation('Administration', 'Create an API token (the token is only returned here)', 'admin', {
+        requestBody: body({
+          type: 'object',
+          required: ['name', 'role'],
+          properties: {
+            name: ref('NonEmptyString'),
+            role: ref('Role'),
+            expires_in_days: { type: 'number', exclusiveMinimum: 0, nullable: true }
+          }
+        }),
+        responses: {
+          201: ok('Created token', {
+            allOf: [ref('ApiToken'), { type: 'object', required: ['token'], properties: { token: { type: 'string' } } }]
+          })
+        }
+      })
+    },
+
+    '/api/tokens/{id}': {
+      parameters: [pathId('id', 'Token id')],
+      delete: operation('Administration', 'Revoke an API token', 'admin', {
+        responses: {
+          200: ok('Revoked token', ref('ApiToken')),
+          404: error('Token not found')
+        }
+      })
+    },
+
+    '/api/webhook/github': {
+      post: {
+        tags: ['Webhooks'],
+        summary: 'GitHub webhook receiver (signed with the repository webhook secret)',
+        security: [],
+        parameters: [
+          { name: 'X-GitHub-Event', in: 'header', required: true, schema: { type: 'string' } },
+          { name: 'X-GitHub-Delivery', in: 'header', required: true, schema: { type: 'string' } },
+          { name: 'X-Hub-Signature-256', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        requestBody: body({ type: 'object' }),
+        responses: {
+          200: ok('Delivery processed', {
+            type: 'object',
+            required: ['received'],
+            properties: {
+              received: { type: 'boolean' },
+              outcome: { type: 'string' },
+              duplicate: { type: 'boolean' },
+              activities_recorded: { type: 'integer' },
+              unmatched: arrayOf({ type: 'string' }),
+              job_id: nullableInteger
+            }
+          }),
+          400: { $ref: '#/components/responses/ValidationError' },
+          401: error('Invalid webhook signature, unknown repository or no secret configured'),
+          404: error('Repository not registered (deliveries signed with GITHUB_WEBHOOK_SECRET)'),
+          500: error('Unexpected error')
+        }
+      }
+    }
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      // Only accepted by /api/events (EventSource cannot send headers); see /api/events/ticket
+      eventTicket: { type: 'apiKey', in: 'query', name: 'ticket' }
+    },
+
+    parameters: {
+      RepoId: query('repo_id', { $ref: '#/components/schemas/Id' }, 'Repository id'),
+      RepoIdRequired: query('repo_id', { $ref: '#/components/schemas/Id' }, 'Repository id', true),
+      Limit: query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 50 }, 'Maximum number of items'),
+      Page: query('page', { type: 'integer', minimum: 1, default: 1 }, '1-based page number')
+    },
+
+    responses: {
+      // Validation failures carry details; routes also reject invalid values they check themselves
+      ValidationError: ok('Request does not match this document or was rejected by the route', {
+        anyOf: [ref('ValidationError'), ref('Error')]
+      })
+    },
+
+    schemas: {
+      Id: { type: 'integer', minimum: 1 },
+      NonEmptyString: { type: 'string', pattern: '\\S' },
+      Date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', example: '2025-01-31' },
+      DateOrTimestamp: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}([T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$' },
+      Role: { type: 'string', enum: ['viewer', 'analyst', 'admin'] },
+      JobType: { type: 'string', enum: ['scrape', 'analyze', 'pipeline'] },
+      JobStatus: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['error', 'details'],
+        properties: {
+          error: { type: 'string' },
+          details: arrayOf({
+            type: 'object',
+            required: ['location', 'field', 'message'],
+            properties: {
+              location: { type: 'string', enum: ['path', 'query', 'header', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          })
+        }
+      },
+
+      RepoIdBody: {
+        type: 'object',
+        required: ['repo_id'],
+        properties: { repo_id: ref('Id') }
+      },
+
+      Repository: {
+        type: 'object',
+        required: ['id', 'name', 'path'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          path: { type: 'string' },
+          github_url: nullableString,
+          techdebtgpt_url: nullableString,
+          webhook_branches: arrayOf({ type: 'string' }),
+          webhook_secret_configured: { type: 'boolean' },
+          metrics_sources: arrayOf({ type: 'string' }),
+          created_at: { type: 'string' },
+          updated_at: { type: 'string' },
+          deleted_at: nullableString
+        }
+      },
+
+      MetricsSources: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 1,
+        nullable: true,
+        description: 'Metrics source names in priority order (GET /api/sources); null uses METRICS_SOURCES'
+      },
+
+      Schedule: {
+        type: 'object',
+        required: ['repository_id', 'cron', 'enabled', 'catch_up', 'next_run_at', 'upcoming'],
+        properties: {
+          repository_id: { type: 'integer' },
+          repository_name: { type: 'string' },
+          cron: nullableString,
+          source: { type: 'string', enum: ['repository', 'default', null], nullable: true },
+          enabled: { type: 'boolean' },
+          catch_up: { type: 'boolean' },
+          last_run_at: nullableString,
+          next_run_at: nullableString,
+          upcoming: arrayOf({ type: 'string' })
+        }
+      },
+
+      Agent: {
+        type: 'object',
+        required: ['id', 'repository_id', 'name', 'email'],
+        properties: {
+          id: { type: 'integer' },
+          repository_id: { type: 'integer' },
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: nullableString,
+          display_name: nullableString,
+          team: nullableString,
+          status: ref('AgentStatus'),
+          archived_at: nullableString,
+          merged_into_id: nullableInteger,
+          last_active_at: nullableString,
+          created_at: { type: 'string' },
+          updated_at: nullableString
+        }
+      },
+      AgentStatus: { type: 'string', enum: ['active', 'archived'] },
+      ScoreTrend: {
+        type: 'object',
+        required: ['samples', 'latest', 'moving_average', 'ewma', 'slope_per_week', 'direction', 'series'],
+        properties: {
+          samples: { type: 'integer' },
+          first: nullableNumber,
+          latest: nullableNumber,
+          change: nullableNumber,
+          moving_average: nullableNumber,
+          ewma: nullableNumber,
+          slope_per_day: nullableNumber,
+          slope_per_week: nullableNumber,
+          direction: { type: 'string', enum: ['improving', 'stable', 'declining', 'insufficient_data'] },
+          series: arrayOf({
+            type: 'object',
+            required: ['timestamp', 'value'],
+            properties: {
+              timestamp: { type: 'string' },
+              value: { type: 'number' },
+              moving_average: { type: 'number' },
+              ewma: { type: 'number' }
+            }
+          })
+        }
+      },
+      AgentWithAliases: {
+        type: 'object',
+        required: ['success', 'agent', 'aliases'],
+        properties: {
+          success: { type: 'boolean' },
+          agent: ref('Agent'),
+          aliases: arrayOf(ref('Alias')),
+          canonical_agent_id: { type: 'integer' }
+        }
+      },
+      Alias: {
+        type: 'object',
+        required: ['agent_id', 'alias'],
+        properties: {
+          id: { type: 'integer' },
+          agent_id: { type: 'integer' },
+          origin_agent_id: { type: 'integer' },
+          repository_id: { type: 'integer' },
+          alias: { type: 'string' }
+        }
+      },
+      AgentMetrics: {
+        type: 'object',
+        required: ['id', 'agent_id'],
+        properties: {
+          id: { type: 'integer' },
+          agent_id: { type: 'integer' },
+          commits: nullableInteger,
+          pull_requests: nullableInteger,
+          code_reviews: nullableInteger,
+          bugs_introduced: nullableInteger,
+          lines_added: nullableInteger,
+          lines_deleted: nullableInteger,
+          files_touched: nullableInteger,
+          active_days: nullableInteger,
+          review_comments: nullableInteger,
+          health_score: nullableNumber,
+          productivity_score: nullableNumber,
+          quality_score: nullableNumber,
+          collaboration_score: nullableNumber,
+          reliability_score: nullableNumber,
+          scrape_run_id: nullableString,
+          sprint_id: nullableInteger,
+          recorded_at: { type: 'string' }
+        }
+      },
+      Rollup: {
+        type: 'object',
+        required: ['agent_id', 'period_start', 'samples'],
+        properties: {
+          agent_id: { type: 'integer' },
+          period_start: ref('Date'),
+          samples: { type: 'integer' },
+          health_score_min: nullableNumber,
+          health_score_max: nullableNumber,
+          health_score_avg: nullableNumber
+        }
+      },
+      Activity: {
+        type: 'object',
+        required: ['id', 'agent_id', 'kind'],
+        properties: {
+          id: { type: 'integer' },
+          agent_id: { type: 'integer' },
+          kind: { type: 'string' },
+          reference: nullableString,
+          detail: { type: 'object', nullable: true },
+          delivery_id: nullableString,
+          occurred_at: { type: 'string' }
+        }
+      },
+
+      ScrapeRun: {
+        type: 'object',
+        required: ['id', 'repository_id', 'status'],
+        properties: {
+          id: { type: 'string' },
+          repository_id: { type: 'integer' },
+          source: { type: 'string' },
+          triggered_by: nullableString,
+          status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+          started_at: { type: 'string' },
+          finished_at: nullableString,
+          duration_ms: nullableInteger,
+          error_message: nullableString,
+          screenshot_paths: arrayOf({ type: 'string' }),
+          agent_count: nullableInteger,
+          raw_payload: { description: 'Data extracted by the scraper (single run only)' }
+        }
+      },
+
+      Job: {
+        type: 'object',
+        required: ['id', 'type', 'repository_id', 'status'],
+        properties: {
+          id: { type: 'integer' },
+          type: ref('JobType'),
+          repository_id: { type: 'integer' },
+          status: ref('JobStatus'),
+          step: nullableString,
+          payload: { type: 'object', nullable: true },
+          result: { type: 'object', nullable: true },
+          error_message: nullableString,
+          triggered_by: nullableString,
+          attempts: { type: 'integer' },
+          coalesced: { type: 'boolean', description: 'true when an identical job was already queued' },
+          created_at: { type: 'string' },
+          started_at: nullableString,
+          finished_at: nullableString
+        }
+      },
+
+      TeamAnalysis: {
+        type: 'object',
+        description: 'Report produced by AgentAnalyzer.performFullAnalysis',
+        properties: {
+          timestamp: { type: 'string' },
+          teamAverageScore: nullableNumber,
+          lowestPerformer: { type: 'object', nullable: true },
+          allAgents: arrayOf({ type: 'object' })
+        }
+      },
+      AnalysisSummary: {
+        type: 'object',
+        required: ['id', 'repository_id'],
+        properties: {
+          id: { type: 'integer' },
+          repository_id: { type: 'integer' },
+          sprint_id: nullableInteger,
+          team_average_score: nullableNumber,
+          lowest_performer_id: nullableInteger,
+          highest_performer_id: nullableInteger,
+          created_at: { type: 'string' }
+        }
+      },
+      Analysis: {
+        allOf: [ref('AnalysisSummary'), {
+          type: 'object',
+          required: ['analysis'],
+          properties: { analysis: ref('TeamAnalysis') }
+        }]
+      },
+      AnalysisDiff: {
+        type: 'object',
+        required: ['from', 'to', 'team_average', 'agents', 'status_transitions'],
+        properties: {
+          from: { type: 'object' },
+          to: { type: 'object' },
+          team_average: { type: 'object' },
+          agents: arrayOf({ type: 'object' }),
+          status_transitions: arrayOf({ type: 'object' }),
+          added_agents: arrayOf({ type: 'object' }),
+          removed_agents: arrayOf({ type: 'object' }),
+          lowest_performer: { type: 'object' }
+        }
+      },
+
+      Delta: {
+        type: 'object',
+        required: ['absolute', 'percent'],
+        properties: { absolute: nullableNumber, percent: nullableNumber }
+      },
+      RootCause: {
+        type: 'object',
+        required: ['category', 'issue', 'severity'],
+        properties: {
+          category: { type: 'string' },
+          issue: { type: 'string' },
+          severity: { type: 'string' }
+        }
+      },
+      ComparisonSide: {
+        type: 'object',
+        required: ['agent_id', 'snapshots', 'metrics', 'health', 'root_causes'],
+        properties: {
+          agent_id: { type: 'integer' },
+          agent_name: { type: 'string' },
+          from: nullableString,
+          to: nullableString,
+          snapshots: { type: 'integer' },
+          metrics: { type: 'object', nullable: true, additionalProperties: { type: 'number' } },
+          health: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              overall: { type: 'integer' },
+              status: { type: 'string', enum: ['healthy', 'warning', 'critical'] },
+              breakdown: { type: 'object', additionalProperties: { type: 'number' } },
+              weights: { type: 'object', additionalProperties: { type: 'number' } }
+            }
+          },
+          root_causes: arrayOf(ref('RootCause'))
+        }
+      },
+      Comparison: {
+        type: 'object',
+        required: ['mode', 'a', 'b', 'deltas', 'root_causes'],
+        properties: {
+          mode: { type: 'string', enum: ['agents', 'windows'] },
+          a: ref('ComparisonSide'),
+          b: ref('ComparisonSide'),
+          deltas: {
+            type: 'object',
+            required: ['metrics', 'scores'],
+            properties: {
+              metrics: { type: 'object', additionalProperties: ref('Delta') },
+              scores: { type: 'object', additionalProperties: ref('Delta') }
+            }
+          },
+          root_causes: {
+            type: 'object',
+            required: ['appeared', 'disappeared', 'persisting'],
+            properties: {
+              appeared: arrayOf(ref('RootCause')),
+              disappeared: arrayOf(ref('RootCause')),
+              persisting: arrayOf(ref('RootCause'))
+            }
+          }
+        }
+      },
+
+      Sprint: {
+        type: 'object',
+        required: ['id', 'repository_id', 'name', 'start_date', 'end_date', 'status'],
+        properties: {
+          id: { type: 'integer' },
+          repository_id: { type: 'integer' },
+          name: { type: 'string' },
+          start_date: ref('Date'),
+          end_date: ref('Date'),
+          status: { type: 'string', enum: ['active', 'closed'] },
+          closed_at: nullableString,
+          attached: { type: 'object', description: 'Rows attached on creation' },
+          agents: arrayOf({ type: 'object' }),
+          analyses: arrayOf({ type: 'object' })
+        }
+      },
+
+      AuditEvent: {
+        type: 'object',
+        required: ['id', 'actor', 'method', 'action', 'status_code', 'result'],
+        properties: {
+          id: { type: 'integer' },
+          actor: { type: 'string' },
+          method: { type: 'string' },
+          action: { type: 'string' },
+          path: { type: 'string' },
+          payload_summary: { type: 'object', nullable: true },
+          status_code: { type: 'integer' },
+          result: { type: 'string', enum: ['success', 'failure'] },
+          error_message: nullableString,
+          affected_files: arrayOf({ type: 'string' }),
+          ip_address: nullableString,
+          duration_ms: nullableInteger,
+          created_at: { type: 'string' }
+        }
+      },
+
+      ApiToken: {
+        type: 'object',
+        required: ['id', 'name', 'role', 'token_prefix'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          role: ref('Role'),
+          token_prefix: { type: 'string' },
+          created_by: nullableString,
+          created_at: { type: 'string' },
+          expires_at: nullableString,
+          last_used_at: nullableString,
+          revoked_at: nullableString
+        }
+      },
+
+      WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'event'],
+        properties: {
+          id: { type: 'string' },
+          repository_id: nullableInteger,
+          event: { type: 'string' },
+          action: nullableString,
+          outcome: nullableString,
+          received_at: { type: 'string' }
+        }
+      },
+
+      Archive: {
+        type: 'object',
+        required: ['format', 'version', 'tables'],
+        properties: {
+          format: { type: 'string', enum: ['agent-health-archive'] },
+          version: { type: 'integer', minimum: 1 },
+          schema_version: { type: 'integer' },
+          exported_at: { type: 'string' },
+          tables: { type: 'object', additionalProperties: arrayOf({ type: 'object' }) }
+        }
+      }
+    }
+  }
+};
+
+module.exports = spec;
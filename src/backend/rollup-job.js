@@ -0,0 +1,115 @@
+/**
+ * Metrics Rollup Job
+ * Aggregates raw agent_metrics snapshots into daily and weekly rollups
+ * (min/max/avg per score) and prunes raw rows past the retention window.
+ * The scores are the analyzer scores IngestionService stores with each snapshot.
+ *
+ * The retention cutoff is aligned to the start of a week, so every period
+ * that still has raw rows has all of them and can be recomputed safely.
+ */
+
+const { DAY_MS, parseTimestamp, toSqlTimestamp, toDateString, startOfWeek } = require('./time-utils');
+const { SCORE_FIELDS } = require('../meta-agent/comparison');
+require('dotenv').config();
+
+class MetricsRollupJob {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} options - { retentionDays } (0 keeps raw rows forever)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.retentionDays = options.retentionDays ??
+      (parseInt(process.env.METRICS_RETENTION_DAYS, 10) || 0);
+  }
+
+  /**
+   * Group snapshots by agent, origin identity and period start, then
+   * aggregate each group; per-origin rows let a merge be split again
+   */
+  aggregate(snapshots, periodStartOf) {
+    const groups = new Map();
+
+    for (const snapshot of snapshots) {
+      const periodStart = toDateString(periodStartOf(parseTimestamp(snapshot.recorded_at)));
+      const originId = snapshot.origin_agent_id || snapshot.agent_id;
+      const key = `${snapshot.agent_id}:${originId}:${periodStart}`;
+      if (!groups.has(key)) {
+        groups.set(key, { agent_id: snapshot.agent_id, origin_agent_id: originId, period_start: periodStart, rows: [] });
+      }
+      groups.get(key).rows.push(snapshot);
+    }
+
+    return Array.from(groups.values()).map(({ agent_id, origin_agent_id, period_start, rows }) => {
+      const rollup = { agent_id, origin_agent_id, period_start, samples: rows.length };
+
+      for (const field of SCORE_FIELDS) {
+        const values = rows.map(row => Number(row[field]) || 0);
+        rollup[`${field}_min`] = Math.min(...values);
+        rollup[`${field}_max`] = Math.max(...values);
+        rollup[`${field}_avg`] = values.reduce((sum, v) => sum + v, 0) / values.length;
+      }
+
+      return rollup;
+    });
+  }
+
+  /**
+   * Recompute rollups for all periods with raw rows, then apply retention
+   * @returns {Object} Summary of the run
+   */
+  async run(now = new Date()) {
+    const earliest = await this.db.getEarliestMetricTimestamp();
+    const summary = { daily: 0, weekly: 0, pruned: 0 };
+
+    await this.db.transaction(async (db) => {
+      if (earliest) {
+        const windowStart = startOfWeek(parseTimestamp(earliest));
+        const snapshots = await db.getMetricsRecordedSince(toSqlTimestamp(windowStart));
+
+        const daily = this.aggregate(snapshots, date =>
+          new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+        );
+        const weekly = this.aggregate(snapshots, startOfWeek);
+
+        await db.replaceRollups('daily', toDateString(windowStart), daily);
+        await db.replaceRollups('weekly', toDateString(windowStart), weekly);
+        summary.daily = daily.length;
+        summary.weekly = weekly.length;
+      }
+
+      if (this.retentionDays > 0) {
+        const cutoff = startOfWeek(new Date(now.getTime() - this.retentionDays * DAY_MS));
+        summary.pruned = await db.pruneMetricsBefore(toSqlTimestamp(cutoff));
+        summary.cutoff = toDateString(cutoff);
+      }
+    });
+
+    console.log(
+      `📊 Rollups refreshed: ${summary.daily} daily, ${summary.weekly} weekly, ` +
+      `${summary.pruned} raw snapshots pruned`
+    );
+
+    return summary;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const Database = require('./database');
+
+  (async () => {
+    const db = new Database();
+    await db.initialize();
+    try {
+      await new MetricsRollupJob(db).run();
+    } finally {
+      await db.close();
+    }
+  })().catch(error => {
+    console.error('❌ Rollup failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MetricsRollupJob;
@@ -0,0 +1,183 @@
+/**
+ * Repository Scheduler
+ * Queues a scrape → analyze pipeline for every repository whose cron
+ * schedule is due, so each repository gets regular snapshots even without
+ * merges. Repositories without their own schedule use DEFAULT_SCHEDULE
+ * (unset = not scheduled).
+ *
+ * The next run time is stored with the repository. After a restart, runs
+ * that were missed while the server was down are caught up with a single
+ * pipeline (or skipped when the schedule has catch_up disabled).
+ */
+
+const CronExpression = require('./cron');
+const { parseTimestamp, toSqlTimestamp } = require('./time-utils');
+
+class RepositoryScheduler {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} jobQueue - JobQueue that runs the pipelines
+   * @param {Object} options - { intervalMs, graceMs, defaultSchedule } - how often
+   *   to check, how late a run may start before it counts as missed, and the
+   *   default cron expression (DEFAULT_SCHEDULE)
+   * @throws {Error} If the default cron expression is invalid
+   */
+  constructor(db, jobQueue, options = {}) {
+    this.db = db;
+    this.jobQueue = jobQueue;
+    this.defaultSchedule = options.defaultSchedule ?? process.env.DEFAULT_SCHEDULE ?? null;
+    if (this.defaultSchedule) {
+      // Fail at startup rather than on every schedule lookup
+      try {
+        new CronExpression(this.defaultSchedule);
+      } catch (error) {
+        throw new Error(`Invalid DEFAULT_SCHEDULE: ${error.message}`);
+      }
+    }
+    this.intervalMs = options.intervalMs ||
+      (parseFloat(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+    this.graceMs = options.graceMs ?? Math.max(2 * this.intervalMs, 5 * 60 * 1000);
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  /**
+   * The repository's cron expression, or the default one
+   * @returns {Object|null} { cron, source: 'repository' | 'default' }
+   */
+  cronFor(repository) {
+    if (repository.schedule_cron) {
+      return { cron: repository.schedule_cron, source: 'repository' };
+    }
+    if (this.defaultSchedule) {
+      return { cron: this.defaultSchedule, source: 'default' };
+    }
+    return null;
+  }
+
+  /**
+   * Schedule of a repository as returned by the API
+   * @param {Object} repository - Repository row
+   * @param {number} count - Number of upcoming run times to include
+   */
+  describe(repository, count = 5) {
+    const schedule = this.cronFor(repository);
+    const enabled = Boolean(schedule) && repository.schedule_enabled !== 0;
+
+    return {
+      repository_id: repository.id,
+      repository_name: repository.name,
+      cron: schedule ? schedule.cron : null,
+      source: schedule ? schedule.source : null,
+      enabled,
+      catch_up: repository.schedule_catch_up !== 0,
+      last_run_at: repository.schedule_last_run_at || null,
+      next_run_at: enabled && repository.schedule_next_run_at ? repository.schedule_next_run_at : null,
+      upcoming: enabled
+        ? new CronExpression(schedule.cron).upcoming(count).map(date => date.toISOString())
+        : []
+    };
+  }
+
+  /**
+   * Change a repository's schedule and recompute its next run
+   * @param {Object} repository - Repository row
+   * @param {Object} changes - { cron (null falls back to the default), enabled, catch_up }
+   * @throws {Error} If the cron expression is invalid
+   */
+  async update(repository, changes) {
+    if (changes.cron) {
+      new CronExpression(changes.cron); // validate
+    }
+
+    const updated = await this.db.updateRepositorySchedule(repository.id, {
+      cron: changes.cron === undefined ? undefined : (changes.cron ? changes.cron.trim() : null),
+      enabled: changes.enabled,
+      catch_up: changes.catch_up
+    });
+
+    const schedule = this.cronFor(updated);
+    const next = schedule && updated.schedule_enabled !== 0
+      ? toSqlTimestamp(new CronExpression(schedule.cron).next())
+      : null;
+    return this.db.updateRepositorySchedule(updated.id, { next_run_at: next });
+  }
+
+  /**
+   * Catch up on missed runs, then check for due schedules periodically
+   */
+  async start() {
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue pipelines for due repositories
+   * @param {Date} now - Current time (for tests)
+   * @returns {Array} Repository ids whose pipeline was queued
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    const queued = [];
+    try {
+      const repositories = await this.db.getRepositories();
+      for (const repository of repositories) {
+        try {
+          if (await this.runIfDue(repository, now)) {
+            queued.push(repository.id);
+          }
+        } catch (error) {
+          console.error(`❌ Schedule for repository ${repository.id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduler error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+    return queued;
+  }
+
+  async runIfDue(repository, now) {
+    const schedule = this.cronFor(repository);
+    if (!schedule || repository.schedule_enabled === 0) return false;
+
+    const cron = new CronExpression(schedule.cron);
+    const nextRunAt = toSqlTimestamp(cron.next(now));
+
+    // First time this schedule is seen: just plan the next run
+    if (!repository.schedule_next_run_at) {
+      await this.db.recordScheduleRun(repository.id, null, nextRunAt);
+      return false;
+    }
+
+    const dueAt = parseTimestamp(repository.schedule_next_run_at);
+    if (dueAt > now) return false;
+
+    const missed = now - dueAt > this.graceMs;
+    if (missed && repository.schedule_catch_up === 0) {
+      console.log(`⏭️  Skipping missed run of ${repository.name} (due ${repository.schedule_next_run_at})`);
+      await this.db.recordScheduleRun(repository.id, null, nextRunAt);
+      return false;
+    }
+
+    const job = await this.jobQueue.enqueue('pipeline', repository.id, {
+      scheduled_for: dueAt.toISOString(),
+      catch_up: missed
+    }, 'scheduler');
+    await this.db.recordScheduleRun(repository.id, toSqlTimestamp(now), nextRunAt);
+
+    console.log(`⏰ ${missed ? 'Caught up missed run' : 'Scheduled run'} for ${repository.name} (job ${job.id})`);
+    return true;
+  }
+}
+
+module.exports = RepositoryScheduler;
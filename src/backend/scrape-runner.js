@@ -0,0 +1,98 @@
+/**
+ * Scrape Runner
+ * Runs the repository's metrics sources (see src/sources), records the attempt in scrape_runs
+ * (status, timing, screenshots, raw payload) and ingests the result.
+ * With an event bus it publishes scrape.step, scrape.completed and
+ * ingest.completed as the run progresses.
+ */
+
+const crypto = require('crypto');
+const { registry } = require('../sources');
+const IngestionService = require('./ingestion-service');
+
+class ScrapeRunner {
+  constructor(db, ingestion = null, events = null, sources = null) {
+    this.db = db;
+    this.ingestion = ingestion || new IngestionService(db);
+    this.events = events;
+    this.sources = sources || registry;
+  }
+
+  publish(type, data) {
+    if (this.events) {
+      this.events.publish(type, data);
+    }
+  }
+
+  /**
+   * Scrape and ingest metrics for a repository
+   * @param {Object} repository - Repository row
+   * @param {Object} options - { scraper (overrides the repository's sources), triggeredBy }
+   * @returns {Object} { run, result, ingested } - ingested is null when the scrape failed;
+   *   ingested.scrape_run_id is the snapshot tag (agent_metrics.scrape_run_id), run.id the attempt
+   */
+  async run(repository, options = {}) {
+    const runId = crypto.randomUUID();
+    const startedAt = Date.now();
+    const onProgress = (step, message) => this.publish('scrape.step', {
+      repository_id: repository.id, scrape_run_id: runId, step, message
+    });
+    const scraper = options.scraper || this.sources.forRepository(repository, { onProgress });
+
+    await this.db.createScrapeRun(runId, repository.id, scraper.name || 'techdebtgpt', options.triggeredBy || null);
+
+    // Sources should report failures in the result; a throw must not leave the run "running"
+    let result;
+    try {
+      result = await scraper.scrape();
+    } catch (error) {
+      result = { success: false, error: error.message, timestamp: new Date().toISOString() };
+    }
+
+    const outcome = {
+      status: result.success ? 'succeeded' : 'failed',
+      error_message: result.success ? null : result.error,
+      screenshot_paths: result.screenshots || [],
+      agent_count: result.agents?.length || 0,
+      raw_payload: result.agents || null
+    };
+
+    let ingested = null;
+    if (result.success) {
+      try {
+        // Snapshots are tagged with the run id derived from the result, so ingesting
+        // the same result again (a retry or a replay) stores nothing twice
+        ingested = await this.ingestion.ingest(repository.id, result);
+        const { timestamp, scrape_run_id: snapshotRunId, ...counts } = ingested;
+        this.publish('ingest.completed', {
+          repository_id: repository.id,
+          scrape_run_id: runId,
+          snapshot_run_id: snapshotRunId,
+          ...counts
+        });
+      } catch (error) {
+        outcome.status = 'failed';
+        outcome.error_message = `Ingestion failed: ${error.message}`;
+      }
+    }
+
+    outcome.duration_ms = Date.now() - startedAt;
+    await this.db.completeScrapeRun(runId, outcome);
+    this.publish('scrape.completed', {
+      repository_id: repository.id,
+      scrape_run_id: runId,
+      status: outcome.status,
+      agent_count: outcome.agent_count,
+      error: outcome.error_message,
+      duration_ms: outcome.duration_ms
+    });
+
+    return {
+      run: await this.db.getScrapeRun(runId),
+      result,
+      ingested
+    };
+  }
+}
+
+module.exports = ScrapeRunner;
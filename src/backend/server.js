@@ -9,163 +9,1030 @@ const path = require('path');
 require('dotenv').config();
 
 const Database = require('./database');
-const TechDebtGPTScraper = require('../scraper/techdebtgpt-scraper');
-const AgentAnalyzer = require('../meta-agent/analyzer');
+const IngestionService = require('./ingestion-service');
+const ScrapeRunner = require('./scrape-runner');
+const MetricsRollupJob = require('./rollup-job');
+const ArchiveService = require('./archive-service');
+const AnalysisService = require('./analysis-service');
+const JobQueue = require('./job-queue');
+const EventBus = require('./event-bus');
+const { createJobHandlers } = require('./job-handlers');
+const { diffAnalyses } = require('../meta-agent/analysis-diff');
+const { computeTrends, DIMENSIONS } = require('../meta-agent/trend-analysis');
+const { compareMetrics, averageMetrics } = require('../meta-agent/comparison');
+const { auditLog } = require('./audit-log');
+const { authenticate, requireRole, metricsAuth, corsOptions, issueTicket } = require('./auth');
+const TokenService = require('./token-service');
+const OpenApiValidator = require('./openapi-validator');
+const openapiSpec = require('./openapi');
+const GitHubWebhook = require('./github-webhook');
+const RepositoryScheduler = require('./scheduler');
+const MetricsExporter = require('./metrics-exporter');
+const { DAY_MS, parseTimestamp, toSqlTimestamp, toDateString } = require('./time-utils');
+const { registry: sources } = require('../sources');
 const AgentImprover = require('../meta-agent/agent-improver');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOptions()));
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '25mb', // archives can be large
+  verify: (req, res, buf) => { req.rawBody = buf; } // webhook signatures are computed over the raw body
+}));
 app.use(express.static(path.join(__dirname, '../../public')));
 
-// Initialize database
+// Initialize database (adapter chosen by DB_ADAPTER, see src/backend/storage)
 const db = new Database();
+app.locals.db = db;
+const events = new EventBus();
+app.locals.events = events;
+const ingestion = new IngestionService(db);
+const scrapeRunner = new ScrapeRunner(db, ingestion, events, sources);
+const rollupJob = new MetricsRollupJob(db);
+const archives = new ArchiveService(db);
+const analysisService = new AnalysisService(db, null, events);
+const jobQueue = new JobQueue(db, createJobHandlers({ db, scrapeRunner, analysisService }), { events });
+app.locals.jobQueue = jobQueue;
+const webhooks = new GitHubWebhook(db, jobQueue);
+const scheduler = new RepositoryScheduler(db, jobQueue);
+app.locals.scheduler = scheduler;
+const metricsExporter = new MetricsExporter(db);
+const tokens = new TokenService(db);
+
+// Record every mutating API request
+app.use(auditLog(db));
+
+// Require an API token on /api routes (roles are checked per route)
+app.use(authenticate(db));
+
+// Validate requests (and responses) against the OpenAPI document
+app.use(new OpenApiValidator(openapiSpec).middleware());
 
 // Routes
 
 /**
- * GET /api/health
- * Health check endpoint
+ * Repository row without its webhook secret and scheduler bookkeeping
+ * (see /api/repos/:id/schedule)
+ */
+function formatRepository(repo) {
+  const {
+    webhook_secret, webhook_branches,
+    schedule_cron, schedule_enabled, schedule_catch_up, schedule_last_run_at, schedule_next_run_at,
+    ...fields
+  } = repo;
+  return {
+    ...fields,
+    webhook_branches: webhooks.branchesFor(repo),
+    webhook_secret_configured: Boolean(webhook_secret),
+    metrics_sources: sources.namesFor(repo)
+  };
+}
+
+/**
+ * GET /api/health
+ * Health check endpoint
+ */
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /metrics
+ * Agent health, team and scrape metrics for Prometheus (requires METRICS_TOKEN or an API token)
+ */
+app.get('/metrics', metricsAuth(db), async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await metricsExporter.render());
+  } catch (error) {
+    res.status(500).type('text/plain').send(`# ${error.message}\n`);
+  }
+});
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of this API
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
+/**
+ * GET /api/repos
+ * Get list of configured target repositories (?include_deleted=true adds soft-deleted ones)
+ */
+app.get('/api/repos', async (req, res) => {
+  try {
+    const repos = await db.getRepositories({ includeDeleted: req.query.include_deleted === 'true' });
+    res.json(repos.map(formatRepository));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/repos
+ * Add a new target repository
+ */
+app.post('/api/repos', requireRole('admin'), async (req, res) => {
+  const { name, path, techdebtgpt_url = null, github_url = null, metrics_sources } = req.body;
+  let names;
+  try {
+    names = metrics_sources ? sources.validate(metrics_sources) : null;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    // One transaction, so a failure cannot leave a repository without its sources
+    const repo = await db.transaction(async (tx) => {
+      const created = await tx.addRepository(name, path, techdebtgpt_url, github_url);
+      return names ? tx.updateRepository(created.id, { metrics_sources: names }) : created;
+    });
+    res.json(formatRepository(repo));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sources
+ * Metrics sources a repository can be scraped with (see metrics_sources)
+ */
+app.get('/api/sources', (req, res) => {
+  res.json(sources.list());
+});
+
+/**
+ * GET /api/repos/:id
+ * Get a repository
+ */
+app.get('/api/repos/:id', async (req, res) => {
+  try {
+    const repo = await db.getRepository(req.params.id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+    res.json(formatRepository(repo));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/repos/:id  - replace the settings (omitted URLs are cleared,
+ *   omitted metrics_sources fall back to METRICS_SOURCES)
+ * PATCH /api/repos/:id - change only the given fields
+ * Body: { name, path, techdebtgpt_url, github_url, metrics_sources }
+ */
+function updateRepository(replace) {
+  return async (req, res) => {
+    try {
+      const repo = await db.getRepository(req.params.id);
+      if (!repo) {
+        return res.status(404).json({ error: 'Repository not found' });
+      }
+
+      const { name, path, techdebtgpt_url, github_url, metrics_sources } = req.body;
+      let names;
+      try {
+        names = metrics_sources ? sources.validate(metrics_sources) : metrics_sources;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const fields = replace
+        ? { name, path, techdebtgpt_url: techdebtgpt_url ?? null, github_url: github_url ?? null, metrics_sources: names ?? null }
+        : { name, path, techdebtgpt_url, github_url, metrics_sources: names };
+
+      const updated = await db.transaction(tx => tx.updateRepository(repo.id, fields));
+      res.json(formatRepository(updated));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+app.put('/api/repos/:id', requireRole('admin'), updateRepository(true));
+app.patch('/api/repos/:id', requireRole('admin'), updateRepository(false));
+
+/**
+ * DELETE /api/repos/:id
+ * Soft-delete a repository: it disappears from the API, the scheduler and
+ * the webhook, but its history is kept and POST /api/repos/:id/restore
+ * brings it back. ?purge=true deletes it and all its data permanently.
+ */
+app.delete('/api/repos/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const purge = req.query.purge === 'true';
+    const repo = await db.getRepository(req.params.id, { includeDeleted: purge });
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    if (purge) {
+      await db.purgeRepository(repo.id);
+      return res.json({ success: true, id: repo.id, purged: true });
+    }
+
+    const deleted = await db.softDeleteRepository(repo.id);
+    res.json({ success: true, id: repo.id, purged: false, deleted_at: deleted.deleted_at });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/repos/:id/restore
+ * Undo a soft delete
+ */
+app.post('/api/repos/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const repo = await db.getRepository(req.params.id, { includeDeleted: true });
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+    if (!repo.deleted_at) {
+      return res.status(409).json({ error: 'Repository is not deleted' });
+    }
+
+    res.json(formatRepository(await db.restoreRepository(repo.id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents
+ * Get all agents for a repository (?status=active|archived|all, default active)
+ */
+app.get('/api/agents', async (req, res) => {
+  try {
+    const { repo_id, status } = req.query;
+    const agents = await db.getAgents(repo_id, { status });
+    res.json(agents);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/agents
+ * Register an agent before its first scrape: { repo_id, name, email, role, display_name, team }
+ */
+app.post('/api/agents', requireRole('analyst'), async (req, res) => {
+  try {
+    const { repo_id, name, email, role = null, display_name, team } = req.body;
+
+    const repo = await db.getRepository(repo_id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const existing = await db.findAgentByAlias(email, repo.id);
+    if (existing) {
+      return res.status(409).json({ error: `${email} already belongs to agent ${existing.id}` });
+    }
+
+    const agent = await db.addAgent(repo.id, name, email, role);
+    res.status(201).json(await db.updateAgent(agent.id, { display_name, team }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id
+ * Get an agent
+ */
+app.get('/api/agents/:id', async (req, res) => {
+  try {
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/agents/:id
+ * Change name, display name, role, team or status ('active' | 'archived')
+ */
+app.patch('/api/agents/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { name, display_name, role, team, status } = req.body;
+    res.json(await db.updateAgent(agent.id, { name, display_name, role, team, status }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/agents/:id
+ * Archive an agent. Its metrics, activity and improvements are kept for
+ * history; PATCH { status: 'active' } reactivates it.
+ */
+app.delete('/api/agents/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.json(await db.updateAgent(agent.id, { status: 'archived' }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id/metrics
+ * Get metrics history for a specific agent
+ */
+app.get('/api/agents/:id/metrics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 30 } = req.query;
+    const metrics = await db.getAgentMetrics(id, limit);
+    res.json(metrics);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id/rollups
+ * Get daily or weekly score rollups (min/max/avg) for an agent
+ */
+app.get('/api/agents/:id/rollups', async (req, res) => {
+  try {
+    const { period = 'daily', since = null } = req.query;
+    const rollups = await db.getAgentRollups(req.params.id, period, since);
+    res.json(rollups);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id/trend
+ * Per-dimension score trends over the last window_days: moving average,
+ * EWMA, least-squares slope and direction (improving/stable/declining).
+ * Query: window_days (30), period (snapshot | daily | weekly rollups),
+ * ma_window (7 samples), alpha (0.3), threshold (1 point per week)
+ */
+app.get('/api/agents/:id/trend', async (req, res) => {
+  try {
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const numberParam = name => (req.query[name] ? Number(req.query[name]) : undefined);
+    const { period = 'snapshot' } = req.query;
+    const windowDays = numberParam('window_days') || 30;
+    const since = new Date(Date.now() - windowDays * DAY_MS);
+
+    // Scores of a row as numbers (PostgreSQL returns REAL averages as strings); missing scores stay null
+    const scoresOf = (row, suffix) => Object.fromEntries(DIMENSIONS.map(dimension => {
+      const value = row[`${dimension}_score${suffix}`];
+      return [dimension, value === null || value === undefined ? null : Number(value)];
+    }));
+
+    // Rollups keep history that retention has pruned from raw snapshots
+    const samples = period === 'snapshot'
+      ? (await db.getAgentMetricsSince(agent.id, toSqlTimestamp(since))).map(row => ({
+        timestamp: parseTimestamp(row.recorded_at),
+        scores: scoresOf(row, '')
+      }))
+      : (await db.getAgentRollups(agent.id, period, toDateString(since))).map(row => ({
+        timestamp: parseTimestamp(row.period_start),
+        scores: scoresOf(row, '_avg')
+      }));
+
+    res.json({
+      agent_id: agent.id,
+      agent_name: agent.display_name || agent.name,
+      period,
+      window_days: windowDays,
+      from: since.toISOString(),
+      to: new Date().toISOString(),
+      samples: samples.length,
+      dimensions: computeTrends(samples, {
+        movingAverageWindow: numberParam('ma_window'),
+        alpha: numberParam('alpha'),
+        stableThreshold: numberParam('threshold')
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id/activity
+ * Activity recorded from GitHub webhooks: counts per kind and the latest events
+ */
+app.get('/api/agents/:id/activity', async (req, res) => {
+  try {
+    const { since = null, limit = 50 } = req.query;
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const recent = await db.getAgentActivity(agent.id, limit);
+    res.json({
+      agent_id: agent.id,
+      last_active_at: agent.last_active_at,
+      summary: await db.getAgentActivitySummary(agent.id, since),
+      recent: recent.map(activity => ({ ...activity, detail: JSON.parse(activity.detail || 'null') }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/agents/:id/aliases
+ * List emails and handles that resolve to an agent
+ */
+app.get('/api/agents/:id/aliases', async (req, res) => {
+  try {
+    const aliases = await db.getAgentAliases(req.params.id);
+    res.json(aliases);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/agents/:id/aliases
+ * Map an additional email or handle to an agent
+ */
+app.post('/api/agents/:id/aliases', requireRole('analyst'), async (req, res) => {
+  try {
+    const { alias } = req.body;
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (agent.merged_into_id) {
+      return res.status(409).json({ error: `Agent was merged into agent ${agent.merged_into_id}` });
+    }
+
+    const existing = await db.findAgentByAlias(alias, agent.repository_id);
+    if (existing) {
+      return res.status(409).json({ error: `Alias already belongs to agent ${existing.id}` });
+    }
+
+    res.json(await db.addAgentAlias(agent.id, agent.repository_id, alias));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/agents/merge
+ * Merge source agent into target, re-pointing metrics, improvements and aliases
+ */
+app.post('/api/agents/merge', requireRole('analyst'), async (req, res) => {
+  try {
+    const { source_agent_id, target_agent_id } = req.body;
+
+    const source = await db.getAgent(source_agent_id);
+    const target = await db.getAgent(target_agent_id);
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (source.id === target.id) {
+      return res.status(400).json({ error: 'Cannot merge an agent into itself' });
+    }
+    if (source.repository_id !== target.repository_id) {
+      return res.status(400).json({ error: 'Agents belong to different repositories' });
+    }
+    if (source.merged_into_id || target.merged_into_id) {
+      return res.status(409).json({ error: 'Agent was already merged; use the canonical agent' });
+    }
+
+    await db.mergeAgents(source.id, target.id);
+
+    res.json({
+      success: true,
+      agent: await db.getAgent(target.id),
+      aliases: await db.getAgentAliases(target.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/agents/:id/split
+ * Undo a merge, moving the agent's own metrics, improvements and aliases back
+ */
+app.post('/api/agents/:id/split', requireRole('analyst'), async (req, res) => {
+  try {
+    const agent = await db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (!agent.merged_into_id) {
+      return res.status(409).json({ error: 'Agent is not merged into another agent' });
+    }
+
+    const canonicalId = agent.merged_into_id;
+    const restored = await db.splitAgent(agent.id);
+
+    res.json({
+      success: true,
+      agent: restored,
+      aliases: await db.getAgentAliases(agent.id),
+      canonical_agent_id: canonicalId
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/scrape
+ * Queue a scrape of TechDebtGPT metrics; poll GET /api/jobs/:id for the outcome
+ */
+app.post('/api/scrape', requireRole('analyst'), async (req, res) => {
+  try {
+    const { repo_id } = req.body;
+
+    // Get repository config
+    const repo = await db.getRepository(repo_id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const job = await jobQueue.enqueue('scrape', repo.id, {}, 'api');
+    res.status(202).json(formatJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Parse the JSON columns of a jobs row
+ */
+function formatJob(job) {
+  return {
+    ...job,
+    payload: typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload,
+    result: JSON.parse(job.result || 'null')
+  };
+}
+
+/**
+ * POST /api/jobs
+ * Queue a job: { type: 'scrape' | 'analyze' | 'pipeline', repo_id }
+ */
+app.post('/api/jobs', requireRole('analyst'), async (req, res) => {
+  try {
+    const { type, repo_id } = req.body;
+
+    const repo = await db.getRepository(repo_id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const job = await jobQueue.enqueue(type, repo.id, {}, 'api');
+    res.status(202).json(formatJob(job));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs
+ * List jobs, newest first
+ */
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { repo_id, status, type, limit = 50 } = req.query;
+    const jobs = await db.getJobs({ repository_id: repo_id, status, type, limit });
+    res.json(jobs.map(formatJob));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get job status, current step and result
+ */
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await db.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/events/ticket
+ * Single-use ticket for opening /api/events with EventSource (?ticket=)
+ */
+app.post('/api/events/ticket', (req, res) => {
+  res.json(issueTicket(req));
+});
+
+/**
+ * GET /api/events
+ * Stream pipeline progress as Server-Sent Events (job.*, scrape.step,
+ * scrape.completed, ingest.completed, analysis.completed, improvement.applied).
+ * Query: repo_id to follow one repository. Reconnecting clients resume
+ * after their Last-Event-ID.
+ */
+app.get('/api/events', (req, res) => {
+  const repoId = req.query.repo_id ? Number(req.query.repo_id) : null;
+  const heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (repoId && Number(event.data.repository_id) !== repoId) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  events.since(req.get('Last-Event-ID')).forEach(send);
+  events.on('event', send);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    events.off('event', send);
+  });
+});
+
+/**
+ * Parse the JSON columns of a scrape_runs row
+ */
+function formatScrapeRun(run) {
+  return {
+    ...run,
+    screenshot_paths: JSON.parse(run.screenshot_paths || '[]'),
+    ...(run.raw_payload !== undefined && { raw_payload: JSON.parse(run.raw_payload || 'null') })
+  };
+}
+
+/**
+ * GET /api/scrape-runs
+ * List scrape runs (without raw payloads)
+ */
+app.get('/api/scrape-runs', async (req, res) => {
+  try {
+    const { repo_id, status, limit = 50 } = req.query;
+    const runs = await db.getScrapeRuns({ repository_id: repo_id, status, limit });
+    res.json(runs.map(formatScrapeRun));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/scrape-runs/:id
+ * Get a scrape run including the raw extracted payload
+ */
+app.get('/api/scrape-runs/:id', async (req, res) => {
+  try {
+    const run = await db.getScrapeRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Scrape run not found' });
+    }
+    res.json(formatScrapeRun(run));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/analyze
+ * Analyze agents and identify underperformers
+ */
+app.post('/api/analyze', requireRole('analyst'), async (req, res) => {
+  try {
+    const { repo_id, sprint_id } = req.body;
+
+    const repo = await db.getRepository(repo_id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    // Analyze a specific sprint, or attach to the sprint running today
+    let sprint = null;
+    if (sprint_id) {
+      sprint = await db.getSprint(sprint_id);
+      if (!sprint || String(sprint.repository_id) !== String(repo_id)) {
+        return res.status(404).json({ error: 'Sprint not found for this repository' });
+      }
+    }
+
+    const outcome = await analysisService.analyze(repo_id, { sprint });
+    if (!outcome) {
+      return res.status(400).json({ error: 'No agent metrics found. Run scraper first.' });
+    }
+
+    res.json({ ...outcome.analysis, analysis_id: outcome.analysis_id, sprint_id: outcome.sprint_id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Parse a ?from=/?to= query value (date or ISO timestamp) into the stored
+ * timestamp format; a bare "to" date includes the whole day
  */
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+function parseDateBound(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = parseTimestamp(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (endOfDay && DATE_PATTERN.test(value)) {
+    return `${value} 23:59:59`;
+  }
+  return toSqlTimestamp(date);
+}
+
+/**
+ * Parse analysis_data of an analyses row
+ */
+function formatAnalysis(row) {
+  const { analysis_data, ...summary } = row;
+  return { ...summary, analysis: JSON.parse(analysis_data || '{}') };
+}
+
+/**
+ * GET /api/analyses
+ * Page through stored analyses, newest first
+ * Query: repo_id, from, to (YYYY-MM-DD or ISO), page (1-based), page_size
+ */
+app.get('/api/analyses', async (req, res) => {
+  let filters;
+  try {
+    const { repo_id, from, to } = req.query;
+    filters = {
+      repository_id: repo_id,
+      from: parseDateBound(from),
+      to: parseDateBound(to, true)
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 20, 1), 100);
+
+    const [analyses, total] = await Promise.all([
+      db.getAnalyses({ ...filters, limit: pageSize, offset: (page - 1) * pageSize }),
+      db.countAnalyses(filters)
+    ]);
+
+    res.json({
+      analyses,
+      page,
+      page_size: pageSize,
+      total,
+      total_pages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * GET /api/repos
- * Get list of configured target repositories
+ * GET /api/analyses/diff?from=<analysis id>&to=<analysis id>
+ * Per-agent score deltas, status transitions and lowest performer change
  */
-app.get('/api/repos', async (req, res) => {
+app.get('/api/analyses/diff', async (req, res) => {
   try {
-    const repos = await db.getRepositories();
-    res.json(repos);
+    const { from, to } = req.query;
+    const [fromRow, toRow] = await Promise.all([db.getAnalysis(from), db.getAnalysis(to)]);
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    if (fromRow.repository_id !== toRow.repository_id) {
+      return res.status(400).json({ error: 'Analyses belong to different repositories' });
+    }
+
+    const diff = diffAnalyses(
+      JSON.parse(fromRow.analysis_data || '{}'),
+      JSON.parse(toRow.analysis_data || '{}')
+    );
+
+    res.json({
+      from: { id: fromRow.id, created_at: fromRow.created_at },
+      to: { id: toRow.id, created_at: toRow.created_at },
+      ...diff
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/repos
- * Add a new target repository
+ * GET /api/compare
+ * Side-by-side metrics, analyzer score breakdowns, deltas (B relative to A)
+ * and root causes that appear or disappear. Either two agents
+ * (agent_a, agent_b, optional shared from/to) or one agent in two windows
+ * (agent_id, from_a/to_a, from_b/to_b). A side without a window uses the
+ * agent's latest snapshot; a side with one averages its snapshots.
  */
-app.post('/api/repos', async (req, res) => {
+app.get('/api/compare', async (req, res) => {
+  let mode;
+  let sides;
   try {
-    const { name, path, techdebtgpt_url } = req.body;
-    const repo = await db.addRepository(name, path, techdebtgpt_url);
-    res.json(repo);
+    const { agent_a, agent_b, agent_id, from, to, from_a, to_a, from_b, to_b } = req.query;
+    if (agent_a || agent_b) {
+      if (!agent_a || !agent_b) {
+        throw new Error('agent_a and agent_b are both required');
+      }
+      mode = 'agents';
+      sides = [
+        { agent_id: agent_a, from: parseDateBound(from), to: parseDateBound(to, true) },
+        { agent_id: agent_b, from: parseDateBound(from), to: parseDateBound(to, true) }
+      ];
+    } else if (agent_id) {
+      if (!(from_a || to_a) || !(from_b || to_b)) {
+        throw new Error('Both windows need from_* or to_*');
+      }
+      mode = 'windows';
+      sides = [
+        { agent_id, from: parseDateBound(from_a), to: parseDateBound(to_a, true) },
+        { agent_id, from: parseDateBound(from_b), to: parseDateBound(to_b, true) }
+      ];
+    } else {
+      throw new Error('Provide agent_a and agent_b, or agent_id with two windows');
+    }
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const agents = await Promise.all(sides.map(side => db.getAgent(side.agent_id)));
+    if (agents.some(agent => !agent)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const snapshots = await Promise.all(sides.map(side => (side.from || side.to
+      ? db.getAgentMetricsBetween(side.agent_id, side.from, side.to)
+      : db.getAgentMetrics(side.agent_id, 1))));
+
+    const comparison = compareMetrics(
+      analysisService.analyzer,
+      averageMetrics(snapshots[0]),
+      averageMetrics(snapshots[1])
+    );
+
+    const describe = (i, key) => ({
+      agent_id: agents[i].id,
+      agent_name: agents[i].display_name || agents[i].name,
+      from: sides[i].from,
+      to: sides[i].to,
+      snapshots: snapshots[i].length,
+      ...comparison[key]
+    });
+
+    res.json({
+      mode,
+      a: describe(0, 'a'),
+      b: describe(1, 'b'),
+      deltas: comparison.deltas,
+      root_causes: comparison.root_causes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/agents
- * Get all agents for a repository
+ * GET /api/analyses/:id
+ * Get a stored analysis including its full analysis data
  */
-app.get('/api/agents', async (req, res) => {
+app.get('/api/analyses/:id', async (req, res) => {
   try {
-    const { repo_id } = req.query;
-    const agents = await db.getAgents(repo_id);
-    res.json(agents);
+    const analysis = await db.getAnalysis(req.params.id);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json(formatAnalysis(analysis));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/agents/:id/metrics
- * Get metrics history for a specific agent
+ * GET /api/sprints
+ * List sprints for a repository
  */
-app.get('/api/agents/:id/metrics', async (req, res) => {
+app.get('/api/sprints', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { limit = 30 } = req.query;
-    const metrics = await db.getAgentMetrics(id, limit);
-    res.json(metrics);
+    const { repo_id } = req.query;
+    const sprints = await db.getSprints(repo_id);
+    res.json(sprints);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/scrape
- * Trigger scraping of TechDebtGPT metrics
+ * POST /api/sprints
+ * Create a sprint and attach existing snapshots recorded inside its window
  */
-app.post('/api/scrape', async (req, res) => {
+app.post('/api/sprints', requireRole('analyst'), async (req, res) => {
   try {
-    const { repo_id } = req.body;
+    const { repo_id, name, start_date, end_date } = req.body;
+
+    if (start_date > end_date) {
+      return res.status(400).json({ error: 'start_date must not be after end_date' });
+    }
 
-    // Get repository config
     const repo = await db.getRepository(repo_id);
     if (!repo) {
       return res.status(404).json({ error: 'Repository not found' });
     }
 
-    // Run scraper
-    const scraper = new TechDebtGPTScraper();
-    const result = await scraper.scrape();
-
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+    const overlapping = await db.findOverlappingSprints(repo.id, start_date, end_date);
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: `Sprint overlaps with "${overlapping[0].name}"`,
+        overlapping_sprint_id: overlapping[0].id
+      });
     }
 
-    // Save metrics to database
-    for (const agentData of result.agents) {
-      // Find or create agent
-      let agent = await db.findAgentByEmail(agentData.email, repo_id);
-      if (!agent) {
-        agent = await db.addAgent(repo_id, agentData.name, agentData.email);
-      }
+    const sprint = await db.addSprint(repo.id, name, start_date, end_date);
+    const attached = await db.assignToSprint(sprint);
 
-      // Save metrics
-      await db.saveAgentMetrics(agent.id, {
-        commits: agentData.commits,
-        pull_requests: agentData.pullRequests,
-        code_reviews: agentData.codeReviews,
-        bugs_introduced: agentData.bugsIntroduced,
-        lines_added: agentData.linesAdded,
-        lines_deleted: agentData.linesDeleted,
-        tech_debt_score: agentData.techDebtScore,
-        velocity: agentData.velocity
-      });
+    res.json({ ...sprint, attached });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sprints/:id
+ * Get a sprint with the latest snapshot per agent and its analyses
+ */
+app.get('/api/sprints/:id', async (req, res) => {
+  try {
+    const sprint = await db.getSprint(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({ error: 'Sprint not found' });
     }
 
-    res.json({
-      success: true,
-      agents_updated: result.agents.length,
-      timestamp: result.timestamp
-    });
+    const agents = await db.getAgentsWithLatestMetrics(sprint.repository_id, sprint.id);
+    const analyses = await db.getSprintAnalyses(sprint.id);
+
+    res.json({ ...sprint, agents, analyses });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/analyze
- * Analyze agents and identify underperformers
+ * POST /api/sprints/:id/close
+ * Close a sprint; new snapshots are no longer attached to it
  */
-app.post('/api/analyze', async (req, res) => {
+app.post('/api/sprints/:id/close', requireRole('analyst'), async (req, res) => {
   try {
-    const { repo_id } = req.body;
-
-    // Get latest metrics for all agents
-    const agents = await db.getAgentsWithLatestMetrics(repo_id);
-
-    if (agents.length === 0) {
-      return res.status(400).json({ error: 'No agent metrics found. Run scraper first.' });
+    const sprint = await db.getSprint(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+    if (sprint.status === 'closed') {
+      return res.status(409).json({ error: 'Sprint is already closed' });
     }
 
-    // Run analysis
-    const analyzer = new AgentAnalyzer();
-    const analysis = analyzer.performFullAnalysis(agents);
-
-    // Save analysis results
-    await db.saveAnalysis(repo_id, analysis);
-
-    res.json(analysis);
+    res.json(await db.closeSprint(sprint.id));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -175,10 +1042,15 @@ app.post('/api/analyze', async (req, res) => {
  * POST /api/improve
  * Generate and apply improvements for underperforming agent
  */
-app.post('/api/improve', async (req, res) => {
+app.post('/api/improve', requireRole('analyst'), async (req, res) => {
   try {
     const { agent_id, analysis } = req.body;
 
+    // Writing agent files into the target repository is reserved to admins
+    if (req.body.auto_apply && !TokenService.hasRole(req.auth.role, 'admin')) {
+      return res.status(403).json({ error: 'auto_apply requires admin role' });
+    }
+
     // Get agent details
     const agent = await db.getAgent(agent_id);
     if (!agent) {
@@ -187,6 +1059,9 @@ app.post('/api/improve', async (req, res) => {
 
     // Get repository details
     const repo = await db.getRepository(agent.repository_id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
 
     // Generate improvements
     const improver = new AgentImprover(repo.path);
@@ -195,6 +1070,7 @@ app.post('/api/improve', async (req, res) => {
     // Apply improvements (if auto_apply is enabled)
     if (req.body.auto_apply) {
       const result = await improver.applyImprovements(agent, improvements);
+      res.locals.audit.affected_files = result.filePath ? [result.filePath] : [];
 
       // Save improvement record
       await db.saveImprovement(agent_id, {
@@ -204,6 +1080,13 @@ app.post('/api/improve', async (req, res) => {
         result: result
       });
 
+      events.publish('improvement.applied', {
+        repository_id: agent.repository_id,
+        agent_id: agent.id,
+        agent_name: agent.name,
+        file_path: result.filePath || null
+      });
+
       res.json({
         success: true,
         improvements: improvements,
@@ -250,78 +1133,277 @@ app.get('/api/improvements/:agent_id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/export
+ * Download a JSON archive of all data (or one repository with ?repo_id=)
+ */
+app.get('/api/export', requireRole('admin'), async (req, res) => {
+  try {
+    const { repo_id } = req.query;
+    const archive = await archives.export({ repositoryIds: repo_id ? [repo_id] : [] });
+    const filename = `agent-health-${archive.exported_at.slice(0, 10)}.json`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(archive);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/import
+ * Restore a JSON archive; rows get new ids
+ */
+app.post('/api/import', requireRole('admin'), async (req, res) => {
+  try {
+    const imported = await archives.import(req.body);
+    res.json({ success: true, imported });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit
+ * Page through audit events, newest first
+ * Query: actor, action (e.g. "POST /api/improve"), result, from, to, page, page_size
+ */
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  let filters;
+  try {
+    const { actor, action, result, from, to } = req.query;
+    filters = { actor, action, result, from: parseDateBound(from), to: parseDateBound(to, true) };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      db.getAuditEvents({ ...filters, limit: pageSize, offset: (page - 1) * pageSize }),
+      db.countAuditEvents(filters)
+    ]);
+
+    res.json({
+      events: events.map(event => ({
+        ...event,
+        payload_summary: JSON.parse(event.payload_summary || 'null'),
+        affected_files: JSON.parse(event.affected_files || '[]')
+      })),
+      page,
+      page_size: pageSize,
+      total,
+      total_pages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/tokens
+ * List API tokens (metadata only)
+ */
+app.get('/api/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await tokens.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Create a token: { name, role: 'viewer' | 'analyst' | 'admin', expires_in_days }.
+ * The plain token is only returned in this response.
+ */
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, expires_in_days = null } = req.body;
+    const created = await tokens.create({ name, role, expires_in_days, created_by: req.actor || req.auth.name });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a token
+ */
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await tokens.revoke(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json(revoked);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Role of the calling token
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.auth);
+});
+
+/**
+ * PUT /api/repos/:id/webhook
+ * Configure the webhook: { secret, branches: ['main', 'release'] }
+ */
+app.put('/api/repos/:id/webhook', requireRole('admin'), async (req, res) => {
+  try {
+    const { secret, branches } = req.body;
+
+    const repo = await db.getRepository(req.params.id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const updated = await db.updateRepositoryWebhook(repo.id, { secret, branches });
+    res.json(formatRepository(updated));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/repos/:id/webhook
+ * Webhook configuration and recent deliveries
+ */
+app.get('/api/repos/:id/webhook', requireRole('admin'), async (req, res) => {
+  try {
+    const repo = await db.getRepository(req.params.id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    res.json({
+      branches: webhooks.branchesFor(repo),
+      secret_configured: Boolean(repo.webhook_secret),
+      deliveries: await db.getWebhookDeliveries(repo.id, parseInt(req.query.limit, 10) || 50)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules
+ * Schedules of all repositories with their next run times
+ */
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const repos = await db.getRepositories();
+    res.json(repos.map(repo => scheduler.describe(repo)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/repos/:id/schedule
+ * Schedule of a repository, last run and upcoming run times
+ */
+app.get('/api/repos/:id/schedule', async (req, res) => {
+  try {
+    const repo = await db.getRepository(req.params.id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+    res.json(scheduler.describe(repo));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/repos/:id/schedule
+ * Set the schedule: { cron: '0 6 * * *', enabled, catch_up }
+ * (cron: null falls back to DEFAULT_SCHEDULE)
+ */
+app.put('/api/repos/:id/schedule', requireRole('admin'), async (req, res) => {
+  try {
+    const repo = await db.getRepository(req.params.id);
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const updated = await scheduler.update(repo, req.body);
+    res.json(scheduler.describe(updated));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/webhook/github
- * GitHub webhook endpoint for PR merge events
+ * GitHub webhook endpoint (pull_request, pull_request_review, push, issues).
+ * Requests must be signed with the repository's webhook secret
+ * (or GITHUB_WEBHOOK_SECRET).
  */
 app.post('/api/webhook/github', async (req, res) => {
   try {
-    const event = req.body;
-
-    // Verify it's a PR merge to master
-    if (event.action === 'closed' &&
-        event.pull_request?.merged === true &&
-        event.pull_request?.base?.ref === 'master') {
-
-      console.log('🎯 PR merged to master, triggering agent health check...');
-
-      // Find repository by GitHub URL
-      const repoUrl = event.repository.html_url;
-      const repo = await db.findRepositoryByGitHubUrl(repoUrl);
-
-      if (repo) {
-        // Trigger scrape and analysis asynchronously
-        (async () => {
-          const scraper = new TechDebtGPTScraper();
-          const result = await scraper.scrape();
-
-          if (result.success) {
-            // Save metrics
-            for (const agentData of result.agents) {
-              let agent = await db.findAgentByEmail(agentData.email, repo.id);
-              if (!agent) {
-                agent = await db.addAgent(repo.id, agentData.name, agentData.email);
-              }
-              await db.saveAgentMetrics(agent.id, {
-                commits: agentData.commits,
-                pull_requests: agentData.pullRequests,
-                code_reviews: agentData.codeReviews,
-                bugs_introduced: agentData.bugsIntroduced,
-                tech_debt_score: agentData.techDebtScore,
-                velocity: agentData.velocity
-              });
-            }
-
-            // Run analysis
-            const agents = await db.getAgentsWithLatestMetrics(repo.id);
-            const analyzer = new AgentAnalyzer();
-            const analysis = analyzer.performFullAnalysis(agents);
-            await db.saveAnalysis(repo.id, analysis);
-
-            console.log('✅ Agent health check completed');
-          }
-        })();
-      }
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    // Find repository by GitHub URL
+    const repoUrl = req.body.repository?.html_url || req.body.repository?.full_name;
+    const repo = await db.findRepositoryByGitHubUrl(repoUrl);
+
+    // Unknown repositories and missing secrets get the same answer as a bad
+    // signature, so unsigned requests cannot tell which repositories exist
+    const secret = repo?.webhook_secret || process.env.GITHUB_WEBHOOK_SECRET;
+    if (!GitHubWebhook.verifySignature(secret, req.rawBody, req.get('X-Hub-Signature-256'))) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    if (!repo) {
+      return res.status(404).json({ error: 'Repository not registered' });
+    }
+    // The payload is signed, so its sender can be trusted for the audit log
+    if (req.body.sender?.login) {
+      req.actor = `github:${req.body.sender.login}`;
     }
 
-    res.json({ received: true });
+    const outcome = await webhooks.handle(repo, event, deliveryId, req.body);
+    res.json({ received: true, ...outcome });
   } catch (error) {
     console.error('Webhook error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Agent Health Monitor API running on http://localhost:${PORT}`);
-  console.log(`📊 Dashboard available at http://localhost:${PORT}/dashboard.html`);
+// Start server when run directly; tests require the app and initialize app.locals.db themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Agent Health Monitor API running on http://localhost:${PORT}`);
+    console.log(`📊 Dashboard available at http://localhost:${PORT}/dashboard.html`);
+
+    // Initialize database
+    db.initialize().then(() => {
+      console.log('✅ Database initialized');
+
+      // Process queued scrape/analyze jobs, then catch up on missed scheduled runs
+      jobQueue.start().then(() => scheduler.start()).catch(error => {
+        console.error('❌ Job queue failed to start:', error.message);
+      });
 
-  // Initialize database
-  db.initialize().then(() => {
-    console.log('✅ Database initialized');
-  }).catch(error => {
-    console.error('❌ Database initialization failed:', error);
+      // Refresh rollups and apply the retention policy periodically
+      const intervalHours = parseFloat(process.env.ROLLUP_INTERVAL_HOURS) || 6;
+      const runRollups = () => rollupJob.run().catch(error => {
+        console.error('❌ Metrics rollup failed:', error.message);
+      });
+      runRollups();
+      setInterval(runRollups, intervalHours * 60 * 60 * 1000);
+    }).catch(error => {
+      console.error('❌ Database initialization failed:', error);
+    });
   });
-});
+}
 
 module.exports = app;
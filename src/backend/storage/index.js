@@ -0,0 +1,50 @@
+/**
+ * Storage Adapter Factory
+ * Every adapter implements the same interface used by Database:
+ *   dialect            - 'sqlite' | 'postgres'
+ *   connect()          - open the connection
+ *   run(sql, params)   - execute a statement, resolves { id, changes }
+ *   get(sql, params)   - first matching row (or undefined)
+ *   all(sql, params)   - all matching rows
+ *   close()            - release the connection
+ */
+
+const path = require('path');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../../../data/agent-health.db');
+
+/**
+ * Create a storage adapter
+ * @param {Object} options - { type, dbPath, connectionString }; defaults come
+ *   from DB_ADAPTER, DB_PATH and DATABASE_URL
+ * @returns {Object} Storage adapter
+ */
+function createAdapter(options = {}) {
+  const type = options.type || process.env.DB_ADAPTER || 'sqlite';
+
+  switch (type) {
+    case 'sqlite': {
+      const SQLiteAdapter = require('./sqlite-adapter');
+      return new SQLiteAdapter(options.dbPath || process.env.DB_PATH || DEFAULT_DB_PATH);
+    }
+
+    case 'memory': {
+      const MemoryAdapter = require('./memory-adapter');
+      return new MemoryAdapter();
+    }
+
+    case 'postgres': {
+      const connectionString = options.connectionString || process.env.DATABASE_URL;
+      if (!connectionString) {
+        throw new Error('DATABASE_URL is required for the postgres storage adapter');
+      }
+      const PostgresAdapter = require('./postgres-adapter');
+      return new PostgresAdapter(connectionString);
+    }
+
+    default:
+      throw new Error(`Unknown storage adapter: ${type}`);
+  }
+}
+
+module.exports = { createAdapter };
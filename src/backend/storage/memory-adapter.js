@@ -0,0 +1,15 @@
+/**
+ * In-Memory Storage Adapter
+ * SQLite ":memory:" database - nothing is written to disk and all data
+ * is lost on close. Intended for tests and throwaway demo runs.
+ */
+
+const SQLiteAdapter = require('./sqlite-adapter');
+
+class MemoryAdapter extends SQLiteAdapter {
+  constructor() {
+    super(':memory:');
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,104 @@
+/**
+ * PostgreSQL Storage Adapter
+ * Shared storage for multi-team deployments. Queries are written in the
+ * SQLite dialect used throughout the backend and translated here:
+ * "?" placeholders become $1..$n and SQLite-only DDL types are mapped.
+ */
+
+const { Client, types } = require('pg');
+
+// COUNT(*) and SUM() come back as int8/numeric strings by default
+types.setTypeParser(20, value => parseInt(value, 10));
+types.setTypeParser(1700, value => parseFloat(value));
+
+const DDL_REPLACEMENTS = [
+  [/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY'],
+  [/\bDATETIME\b/gi, 'TIMESTAMP'],
+  [/BOOLEAN DEFAULT 0/gi, 'BOOLEAN DEFAULT FALSE'],
+  [/BOOLEAN DEFAULT 1/gi, 'BOOLEAN DEFAULT TRUE']
+];
+
+class PostgresAdapter {
+  constructor(connectionString) {
+    this.connectionString = connectionString;
+    this.dialect = 'postgres';
+    this.client = null;
+  }
+
+  async connect() {
+    // A single client keeps BEGIN/COMMIT on one connection, like SQLite
+    this.client = new Client({ connectionString: this.connectionString });
+    await this.client.connect();
+    console.log('📦 Connected to PostgreSQL database');
+  }
+
+  /**
+   * Translate a SQLite-dialect statement to PostgreSQL
+   */
+  translate(sql) {
+    let translated = sql;
+    if (/^\s*(CREATE|ALTER)\s/i.test(sql)) {
+      translated = DDL_REPLACEMENTS.reduce(
+        (text, [pattern, replacement]) => text.replace(pattern, replacement),
+        translated
+      );
+    }
+    return this.replacePlaceholders(translated);
+  }
+
+  /**
+   * Replace "?" placeholders with $1..$n, skipping quoted literals
+   */
+  replacePlaceholders(sql) {
+    let index = 0;
+    let inString = false;
+    let result = '';
+
+    for (const char of sql) {
+      if (char === "'") {
+        inString = !inString;
+      }
+      if (char === '?' && !inString) {
+        index++;
+        result += `$${index}`;
+      } else {
+        result += char;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a statement
+   * @returns {Object} { id, changes } - inserted row id and affected rows
+   */
+  async run(sql, params = []) {
+    let text = this.translate(sql);
+    if (/^\s*INSERT\s/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+      text += ' RETURNING *';
+    }
+
+    const result = await this.client.query(text, params);
+    return {
+      id: result.rows?.[0]?.id ?? null,
+      changes: result.rowCount
+    };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.client.query(this.translate(sql), params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.client.query(this.translate(sql), params);
+    return result.rows;
+  }
+
+  async close() {
+    await this.client.end();
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,72 @@
+/**
+ * SQLite Storage Adapter
+ * File-backed storage using the sqlite3 driver
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+class SQLiteAdapter {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.dialect = 'sqlite';
+    this.db = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log(`📦 Connected to SQLite database (${this.dbPath})`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a statement
+   * @returns {Object} { id, changes } - last inserted row id and affected rows
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+module.exports = SQLiteAdapter;
@@ -0,0 +1,52 @@
+/**
+ * Time helpers shared by the backend
+ * SQLite stores CURRENT_TIMESTAMP as "YYYY-MM-DD HH:MM:SS" in UTC, while
+ * PostgreSQL returns Date objects; these helpers normalize both.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a stored timestamp (SQLite text, ISO string or Date) as UTC
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) return value;
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return new Date(`${text}T00:00:00Z`);
+  }
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  return new Date(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP does, so stored
+ * timestamps compare correctly as strings
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * YYYY-MM-DD (UTC)
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Monday 00:00 UTC of the week containing date
+ */
+function startOfWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const offset = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - offset * DAY_MS);
+}
+
+module.exports = {
+  DAY_MS,
+  parseTimestamp,
+  toSqlTimestamp,
+  toDateString,
+  startOfWeek
+};
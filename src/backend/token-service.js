@@ -0,0 +1,133 @@
+/**
+ * Token Service
+ * Issues, verifies and revokes API tokens. Only a SHA-256 hash of each
+ * token is stored; the plain token is returned once, when it is created.
+ *
+ * CLI usage (e.g. to create the first admin token):
+ *   node src/backend/token-service.js create <name> <viewer|analyst|admin> [--expires-in-days N]
+ *   node src/backend/token-service.js list
+ *   node src/backend/token-service.js revoke <id>
+ */
+
+const crypto = require('crypto');
+const { DAY_MS, parseTimestamp, toSqlTimestamp } = require('./time-utils');
+
+// Each role includes the permissions of the roles before it
+const ROLES = ['viewer', 'analyst', 'admin'];
+const TOKEN_PREFIX = 'ahm_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class TokenService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Whether a role grants the permissions of another role
+   */
+  static hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Create a token
+   * @param {Object} options - { name, role, created_by, expires_in_days }
+   * @returns {Object} Token metadata plus the plain `token` (shown only once)
+   */
+  async create(options) {
+    const { name, role, created_by = null, expires_in_days = null } = options;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('name is required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (expires_in_days !== null && !(Number(expires_in_days) > 0)) {
+      throw new Error('expires_in_days must be a positive number');
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const expiresAt = expires_in_days
+      ? toSqlTimestamp(new Date(Date.now() + Number(expires_in_days) * DAY_MS))
+      : null;
+
+    const record = await this.db.createApiToken(
+      name, role, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), created_by, expiresAt
+    );
+    return { ...record, token };
+  }
+
+  /**
+   * Resolve a presented token
+   * @returns {Object|null} Token row, or null if unknown, revoked or expired
+   */
+  async verify(token) {
+    if (!token) return null;
+
+    const record = await this.db.findApiTokenByHash(hashToken(token));
+    if (!record || record.revoked_at) return null;
+    if (record.expires_at && parseTimestamp(record.expires_at) <= new Date()) return null;
+
+    await this.db.touchApiToken(record.id);
+    return record;
+  }
+
+  list() {
+    return this.db.getApiTokens();
+  }
+
+  revoke(id) {
+    return this.db.revokeApiToken(id);
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  require('dotenv').config();
+  const Database = require('./database');
+
+  (async () => {
+    const [command, ...args] = process.argv.slice(2);
+    const db = new Database();
+    await db.initialize();
+    const tokens = new TokenService(db);
+
+    try {
+      if (command === 'create') {
+        const [name, role] = args;
+        const expiresIndex = args.indexOf('--expires-in-days');
+        const created = await tokens.create({
+          name,
+          role,
+          created_by: 'cli',
+          expires_in_days: expiresIndex >= 0 ? args[expiresIndex + 1] : null
+        });
+        console.log(`✅ Created ${created.role} token "${created.name}" (id ${created.id}). Store it now, it is not shown again:`);
+        console.log(created.token);
+      } else if (command === 'list') {
+        const rows = await tokens.list();
+        rows.forEach(row => {
+          const state = row.revoked_at ? 'revoked' : 'active';
+          console.log(`   ${row.id}  ${row.token_prefix}…  ${row.role.padEnd(7)}  ${state.padEnd(7)}  ${row.name}`);
+        });
+      } else if (command === 'revoke') {
+        const revoked = await tokens.revoke(args[0]);
+        if (!revoked) throw new Error(`Token ${args[0]} not found`);
+        console.log(`✅ Revoked token ${revoked.id} (${revoked.name})`);
+      } else {
+        throw new Error('Usage: token-service.js create <name> <role> [--expires-in-days N] | list | revoke <id>');
+      }
+    } finally {
+      await db.close();
+    }
+  })().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = TokenService;
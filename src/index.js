@@ -3,7 +3,7 @@
  * Orchestrates the full analysis pipeline
  */
 
-const TechDebtGPTScraper = require('./scraper/techdebtgpt-scraper');
+const { registry } = require('./sources');
 const AgentAnalyzer = require('./meta-agent/analyzer');
 const AgentImprover = require('./meta-agent/agent-improver');
 require('dotenv').config();
@@ -12,13 +12,15 @@ async function main() {
   console.log('🤖 Starting Agent Health Monitor Analysis...\n');
 
   try {
-    // Step 1: Scrape metrics from TechDebtGPT
-    console.log('📊 Step 1: Scraping TechDebtGPT metrics...');
-    const scraper = new TechDebtGPTScraper();
-    const scrapeResult = await scraper.scrape();
+    const targetRepoPath = process.env.TARGET_REPO_PATH || 'C:/Repos/todo-ai-agents';
+
+    // Step 1: Collect metrics from the configured sources (METRICS_SOURCES, default techdebtgpt)
+    const source = registry.forRepository({ path: targetRepoPath });
+    console.log(`📊 Step 1: Collecting metrics from ${source.name}...`);
+    const scrapeResult = await source.scrape();
 
     if (!scrapeResult.success) {
-      throw new Error('Failed to scrape TechDebtGPT: ' + scrapeResult.error);
+      throw new Error(`Failed to collect metrics from ${source.name}: ${scrapeResult.error}`);
     }
 
     console.log(`✅ Scraped metrics for ${scrapeResult.agents.length} agents\n`);
@@ -36,7 +38,6 @@ async function main() {
     if (analysis.criticalAgents.length > 0 || analysis.warningAgents.length > 0) {
       console.log('🔧 Step 3: Generating improvements...');
 
-      const targetRepoPath = process.env.TARGET_REPO_PATH || 'C:/Repos/todo-ai-agents';
       const improver = new AgentImprover(targetRepoPath);
 
       // Focus on the lowest performer
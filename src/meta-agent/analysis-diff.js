@@ -0,0 +1,91 @@
+/**
+ * Analysis Diff
+ * Compares two stored team analyses: per-agent score deltas, health
+ * status transitions and changes in the lowest performer
+ */
+
+const STATUS_RANK = { critical: 0, warning: 1, healthy: 2 };
+
+function agentKey(agent) {
+  return agent.id !== undefined && agent.id !== null ? `id:${agent.id}` : `email:${agent.email}`;
+}
+
+function delta(from, to) {
+  if (typeof from !== 'number' || typeof to !== 'number') return null;
+  return Math.round((to - from) * 10) / 10;
+}
+
+/**
+ * Classify a status change as improved/degraded/unchanged
+ */
+function describeTransition(fromStatus, toStatus) {
+  if (!fromStatus || !toStatus || fromStatus === toStatus) return null;
+
+  return {
+    from: fromStatus,
+    to: toStatus,
+    label: `${fromStatus}→${toStatus}`,
+    direction: STATUS_RANK[toStatus] > STATUS_RANK[fromStatus] ? 'improved' : 'degraded'
+  };
+}
+
+/**
+ * Diff two analyses (the parsed analysis_data of two analyses rows)
+ * @param {Object} from - Earlier analysis
+ * @param {Object} to - Later analysis
+ * @returns {Object} Diff report
+ */
+function diffAnalyses(from, to) {
+  const fromAgents = new Map((from.allAgents || []).map(a => [agentKey(a), a]));
+  const toAgents = new Map((to.allAgents || []).map(a => [agentKey(a), a]));
+
+  const agents = [];
+  for (const [key, after] of toAgents) {
+    const before = fromAgents.get(key);
+    if (!before) continue;
+
+    agents.push({
+      id: after.id ?? null,
+      name: after.name,
+      email: after.email,
+      from_score: before.health?.overall ?? null,
+      to_score: after.health?.overall ?? null,
+      delta: delta(before.health?.overall, after.health?.overall),
+      breakdown_delta: Object.fromEntries(
+        Object.keys(after.health?.breakdown || {}).map(dimension => [
+          dimension,
+          delta(before.health?.breakdown?.[dimension], after.health.breakdown[dimension])
+        ])
+      ),
+      status_transition: describeTransition(before.health?.status, after.health?.status)
+    });
+  }
+
+  const summarize = agent => ({ id: agent.id ?? null, name: agent.name, email: agent.email });
+  const added = [...toAgents.keys()].filter(key => !fromAgents.has(key)).map(key => summarize(toAgents.get(key)));
+  const removed = [...fromAgents.keys()].filter(key => !toAgents.has(key)).map(key => summarize(fromAgents.get(key)));
+
+  const lowestFrom = from.lowestPerformer || null;
+  const lowestTo = to.lowestPerformer || null;
+
+  return {
+    team_average: {
+      from: from.teamAverageScore ?? null,
+      to: to.teamAverageScore ?? null,
+      delta: delta(from.teamAverageScore, to.teamAverageScore)
+    },
+    agents: agents.sort((a, b) => (a.delta ?? 0) - (b.delta ?? 0)),
+    status_transitions: agents
+      .filter(agent => agent.status_transition)
+      .map(agent => ({ name: agent.name, email: agent.email, ...agent.status_transition })),
+    added_agents: added,
+    removed_agents: removed,
+    lowest_performer: {
+      from: lowestFrom && { name: lowestFrom.name, email: lowestFrom.email, score: lowestFrom.score },
+      to: lowestTo && { name: lowestTo.name, email: lowestTo.email, score: lowestTo.score },
+      changed: (lowestFrom?.email || null) !== (lowestTo?.email || null)
+    }
+  };
+}
+
+module.exports = { diffAnalyses, describeTransition };
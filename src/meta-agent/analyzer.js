@@ -110,6 +110,7 @@ class AgentAnalyzer {
       teamSize: agents.length,
       teamAverageScore: Math.round(teamAverage),
       lowestPerformer: {
+        id: lowestPerformer.id,
         name: lowestPerformer.name,
         email: lowestPerformer.email,
         score: lowestPerformer.health.overall,
@@ -117,6 +118,7 @@ class AgentAnalyzer {
         breakdown: lowestPerformer.health.breakdown
       },
       highestPerformer: {
+        id: highestPerformer.id,
         name: highestPerformer.name,
         email: highestPerformer.email,
         score: highestPerformer.health.overall
@@ -0,0 +1,157 @@
+/**
+ * Side-by-Side Comparison
+ * Scores two sets of agent metrics (two agents, or one agent in two time
+ * windows) with the analyzer and reports absolute/percentage deltas and
+ * which root causes appear or disappear from side A to side B
+ */
+
+// agent_metrics column → analyzer field
+const METRICS = [
+  ['commits', 'commits'],
+  ['pull_requests', 'pullRequests'],
+  ['code_reviews', 'codeReviews'],
+  ['bugs_introduced', 'bugsIntroduced'],
+  ['lines_added', 'linesAdded'],
+  ['lines_deleted', 'linesDeleted'],
+  ['tech_debt_score', 'techDebtScore'],
+  ['velocity', 'velocity'],
+  ['files_touched', 'filesTouched'],
+  ['active_days', 'activeDays'],
+  ['review_comments', 'reviewComments']
+];
+
+/**
+ * Turn a row keyed by agent_metrics column into the camelCase fields the
+ * analyzer reads; missing metrics count as 0
+ * @param {Object} row - agent_metrics row or averaged metrics
+ * @returns {Object} Analyzer input
+ */
+function toAnalyzerAgent(row) {
+  return Object.fromEntries(METRICS.map(([column, field]) => [field, Number(row[column]) || 0]));
+}
+
+// agent_metrics score columns, one per analyzer health dimension
+const SCORE_FIELDS = [
+  'health_score',
+  'productivity_score',
+  'quality_score',
+  'collaboration_score',
+  'reliability_score'
+];
+
+/**
+ * The agent_metrics score columns of a snapshot, as the analyzer scores it
+ * @param {Object} analyzer - AgentAnalyzer
+ * @param {Object} row - Metrics keyed by agent_metrics column
+ * @returns {Object} { health_score, productivity_score, quality_score, collaboration_score, reliability_score }
+ */
+function scoreColumns(analyzer, row) {
+  const health = analyzer.calculateHealthScore(toAnalyzerAgent(row));
+  return {
+    health_score: health.overall,
+    productivity_score: health.breakdown.productivity,
+    quality_score: health.breakdown.quality,
+    collaboration_score: health.breakdown.collaboration,
+    reliability_score: health.breakdown.reliability
+  };
+}
+
+/**
+ * Round to digits decimals; null for missing or non-finite values
+ */
+function round(value, digits = 2) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Absolute and percentage change from a to b (percent is null when a is 0)
+ */
+function delta(a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    return { absolute: null, percent: null };
+  }
+  return {
+    absolute: round(b - a),
+    percent: a === 0 ? null : round(((b - a) / Math.abs(a)) * 100)
+  };
+}
+
+/**
+ * Average the raw metrics of a set of snapshots
+ * @param {Array} snapshots - agent_metrics rows
+ * @returns {Object|null} Metrics keyed by column, null without snapshots
+ */
+function averageMetrics(snapshots) {
+  if (snapshots.length === 0) return null;
+
+  return Object.fromEntries(METRICS.map(([column]) => [
+    column,
+    round(snapshots.reduce((sum, row) => sum + Number(row[column] || 0), 0) / snapshots.length)
+  ]));
+}
+
+/**
+ * Score one side with the analyzer
+ * @param {Object} analyzer - AgentAnalyzer
+ * @param {Object|null} metrics - Metrics keyed by agent_metrics column
+ */
+function evaluate(analyzer, metrics) {
+  if (!metrics) {
+    return { metrics: null, health: null, root_causes: [] };
+  }
+
+  const agent = toAnalyzerAgent(metrics);
+  agent.health = analyzer.calculateHealthScore(agent);
+
+  return {
+    metrics,
+    health: agent.health,
+    root_causes: analyzer.identifyRootCauses(agent).map(cause => ({
+      category: cause.category,
+      issue: cause.issue,
+      severity: cause.severity
+    }))
+  };
+}
+
+/**
+ * Compare two sides
+ * @param {Object} analyzer - AgentAnalyzer
+ * @param {Object|null} metricsA - Metrics of side A (the baseline)
+ * @param {Object|null} metricsB - Metrics of side B
+ * @returns {Object} { a, b, deltas, root_causes }
+ */
+function compareMetrics(analyzer, metricsA, metricsB) {
+  const a = evaluate(analyzer, metricsA);
+  const b = evaluate(analyzer, metricsB);
+
+  const categoriesA = new Set(a.root_causes.map(cause => cause.category));
+  const categoriesB = new Set(b.root_causes.map(cause => cause.category));
+
+  return {
+    a,
+    b,
+    deltas: {
+      metrics: Object.fromEntries(METRICS.map(([column]) => [
+        column,
+        delta(metricsA?.[column], metricsB?.[column])
+      ])),
+      scores: {
+        overall: delta(a.health?.overall, b.health?.overall),
+        ...Object.fromEntries(Object.keys(a.health?.breakdown || b.health?.breakdown || {}).map(dimension => [
+          dimension,
+          delta(a.health?.breakdown[dimension], b.health?.breakdown[dimension])
+        ]))
+      }
+    },
+    root_causes: {
+      appeared: b.root_causes.filter(cause => !categoriesA.has(cause.category)),
+      disappeared: a.root_causes.filter(cause => !categoriesB.has(cause.category)),
+      persisting: b.root_causes.filter(cause => categoriesA.has(cause.category))
+    }
+  };
+}
+
+module.exports = { METRICS, SCORE_FIELDS, toAnalyzerAgent, scoreColumns, compareMetrics, averageMetrics, round };
@@ -0,0 +1,112 @@
+/**
+ * Trend Analysis
+ * Turns a time series of agent scores into per-dimension trends: a trailing
+ * moving average, an exponentially weighted moving average (EWMA), a
+ * least-squares slope and an improving/stable/declining direction
+ */
+
+const { DAY_MS } = require('../backend/time-utils');
+const { round } = require('./comparison');
+
+const DIMENSIONS = ['health', 'productivity', 'quality', 'collaboration', 'reliability'];
+
+const DEFAULTS = {
+  movingAverageWindow: 7, // samples
+  alpha: 0.3, // EWMA smoothing factor (higher follows recent samples more closely)
+  stableThreshold: 1 // points per week the slope must exceed to count as a trend
+};
+
+/**
+ * Trailing moving average; the first samples average what is available
+ */
+function movingAverage(values, window) {
+  return values.map((value, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+    return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+  });
+}
+
+/**
+ * Exponentially weighted moving average, seeded with the first value
+ */
+function ewma(values, alpha) {
+  const result = [];
+  values.forEach((value, i) => {
+    result.push(i === 0 ? value : alpha * value + (1 - alpha) * result[i - 1]);
+  });
+  return result;
+}
+
+/**
+ * Least-squares slope of y over x
+ * @returns {number|null} null with fewer than two distinct x values
+ */
+function linearSlope(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    variance += (xs[i] - meanX) ** 2;
+  }
+  return variance === 0 ? null : covariance / variance;
+}
+
+function classifyDirection(slopePerWeek, threshold) {
+  if (slopePerWeek === null) return 'insufficient_data';
+  if (slopePerWeek >= threshold) return 'improving';
+  if (slopePerWeek <= -threshold) return 'declining';
+  return 'stable';
+}
+
+/**
+ * Compute trends for every score dimension
+ * @param {Array} samples - [{ timestamp: Date, scores: { health, productivity, ... } }], oldest first
+ * @param {Object} options - { movingAverageWindow, alpha, stableThreshold }
+ * @returns {Object} Trend per dimension
+ */
+function computeTrends(samples, options = {}) {
+  const movingAverageWindow = options.movingAverageWindow ?? DEFAULTS.movingAverageWindow;
+  const alpha = options.alpha ?? DEFAULTS.alpha;
+  const stableThreshold = options.stableThreshold ?? DEFAULTS.stableThreshold;
+  const trends = {};
+
+  for (const dimension of DIMENSIONS) {
+    const points = samples
+      .filter(sample => typeof sample.scores[dimension] === 'number')
+      .map(sample => ({ timestamp: sample.timestamp, value: sample.scores[dimension] }));
+    const values = points.map(point => point.value);
+
+    const averages = movingAverage(values, movingAverageWindow);
+    const smoothed = ewma(values, alpha);
+    const origin = points.length > 0 ? points[0].timestamp.getTime() : 0;
+    const slopePerDay = linearSlope(points.map(point => (point.timestamp.getTime() - origin) / DAY_MS), values);
+    const slopePerWeek = slopePerDay === null ? null : slopePerDay * 7;
+
+    trends[dimension] = {
+      samples: points.length,
+      first: points.length > 0 ? round(values[0]) : null,
+      latest: points.length > 0 ? round(values[values.length - 1]) : null,
+      change: points.length > 1 ? round(values[values.length - 1] - values[0]) : null,
+      moving_average: points.length > 0 ? round(averages[averages.length - 1]) : null,
+      ewma: points.length > 0 ? round(smoothed[smoothed.length - 1]) : null,
+      slope_per_day: round(slopePerDay, 4),
+      slope_per_week: round(slopePerWeek),
+      direction: classifyDirection(slopePerWeek, stableThreshold),
+      series: points.map((point, i) => ({
+        timestamp: point.timestamp.toISOString(),
+        value: round(point.value),
+        moving_average: round(averages[i]),
+        ewma: round(smoothed[i])
+      }))
+    };
+  }
+
+  return trends;
+}
+
+module.exports = { computeTrends, DIMENSIONS };
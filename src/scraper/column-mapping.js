@@ -0,0 +1,196 @@
+/**
+ * TechDebtGPT Column Mapping
+ * Turns the team performance table into agent metrics by its <thead> labels,
+ * using a mapping file (config/techdebtgpt-columns.json, or
+ * TECHDEBTGPT_COLUMN_MAP). Every column is also kept as text in the agent's
+ * rawMetrics, so nothing the page shows is lost.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, '../../config/techdebtgpt-columns.json');
+
+/**
+ * Thrown when the table no longer has the headers the mapping expects,
+ * so a changed page fails the scrape instead of storing shifted data
+ */
+class SchemaMismatchError extends Error {
+  constructor(missing, found) {
+    super(
+      `Schema mismatch: expected column(s) ${missing.map(header => `"${header}"`).join(', ')} ` +
+      `not found in the team performance table (found: ${found.map(header => `"${header}"`).join(', ') || 'none'})`
+    );
+    this.name = 'SchemaMismatchError';
+    this.missing = missing;
+    this.found = found;
+  }
+}
+
+/**
+ * Header label without sort indicators or extra whitespace
+ */
+function cleanHeader(text) {
+  return String(text || '')
+    .replace(/[↑↓▲▼⇅]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compare headers without case, extra whitespace or sort indicators
+ */
+function normalizeHeader(text) {
+  return cleanHeader(text).toLowerCase();
+}
+
+/**
+ * A mapping header (string or list of alternatives) for error messages
+ */
+function describeHeader(header) {
+  return Array.isArray(header) ? header.join(' / ') : header;
+}
+
+function firstNumber(text) {
+  const match = String(text || '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * @param {string} file - Mapping file, defaults to TECHDEBTGPT_COLUMN_MAP or config/techdebtgpt-columns.json
+ */
+function loadColumnMapping(file = process.env.TECHDEBTGPT_COLUMN_MAP || DEFAULT_MAPPING_PATH) {
+  const mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!mapping.name?.header || !mapping.columns) {
+    throw new Error(`Invalid column mapping ${file}: "name" and "columns" are required`);
+  }
+  return mapping;
+}
+
+/**
+ * Index of the first header matching one of the alternatives, or -1
+ */
+function findColumn(headers, header) {
+  const wanted = (Array.isArray(header) ? header : [header]).map(normalizeHeader);
+  return headers.findIndex(text => wanted.includes(normalizeHeader(text)));
+}
+
+/**
+ * Resolve each mapped field to a column index
+ * @throws {SchemaMismatchError} If the name column or a required column is missing
+ */
+function resolveColumns(headers, mapping) {
+  const missing = [];
+
+  const nameIndex = findColumn(headers, mapping.name.header);
+  if (nameIndex < 0) missing.push(describeHeader(mapping.name.header));
+
+  const columns = [];
+  for (const [field, spec] of Object.entries(mapping.columns)) {
+    const index = findColumn(headers, spec.header);
+    if (index >= 0) {
+      columns.push({ field, index, scale: spec.scale ?? 1, offset: spec.offset ?? 0 });
+    } else if (!spec.optional) {
+      missing.push(describeHeader(spec.header));
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new SchemaMismatchError(missing, headers.map(cleanHeader));
+  }
+  return { nameIndex, columns };
+}
+
+/**
+ * Map extracted tables to agents
+ * @param {Array} tables - [{ headers: [text], rows: [[cell text]] }] as read from the page
+ * @param {Object} mapping - Column mapping (see loadColumnMapping)
+ * @param {string} timestamp - When the table was captured
+ * @returns {Array} Agents with the mapped metrics and rawMetrics ({ header: cell text });
+ *   metrics without a column or a number stay unset, so merged sources can fill them
+ * @throws {SchemaMismatchError} If no table has the expected headers
+ */
+function mapTables(tables, mapping, timestamp = new Date().toISOString()) {
+  // Use the first table with the name column; it has to match the whole schema
+  const table = tables.find(candidate => findColumn(candidate.headers, mapping.name.header) >= 0) || tables[0];
+  if (!table) {
+    throw new SchemaMismatchError([describeHeader(mapping.name.header)], []);
+  }
+
+  const { nameIndex, columns } = resolveColumns(table.headers, mapping);
+  const agents = [];
+
+  for (const cells of table.rows) {
+    const name = (cells[nameIndex] || '').trim();
+    if (!name) continue;
+
+    const agent = {
+      name,
+      email: name.includes('@') ? name : `${name}@techdebtgpt.user`,
+      role: 'Developer',
+      timestamp,
+      rawMetrics: Object.fromEntries(
+        table.headers
+          .map((header, i) => [cleanHeader(header) || `column_${i}`, (cells[i] || '').trim()])
+          .filter((_, i) => i !== nameIndex)
+      )
+    };
+
+    for (const column of columns) {
+      const value = firstNumber(cells[column.index]);
+      if (value !== null) {
+        agent[column.field] = Math.round((value * column.scale + column.offset) * 100) / 100;
+      }
+    }
+
+    // Only add if we have actual data
+    if (agent.pullRequests > 0 || agent.commits > 0) {
+      agents.push(agent);
+    }
+  }
+
+  return agents;
+}
+
+/**
+ * Agents of the card/list layout: identified by the email in each card, with
+ * no metrics (cards do not show them). Used only when the page has no table.
+ * @param {Array} cards - [{ name, text }] as read from the page
+ * @param {string} timestamp - When the page was captured
+ * @returns {Array} Agents, one per email
+ */
+function mapCards(cards, timestamp = new Date().toISOString()) {
+  const agents = new Map();
+
+  for (const card of cards) {
+    const emailMatch = card.text.match(/[\w.-]+@[\w.-]+\.\w+/);
+    if (!emailMatch || agents.has(emailMatch[0])) continue;
+
+    agents.set(emailMatch[0], {
+      name: card.name || emailMatch[0],
+      email: emailMatch[0],
+      timestamp
+    });
+  }
+
+  return [...agents.values()];
+}
+
+/**
+ * Map a page read by page-reader.js to agents: its tables by header, or its
+ * member cards when it has no table at all
+ * @param {Object} pageData - { tables, cards }
+ * @param {Object} mapping - Column mapping (see loadColumnMapping)
+ * @param {string} timestamp - When the page was captured
+ * @throws {SchemaMismatchError} If the tables lack the expected headers, or
+ *   the page has neither a table nor member cards
+ */
+function mapPage(pageData, mapping, timestamp = new Date().toISOString()) {
+  if (pageData.tables.length === 0) {
+    const agents = mapCards(pageData.cards || [], timestamp);
+    if (agents.length > 0) return agents;
+  }
+  return mapTables(pageData.tables, mapping, timestamp);
+}
+
+module.exports = { loadColumnMapping, mapTables, mapCards, mapPage, normalizeHeader, SchemaMismatchError };
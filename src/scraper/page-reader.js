@@ -0,0 +1,41 @@
+/**
+ * Team Performance Page Reader
+ * Reads the rendered team performance page (HTML, as saved by the scraper)
+ * into plain data: every table as header labels + cell texts, and the text
+ * of member cards for pages that list the team without a table. Parsing
+ * happens in Node, so saved pages and test fixtures go through exactly the
+ * same code as live scrapes.
+ */
+
+const { parse } = require('node-html-parser');
+
+// Elements of the card/list layout, one per team member
+const CARD_SELECTOR = '[class*="member"], [class*="contributor"], [class*="developer"]';
+
+const text = element => element.textContent.replace(/\s+/g, ' ').trim();
+
+/**
+ * @param {string} html - Rendered page
+ * @returns {Object} { tables: [{ headers: [text], rows: [[cell text]] }], cards: [{ name, text }] }
+ */
+function readPage(html) {
+  const root = parse(html, { blockTextElements: { script: false, style: false, noscript: false } });
+
+  const tables = root.querySelectorAll('table').map(table => {
+    const headerCells = table.querySelectorAll('thead th, thead td');
+    const bodyRows = table.querySelectorAll('tbody tr');
+    return {
+      headers: (headerCells.length > 0 ? headerCells : table.querySelectorAll('tr:first-child th')).map(text),
+      rows: bodyRows.map(row => row.querySelectorAll('td').map(text)).filter(cells => cells.length > 0)
+    };
+  });
+
+  const cards = root.querySelectorAll(CARD_SELECTOR).map(card => {
+    const name = card.querySelector('[class*="name"]');
+    return { name: name ? text(name) : null, text: text(card) };
+  });
+
+  return { tables, cards };
+}
+
+module.exports = { readPage };
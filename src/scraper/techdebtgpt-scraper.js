@@ -1,22 +1,57 @@
 /**
  * TechDebtGPT Team Performance Scraper
- * Uses Playwright to login and extract agent performance metrics
+ * Uses Playwright to login and extract agent performance metrics.
+ * Each run saves the rendered team performance page as HTML and parses that
+ * same markup; replay() parses saved pages without a browser.
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const { chromium } = require('playwright');
+const MetricsSource = require('../sources/metrics-source');
+const { loadColumnMapping, mapPage } = require('./column-mapping');
+const { readPage } = require('./page-reader');
 require('dotenv').config();
 
-class TechDebtGPTScraper {
-  constructor() {
+/**
+ * File name of a saved page; the capture time is encoded so replays keep it
+ */
+function snapshotFileName(date) {
+  return `team-performance-${date.toISOString().replace(/[:.]/g, '-')}.html`;
+}
+
+function snapshotTime(file, stats) {
+  const match = path.basename(file).match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return match
+    ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`
+    : stats.mtime.toISOString();
+}
+
+class TechDebtGPTScraper extends MetricsSource {
+  /**
+   * @param {Object} options - { onProgress(step, message) } to follow the scrape,
+   *   { projectUrl } to override TECHDEBTGPT_PROJECT_URL, { columnMapping } to
+   *   override the mapping file (see column-mapping.js), { htmlDir } where
+   *   rendered pages are saved (SCRAPER_HTML_DIR, default ./html-snapshots)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'techdebtgpt';
     this.browser = null;
     this.page = null;
-    this.projectUrl = process.env.TECHDEBTGPT_PROJECT_URL;
+    this.screenshots = [];
+    this.htmlSnapshots = [];
+    this.htmlDir = options.htmlDir || process.env.SCRAPER_HTML_DIR || './html-snapshots';
+    this.projectUrl = options.projectUrl || process.env.TECHDEBTGPT_PROJECT_URL;
+    this.columnMapping = options.columnMapping || null;
     this.email = process.env.TECHDEBTGPT_EMAIL;
     this.password = process.env.TECHDEBTGPT_PASSWORD;
   }
 
   async initialize() {
     console.log('🚀 Initializing TechDebtGPT scraper...');
+    this.screenshots = [];
+    this.htmlSnapshots = [];
     this.browser = await chromium.launch({
       headless: false, // Set to true for production
       slowMo: 100
@@ -68,7 +103,7 @@ class TechDebtGPTScraper {
       await this.page.waitForTimeout(1500);
 
       // Take screenshot of dropdown options
-      await this.page.screenshot({ path: './screenshots/dropdown-options.png', fullPage: true });
+      await this.takeScreenshot('./screenshots/dropdown-options.png');
 
       // Try to find and click todo-ai-agents option
       const repoOption = await this.page.locator('text=todo-ai-agents').first();
@@ -111,11 +146,15 @@ class TechDebtGPTScraper {
     await this.page.waitForTimeout(2000);
 
     // Take final screenshot after scrolling
-    await this.page.screenshot({ path: './screenshots/team-performance-final.png', fullPage: true });
+    await this.takeScreenshot('./screenshots/team-performance-final.png');
 
     console.log('✅ Team performance page loaded and scrolled');
   }
 
+  /**
+   * Capture the page once, save it for replay() and parse the saved markup
+   * @returns {Object} { timestamp, agents } - timestamp is the capture time
+   */
   async extractAgentMetrics() {
     console.log('📈 Extracting agent performance metrics...');
 
@@ -123,109 +162,12 @@ class TechDebtGPTScraper {
     await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
     await this.page.waitForTimeout(2000);
 
-    // First, let's get the page content to understand structure
-    const pageContent = await this.page.content();
-
-    // Look for any table or grid containing team/contributor data
-    const metrics = await this.page.evaluate(() => {
-      const agents = [];
-
-      // Strategy 1: Look for table rows with team member data
-      const tables = document.querySelectorAll('table');
-
-      for (const table of tables) {
-        const rows = table.querySelectorAll('tbody tr');
-
-        rows.forEach(row => {
-          const cells = Array.from(row.querySelectorAll('td'));
-
-          if (cells.length > 0) {
-            // Extract text from cells
-            const cellTexts = cells.map(cell => cell.textContent.trim());
-
-            // Look for name in first cell (like "ipanov-ritech")
-            const nameCell = cellTexts[0];
-
-            // Skip if no name
-            if (!nameCell || nameCell === '') return;
-
-            const agent = {
-              name: nameCell,
-              email: nameCell.includes('@') ? nameCell : `${nameCell}@techdebtgpt.user`,
-              commits: 0,
-              pullRequests: 0,
-              codeReviews: 0,
-              bugsIntroduced: 0,
-              linesAdded: 0,
-              linesDeleted: 0,
-              techDebtScore: 0,
-              velocity: 0,
-              role: 'Developer',
-              timestamp: new Date().toISOString()
-            };
-
-            // Extract PRs from second column (format: "2 / 2")
-            if (cellTexts[1]) {
-              const prMatch = cellTexts[1].match(/(\d+)\s*\/\s*(\d+)/);
-              if (prMatch) {
-                agent.pullRequests = parseInt(prMatch[1]);
-              }
-            }
-
-            // Extract numeric values from remaining cells
-            cellTexts.forEach((text, idx) => {
-              // Skip first two columns (name and PRs)
-              if (idx < 2) return;
-
-              const numbers = text.match(/\d+(\.\d+)?/g);
-              if (numbers) {
-                const val = parseFloat(numbers[0]);
-
-                // Map based on column headers or content
-                if (text.includes('/PR')) {
-                  // These are metrics per PR - use for quality/velocity estimation
-                  if (idx === 2) agent.velocity = val; // Avg. Estimation
-                  else if (idx === 5) agent.techDebtScore = 100 - (val * 10); // Quality inverse
-                }
-              }
-            });
-
-            // Only add if we have actual data
-            if (agent.pullRequests > 0 || agent.commits > 0) {
-              agents.push(agent);
-            }
-          }
-        });
-      }
+    const capturedAt = new Date();
+    const html = await this.page.content();
+    await this.saveHtml(html, capturedAt);
 
-      // Strategy 2: Look for card/list layouts if no table found
-      if (agents.length === 0) {
-        const memberCards = document.querySelectorAll('[class*="member"], [class*="contributor"], [class*="developer"]');
-
-        memberCards.forEach(card => {
-          const text = card.textContent;
-          const emailMatch = text.match(/[\w.-]+@[\w.-]+\.\w+/);
-
-          if (emailMatch) {
-            agents.push({
-              name: card.querySelector('[class*="name"]')?.textContent?.trim() || emailMatch[0],
-              email: emailMatch[0],
-              commits: 0,
-              pullRequests: 0,
-              codeReviews: 0,
-              bugsIntroduced: 0,
-              linesAdded: 0,
-              linesDeleted: 0,
-              techDebtScore: 0,
-              velocity: 0,
-              timestamp: new Date().toISOString()
-            });
-          }
-        });
-      }
-
-      return agents;
-    });
+    const timestamp = capturedAt.toISOString();
+    const metrics = this.readAgentMetrics(html, timestamp);
 
     console.log(`✅ Extracted metrics for ${metrics.length} agents`);
 
@@ -234,11 +176,71 @@ class TechDebtGPTScraper {
       console.log('⚠️  No agents found. Check screenshots/team-performance-final.png for page structure');
     }
 
-    return metrics;
+    return { timestamp, agents: metrics };
+  }
+
+  /**
+   * Map the tables (or, without a table, the member cards) of a page to agents
+   * @param {string} html - Rendered page
+   * @param {string} timestamp - Capture time stamped on the agents
+   */
+  readAgentMetrics(html, timestamp) {
+    const mapping = this.columnMapping || loadColumnMapping();
+    return mapPage(readPage(html), mapping, timestamp);
+  }
+
+  /**
+   * Save the rendered page for replay(); the file name keeps the capture time
+   */
+  async saveHtml(html, capturedAt) {
+    await fs.mkdir(this.htmlDir, { recursive: true });
+    const file = path.join(this.htmlDir, snapshotFileName(capturedAt));
+    await fs.writeFile(file, html, 'utf8');
+    this.htmlSnapshots.push(file);
+    console.log(`💾 Page saved: ${file}`);
+  }
+
+  /**
+   * Parse saved team performance pages without logging in or a browser.
+   * Results keep the capture time, so ingesting them again maps to the
+   * snapshots of the original scrape.
+   * @param {string} target - A saved .html file or a directory of them
+   * @returns {Array} One result per file, oldest first: { file, success, timestamp, agents } or { file, success: false, error }
+   */
+  async replay(target) {
+    const stats = await fs.stat(target);
+    const paths = stats.isDirectory()
+      ? (await fs.readdir(target)).filter(name => name.endsWith('.html')).map(name => path.join(target, name))
+      : [target];
+    if (paths.length === 0) {
+      throw new Error(`No .html files in ${target}`);
+    }
+
+    const files = [];
+    for (const file of paths) {
+      files.push({ file, timestamp: snapshotTime(file, await fs.stat(file)) });
+    }
+    files.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    console.log(`⏪ Replaying ${files.length} saved page(s)...`);
+    const results = [];
+    for (const { file, timestamp } of files) {
+      try {
+        const agents = this.readAgentMetrics(await fs.readFile(file, 'utf8'), timestamp);
+        console.log(`   ✓ ${path.basename(file)}: ${agents.length} agents`);
+        results.push({ file, success: true, timestamp, agents });
+      } catch (error) {
+        console.error(`   ❌ ${path.basename(file)}: ${error.message}`);
+        results.push({ file, success: false, timestamp, error: error.message });
+      }
+    }
+
+    return results;
   }
 
   async takeScreenshot(filename = 'team-performance.png') {
     await this.page.screenshot({ path: filename, fullPage: true });
+    this.screenshots.push(filename);
     console.log(`📸 Screenshot saved: ${filename}`);
   }
 
@@ -251,19 +253,27 @@ class TechDebtGPTScraper {
 
   async scrape() {
     try {
+      this.reportProgress('initialize', 'Starting browser');
       await this.initialize();
+      this.reportProgress('login', 'Logging into TechDebtGPT');
       await this.login();
+      this.reportProgress('navigate', 'Opening team performance page');
       await this.navigateToTeamPerformance();
 
       // Take screenshot for debugging
       await this.takeScreenshot('./screenshots/team-performance.png');
 
-      const metrics = await this.extractAgentMetrics();
+      this.reportProgress('extract', 'Extracting agent metrics');
+      const { timestamp, agents } = await this.extractAgentMetrics();
+      this.reportProgress('extracted', `Extracted metrics for ${agents.length} agents`);
 
+      // The capture time, so a replay of the saved page ingests as the same run
       return {
         success: true,
-        timestamp: new Date().toISOString(),
-        agents: metrics
+        timestamp,
+        agents,
+        screenshots: this.screenshots,
+        htmlSnapshots: this.htmlSnapshots
       };
     } catch (error) {
       console.error('❌ Scraping failed:', error);
@@ -276,7 +286,9 @@ class TechDebtGPTScraper {
       return {
         success: false,
         error: error.message,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        screenshots: this.screenshots,
+        htmlSnapshots: this.htmlSnapshots
       };
     } finally {
       await this.close();
@@ -284,14 +296,71 @@ class TechDebtGPTScraper {
   }
 }
 
-// CLI usage
+/**
+ * CLI: scrape, or replay saved pages and optionally ingest them
+ * Usage: node src/scraper/techdebtgpt-scraper.js [--replay [file or directory] [--ingest <repository id>]]
+ * @param {Object} db - Database to ingest into (default: a new connection from the environment)
+ */
+async function main(args, db = null) {
+  const option = name => {
+    const index = args.indexOf(name);
+    const value = index >= 0 ? args[index + 1] : undefined;
+    return value && !value.startsWith('--') ? value : undefined;
+  };
+
+  const scraper = new TechDebtGPTScraper();
+  if (!args.includes('--replay')) {
+    return scraper.scrape();
+  }
+
+  const ingestArg = args.includes('--ingest') ? option('--ingest') || '' : null;
+  if (ingestArg !== null && !/^\d+$/.test(ingestArg)) {
+    throw new Error(`Invalid repository id "${ingestArg}": expected a whole number`);
+  }
+
+  const results = await scraper.replay(option('--replay') || scraper.htmlDir);
+  if (ingestArg === null) {
+    return results;
+  }
+
+  const Database = require('../backend/database');
+  const IngestionService = require('../backend/ingestion-service');
+  const repositoryId = parseInt(ingestArg, 10);
+  const database = db || new Database();
+  if (!db) {
+    await database.initialize();
+  }
+
+  try {
+    if (!await database.getRepository(repositoryId)) {
+      throw new Error(`Repository ${repositoryId} not found`);
+    }
+
+    // Each page ingests as the run of its capture time, so replaying twice stores nothing new
+    const ingestion = new IngestionService(database);
+    for (const result of results.filter(result => result.success)) {
+      result.ingested = await ingestion.ingest(repositoryId, result);
+    }
+  } finally {
+    if (!db) {
+      await database.close();
+    }
+  }
+
+  return results;
+}
+
 if (require.main === module) {
-  (async () => {
-    const scraper = new TechDebtGPTScraper();
-    const result = await scraper.scrape();
-    console.log('\n📊 Final Results:');
-    console.log(JSON.stringify(result, null, 2));
-  })();
+  main(process.argv.slice(2))
+    .then(result => {
+      console.log('\n📊 Final Results:');
+      console.log(JSON.stringify(result, null, 2));
+    })
+    .catch(error => {
+      console.error('❌ Scraper failed:', error.message);
+      process.exit(1);
+    });
 }
 
 module.exports = TechDebtGPTScraper;
+module.exports.main = main;
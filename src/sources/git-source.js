@@ -0,0 +1,194 @@
+/**
+ * Git History Collector
+ * Reads `git log --numstat` of the local checkout at repositories.path and
+ * groups the activity by author email: commits, lines added/deleted, files
+ * touched and active days. Only the local repository is read, so it works
+ * fully offline (fetch beforehand if the checkout should be current).
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const MetricsSource = require('./metrics-source');
+const { DAY_MS } = require('../backend/time-utils');
+
+const run = promisify(execFile);
+
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+// %aE/%aN apply .mailmap, so one person's addresses count as one author
+const LOG_FORMAT = `${RECORD}%H${FIELD}%aE${FIELD}%aN${FIELD}%aI`;
+
+/**
+ * The current path of a numstat rename ("a.js => b.js", "src/{old => new}/c.js")
+ */
+function resolveRename(path) {
+  const braces = path.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (braces) {
+    return `${braces[1]}${braces[3]}${braces[4]}`.replace(/\/{2,}/g, '/');
+  }
+  const arrow = path.indexOf(' => ');
+  return arrow >= 0 ? path.slice(arrow + 4) : path;
+}
+
+/**
+ * Parse `git log --numstat` output written with LOG_FORMAT
+ * @returns {Array} [{ hash, email, name, date (UTC ISO), day (author's local date),
+ *   files: [{ path, added, deleted }] }]
+ */
+function parseGitLog(output) {
+  return output
+    .split(RECORD)
+    .filter(record => record.trim())
+    .map(record => {
+      const [header, ...lines] = record.split('\n');
+      const [hash, email, name, date] = header.split(FIELD);
+      const files = lines
+        .filter(line => line.trim())
+        .map(line => {
+          const [added, deleted, ...path] = line.split('\t');
+          return {
+            path: resolveRename(path.join('\t')),
+            // Binary files are listed as "-"
+            added: added === '-' ? 0 : Number(added),
+            deleted: deleted === '-' ? 0 : Number(deleted)
+          };
+        });
+      return {
+        hash,
+        email: email.trim().toLowerCase(),
+        name: name.trim(),
+        date: new Date(date).toISOString(),
+        day: date.slice(0, 10),
+        files
+      };
+    });
+}
+
+/**
+ * Group commits by author email
+ * @returns {Array} Metrics rows (agent_metrics columns) with name and email, most commits first
+ */
+function summarizeByAuthor(commits) {
+  const authors = new Map();
+
+  for (const commit of commits) {
+    if (!authors.has(commit.email)) {
+      authors.set(commit.email, {
+        name: commit.name,
+        email: commit.email,
+        commits: 0,
+        lines_added: 0,
+        lines_deleted: 0,
+        files: new Set(),
+        days: new Set(),
+        first_commit_at: commit.date,
+        last_commit_at: commit.date
+      });
+    }
+
+    const author = authors.get(commit.email);
+    author.commits++;
+    for (const file of commit.files) {
+      author.lines_added += file.added;
+      author.lines_deleted += file.deleted;
+      author.files.add(file.path);
+    }
+    author.days.add(commit.day);
+    if (commit.date < author.first_commit_at) author.first_commit_at = commit.date;
+    if (commit.date > author.last_commit_at) {
+      author.last_commit_at = commit.date;
+      author.name = commit.name; // the latest name wins
+    }
+  }
+
+  return [...authors.values()]
+    .map(({ files, days, ...author }) => ({ ...author, files_touched: files.size, active_days: days.size }))
+    .sort((a, b) => b.commits - a.commits);
+}
+
+class GitLogCollector extends MetricsSource {
+  /**
+   * @param {string} repoPath - Local checkout
+   * @param {Object} options - { onProgress, days (GIT_LOG_DAYS, default 14), ref (default HEAD) }
+   */
+  constructor(repoPath, options = {}) {
+    super(options);
+    this.name = 'git';
+    this.repoPath = repoPath;
+    this.days = options.days || parseFloat(process.env.GIT_LOG_DAYS) || 14;
+    this.ref = options.ref || 'HEAD';
+  }
+
+  /**
+   * Per-author activity in a date range
+   * @param {Object} range - { since, until } as Date or date string; defaults to the last `days` days
+   * @returns {Array} Metrics rows: { name, email, commits, lines_added, lines_deleted,
+   *   files_touched, active_days, first_commit_at, last_commit_at }
+   */
+  async collect(range = {}) {
+    if (!this.repoPath) {
+      throw new Error('Repository path is not set');
+    }
+
+    const until = range.until ? new Date(range.until) : new Date();
+    const since = range.since ? new Date(range.since) : new Date(until.getTime() - this.days * DAY_MS);
+    if (isNaN(since.getTime()) || isNaN(until.getTime())) {
+      throw new Error('Invalid date range');
+    }
+
+    const { stdout } = await run('git', [
+      '-C', this.repoPath,
+      'log', this.ref,
+      '--no-merges',
+      '--numstat',
+      `--format=${LOG_FORMAT}`,
+      `--since=${since.toISOString()}`,
+      `--until=${until.toISOString()}`
+    ], { maxBuffer: 256 * 1024 * 1024 });
+
+    return summarizeByAuthor(parseGitLog(stdout));
+  }
+
+  async scrape(range = {}) {
+    try {
+      this.reportProgress('git-log', `Reading git history of ${this.repoPath}`);
+      const authors = await this.collect(range);
+      this.reportProgress('extracted', `Found ${authors.length} authors in git history`);
+
+      return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        agents: authors.map(author => ({
+          name: author.name,
+          email: author.email,
+          commits: author.commits,
+          linesAdded: author.lines_added,
+          linesDeleted: author.lines_deleted,
+          filesTouched: author.files_touched,
+          activeDays: author.active_days
+        }))
+      };
+    } catch (error) {
+      console.error('❌ Reading git history failed:', error.message);
+      return {
+        success: false,
+        error: error.stderr ? error.stderr.trim() : error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// CLI usage: node src/sources/git-source.js <repo path> [since] [until]
+if (require.main === module) {
+  (async () => {
+    const [repoPath = '.', since, until] = process.argv.slice(2);
+    const authors = await new GitLogCollector(repoPath).collect({ since, until });
+    console.log(JSON.stringify(authors, null, 2));
+  })().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { GitLogCollector, parseGitLog, summarizeByAuthor };
@@ -0,0 +1,242 @@
+/**
+ * GitHub API Collector
+ * Pulls a repository's pull requests, reviews, review comments and bug
+ * issues for a time window and groups them by GitHub login:
+ *   pull_requests   - PRs merged in the window plus PRs opened in it that are still open
+ *   code_reviews    - reviews submitted on other authors' PRs
+ *   review_comments - inline review comments on other authors' PRs
+ *   bugs_introduced - issues labelled bug (GITHUB_BUG_LABEL) opened in the window
+ *                     that reference one of the author's PRs (#123 or .../pull/123)
+ *
+ * Logins are reported with the author email of their latest commit in the
+ * window, so they match the git source; logins without one fall back to
+ * <login>@users.noreply.github.com.
+ *
+ * GITHUB_API_URL points the client at GitHub Enterprise or a local fake API.
+ */
+
+const { Octokit } = require('@octokit/rest');
+const MetricsSource = require('./metrics-source');
+const { DAY_MS } = require('../backend/time-utils');
+const { normalizeGitHubUrl } = require('../backend/github-url');
+require('dotenv').config();
+
+/**
+ * "owner/name" from any GitHub URL form (https, ssh, git@, or plain owner/name)
+ * @returns {Object|null} { owner, repo }
+ */
+function parseGitHubRepo(url) {
+  const match = (normalizeGitHubUrl(url) || '').match(/^([^/\s]+)\/([^/\s]+)$/);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * PR numbers an issue refers to: #123, owner/repo#123 or a .../pull/123 link
+ * to this repository
+ */
+function referencedPullNumbers(text, owner, repo) {
+  const numbers = new Set();
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = [
+    /(?:^|[^\w/])#(\d+)\b/g,
+    new RegExp(`\\b${escape(owner)}/${escape(repo)}#(\\d+)\\b`, 'gi'),
+    new RegExp(`github\\.com/${escape(owner)}/${escape(repo)}/pull/(\\d+)`, 'gi')
+  ];
+  for (const pattern of patterns) {
+    for (const match of (text || '').matchAll(pattern)) {
+      numbers.add(Number(match[1]));
+    }
+  }
+  return [...numbers];
+}
+
+function isBot(user) {
+  return !user || user.type === 'Bot';
+}
+
+class GitHubCollector extends MetricsSource {
+  /**
+   * @param {string} githubUrl - Repository URL (repositories.github_url)
+   * @param {Object} options - { onProgress, octokit, token (GITHUB_PAT), baseUrl (GITHUB_API_URL),
+   *   days (GITHUB_WINDOW_DAYS, default 14), bugLabel (GITHUB_BUG_LABEL, default bug) }
+   */
+  constructor(githubUrl, options = {}) {
+    super(options);
+    this.name = 'github';
+    this.githubUrl = githubUrl;
+    this.days = options.days || parseFloat(process.env.GITHUB_WINDOW_DAYS) || 14;
+    this.bugLabel = options.bugLabel || process.env.GITHUB_BUG_LABEL || 'bug';
+    this.octokit = options.octokit || new Octokit({
+      auth: options.token || process.env.GITHUB_PAT,
+      baseUrl: options.baseUrl || process.env.GITHUB_API_URL || 'https://api.github.com'
+    });
+  }
+
+  /**
+   * Per-login activity in a date range
+   * @param {Object} range - { since, until } as Date or date string; defaults to the last `days` days
+   * @returns {Array} Rows: { login, name, email, pull_requests, prs_merged, prs_open,
+   *   code_reviews, review_comments, bugs_introduced }, most PRs first
+   */
+  async collect(range = {}) {
+    const target = parseGitHubRepo(this.githubUrl);
+    if (!target) {
+      throw new Error(`Repository has no valid GitHub URL: ${this.githubUrl || '(not set)'}`);
+    }
+
+    const until = range.until ? new Date(range.until) : new Date();
+    const since = range.since ? new Date(range.since) : new Date(until.getTime() - this.days * DAY_MS);
+    if (isNaN(since.getTime()) || isNaN(until.getTime())) {
+      throw new Error('Invalid date range');
+    }
+    const inWindow = timestamp => {
+      if (!timestamp) return false;
+      const date = new Date(timestamp);
+      return date >= since && date <= until;
+    };
+
+    // Commit author emails per login (newest first, so the latest one wins)
+    this.reportProgress('commits', `Listing commits of ${target.owner}/${target.repo}`);
+    const commits = await this.octokit.paginate(this.octokit.repos.listCommits, {
+      ...target, since: since.toISOString(), until: until.toISOString(), per_page: 100
+    });
+    const emails = new Map();
+    for (const commit of commits) {
+      const email = commit.commit?.author?.email;
+      if (isBot(commit.author) || !email || emails.has(commit.author.login)) continue;
+      emails.set(commit.author.login, email.toLowerCase());
+    }
+
+    const logins = new Map();
+    const stats = login => {
+      if (!logins.has(login)) {
+        logins.set(login, {
+          login,
+          name: login,
+          email: emails.get(login) || `${login}@users.noreply.github.com`,
+          pull_requests: 0,
+          prs_merged: 0,
+          prs_open: 0,
+          code_reviews: 0,
+          review_comments: 0,
+          bugs_introduced: 0
+        });
+      }
+      return logins.get(login);
+    };
+
+    // Pull requests updated in the window, newest first (stop paging once past `since`)
+    this.reportProgress('pulls', `Listing pull requests of ${target.owner}/${target.repo}`);
+    const pulls = await this.octokit.paginate(
+      this.octokit.pulls.list,
+      { ...target, state: 'all', sort: 'updated', direction: 'desc', per_page: 100 },
+      (response, done) => {
+        if (response.data.some(pr => new Date(pr.updated_at) < since)) done();
+        return response.data.filter(pr => new Date(pr.updated_at) >= since);
+      }
+    );
+    const authors = new Map(pulls.map(pr => [pr.number, pr.user]));
+
+    for (const pr of pulls) {
+      if (isBot(pr.user)) continue;
+      if (pr.merged_at && inWindow(pr.merged_at)) {
+        stats(pr.user.login).prs_merged++;
+      } else if (pr.state === 'open' && inWindow(pr.created_at)) {
+        stats(pr.user.login).prs_open++;
+      }
+    }
+
+    this.reportProgress('reviews', `Counting reviews on ${pulls.length} pull requests`);
+    for (const pr of pulls) {
+      const reviews = await this.octokit.paginate(this.octokit.pulls.listReviews, {
+        ...target, pull_number: pr.number, per_page: 100
+      });
+      for (const review of reviews) {
+        if (isBot(review.user) || review.state === 'PENDING') continue;
+        if (review.user.login === pr.user?.login || !inWindow(review.submitted_at)) continue;
+        stats(review.user.login).code_reviews++;
+      }
+    }
+
+    const comments = await this.octokit.paginate(this.octokit.pulls.listReviewCommentsForRepo, {
+      ...target, since: since.toISOString(), per_page: 100
+    });
+    for (const comment of comments) {
+      if (isBot(comment.user) || !inWindow(comment.created_at)) continue;
+      const number = Number(String(comment.pull_request_url || '').split('/').pop());
+      if (authors.get(number)?.login === comment.user.login) continue;
+      stats(comment.user.login).review_comments++;
+    }
+
+    // Bug issues opened in the window, attributed to the authors of the PRs they reference
+    this.reportProgress('issues', `Linking "${this.bugLabel}" issues to pull requests`);
+    const issues = await this.octokit.paginate(this.octokit.issues.listForRepo, {
+      ...target, labels: this.bugLabel, state: 'all', since: since.toISOString(), per_page: 100
+    });
+    for (const issue of issues) {
+      if (issue.pull_request || !inWindow(issue.created_at)) continue;
+
+      const blamed = new Set();
+      for (const number of referencedPullNumbers(`${issue.title}\n${issue.body || ''}`, target.owner, target.repo)) {
+        const author = await this.pullAuthor(target, number, authors);
+        if (author && !isBot(author)) {
+          blamed.add(author.login);
+        }
+      }
+      for (const login of blamed) {
+        stats(login).bugs_introduced++;
+      }
+    }
+
+    return [...logins.values()]
+      .map(row => ({ ...row, pull_requests: row.prs_merged + row.prs_open }))
+      .sort((a, b) => b.pull_requests - a.pull_requests);
+  }
+
+  /**
+   * Author of a PR, looked up (and cached) when it was not in the window
+   * @returns {Object|null} GitHub user, null when the number is not a PR
+   */
+  async pullAuthor(target, number, authors) {
+    if (!authors.has(number)) {
+      try {
+        const { data } = await this.octokit.pulls.get({ ...target, pull_number: number });
+        authors.set(number, data.user);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        authors.set(number, null);
+      }
+    }
+    return authors.get(number);
+  }
+
+  async scrape(range = {}) {
+    try {
+      const rows = await this.collect(range);
+      this.reportProgress('extracted', `Found ${rows.length} GitHub users`);
+
+      return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        agents: rows.map(row => ({
+          name: row.login,
+          email: row.email,
+          pullRequests: row.pull_requests,
+          codeReviews: row.code_reviews,
+          reviewComments: row.review_comments,
+          bugsIntroduced: row.bugs_introduced
+        }))
+      };
+    } catch (error) {
+      const message = error.status ? `GitHub API ${error.status}: ${error.message}` : error.message;
+      console.error('❌ Collecting GitHub metrics failed:', message);
+      return {
+        success: false,
+        error: message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = { GitHubCollector, parseGitHubRepo, referencedPullNumbers };
@@ -0,0 +1,100 @@
+/**
+ * Metrics Source Registry
+ * Named factories for metrics sources. Each repository lists the sources it
+ * uses in repositories.metrics_sources (JSON array, priority order); without
+ * a setting METRICS_SOURCES (comma separated) or "techdebtgpt" is used.
+ * Several sources are merged into one result (see merged-source.js).
+ */
+
+const MetricsSource = require('./metrics-source');
+const { MergedSource, mergeAgents } = require('./merged-source');
+const { GitLogCollector } = require('./git-source');
+const { GitHubCollector } = require('./github-source');
+const TechDebtGPTScraper = require('../scraper/techdebtgpt-scraper');
+
+const DEFAULT_SOURCES = 'techdebtgpt';
+
+class SourceRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  /**
+   * @param {string} name - Source name stored in repositories.metrics_sources
+   * @param {Function} factory - (repository, { onProgress }) => MetricsSource
+   * @param {string} description - Shown by GET /api/sources
+   */
+  register(name, factory, description = '') {
+    this.factories.set(name, { factory, description });
+    return this;
+  }
+
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  list() {
+    return [...this.factories].map(([name, { description }]) => ({ name, description }));
+  }
+
+  /**
+   * Check a list of source names
+   * @throws {Error} If the list is empty or names an unknown source
+   */
+  validate(names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error('At least one metrics source is required');
+    }
+    const unknown = names.filter(name => !this.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown metrics source: ${unknown.join(', ')} (available: ${[...this.factories.keys()].join(', ')})`);
+    }
+    return [...new Set(names)];
+  }
+
+  /**
+   * Source names configured for a repository, in priority order
+   */
+  namesFor(repository = {}) {
+    if (repository.metrics_sources) {
+      return JSON.parse(repository.metrics_sources);
+    }
+    return (process.env.METRICS_SOURCES || DEFAULT_SOURCES)
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  create(name, repository = {}, options = {}) {
+    const entry = this.factories.get(name);
+    if (!entry) {
+      throw new Error(`Unknown metrics source: ${name}`);
+    }
+    const source = entry.factory(repository, options);
+    source.name = source.name || name;
+    return source;
+  }
+
+  /**
+   * The source to scrape a repository with: its only source, or a merge of all of them
+   * @param {Object} repository - Repository row (path, github_url, techdebtgpt_url, metrics_sources)
+   * @param {Object} options - { onProgress }
+   */
+  forRepository(repository = {}, options = {}) {
+    const names = this.validate(this.namesFor(repository));
+    const sources = names.map(name => this.create(name, repository, options));
+    return sources.length === 1 ? sources[0] : new MergedSource(sources, options);
+  }
+}
+
+const registry = new SourceRegistry()
+  .register('techdebtgpt', (repository, options) => new TechDebtGPTScraper({
+    ...options,
+    projectUrl: repository.techdebtgpt_url || undefined
+  }), 'TechDebtGPT team performance page (Playwright, needs TECHDEBTGPT_EMAIL/PASSWORD)')
+  .register('git', (repository, options) => new GitLogCollector(repository.path, options),
+    'git log --numstat of the local checkout at the repository path (last GIT_LOG_DAYS days, offline)')
+  .register('github', (repository, options) => new GitHubCollector(repository.github_url, options),
+    'Pull requests, reviews and bug issues from the GitHub API (needs github_url and GITHUB_PAT)');
+
+module.exports = { SourceRegistry, registry, MetricsSource, MergedSource, mergeAgents };
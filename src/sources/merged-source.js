@@ -0,0 +1,108 @@
+/**
+ * Merged Source
+ * Runs several metrics sources one after another and merges their agents by
+ * email (or name). Sources are listed in priority order: for each metric the
+ * first source that reports it wins, later sources only fill the gaps. The
+ * merge succeeds when at least one source does.
+ */
+
+const MetricsSource = require('./metrics-source');
+
+function agentKey(agent) {
+  return String(agent.email || agent.name || '').trim().toLowerCase();
+}
+
+/**
+ * Copy the metrics of agent that target does not have yet (first one wins)
+ * @param {Object} target - Agent to complete, modified in place
+ * @param {Object} agent - Agent reported by a lower-priority source
+ * @returns {Object} target
+ */
+function fillGaps(target, agent) {
+  for (const [field, value] of Object.entries(agent)) {
+    if (value !== undefined && value !== null && (target[field] === undefined || target[field] === null)) {
+      target[field] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Merge the agents of several successful results. Rows for one person under
+ * different emails/handles stay apart here; ingestion merges them once
+ * aliases resolve them to the same agent.
+ * @param {Array} results - Scrape results in priority order
+ * @returns {Array} Merged agents
+ */
+function mergeAgents(results) {
+  const merged = new Map();
+
+  for (const result of results) {
+    for (const agent of result.agents || []) {
+      const key = agentKey(agent);
+      if (!key) continue;
+
+      const target = merged.get(key);
+      if (target) {
+        fillGaps(target, agent);
+      } else {
+        merged.set(key, { ...agent });
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+class MergedSource extends MetricsSource {
+  /**
+   * @param {Array} sources - Source instances in priority order (each with a name)
+   * @param {Object} options - { onProgress }
+   */
+  constructor(sources, options = {}) {
+    super(options);
+    this.sources = sources;
+    this.name = sources.map(source => source.name).join('+');
+  }
+
+  async scrape() {
+    const results = [];
+    for (const source of this.sources) {
+      this.reportProgress('source', `Collecting metrics from ${source.name}`);
+      const result = await source.scrape();
+      if (!result.success) {
+        console.log(`⚠️  Metrics source ${source.name} failed: ${result.error}`);
+      }
+      results.push({ name: source.name, ...result });
+    }
+
+    const succeeded = results.filter(result => result.success);
+    const summary = results.map(result => ({
+      name: result.name,
+      success: result.success,
+      agent_count: result.agents?.length || 0,
+      error: result.success ? null : result.error
+    }));
+    const screenshots = results.flatMap(result => result.screenshots || []);
+
+    if (succeeded.length === 0) {
+      return {
+        success: false,
+        error: results.map(result => `${result.name}: ${result.error}`).join('; '),
+        timestamp: new Date().toISOString(),
+        screenshots,
+        sources: summary
+      };
+    }
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      agents: mergeAgents(succeeded),
+      screenshots,
+      sources: summary
+    };
+  }
+}
+
+module.exports = { MergedSource, mergeAgents, fillGaps };
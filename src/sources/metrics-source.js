@@ -0,0 +1,35 @@
+/**
+ * Metrics Source
+ * Contract for everything that can produce agent metrics for a repository.
+ * scrape() resolves to the same shape the TechDebtGPT scraper returns:
+ *   { success: true, timestamp, agents: [{ name, email, commits, pullRequests,
+ *     codeReviews, bugsIntroduced, linesAdded, linesDeleted, techDebtScore,
+ *     velocity }], screenshots }
+ *   { success: false, error, timestamp, screenshots }
+ * Sources may leave out metrics they cannot measure; when several sources
+ * are merged the missing ones are filled from the other sources.
+ */
+
+class MetricsSource {
+  /**
+   * @param {Object} options - { onProgress(step, message) } to follow the scrape
+   */
+  constructor(options = {}) {
+    this.onProgress = options.onProgress || null;
+  }
+
+  reportProgress(step, message) {
+    if (this.onProgress) {
+      this.onProgress(step, message);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} Scrape result (never rejects; failures have success: false)
+   */
+  async scrape() {
+    throw new Error(`${this.constructor.name} does not implement scrape()`);
+  }
+}
+
+module.exports = MetricsSource;
@@ -0,0 +1,103 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const MetricsRollupJob = require('../src/backend/rollup-job');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+const ALICE = { name: 'alice', email: 'alice@example.com', commits: 8, pullRequests: 3, codeReviews: 4, velocity: 7 };
+const ALICE_GH = { name: 'alice-gh', email: 'alice-gh@users.noreply.github.com', commits: 1, pullRequests: 1 };
+
+describe('agent merge and split', () => {
+  let api;
+  let repo;
+  let alice;
+  let aliceGh;
+
+  const merge = (source, target) => api.request('POST', '/api/agents/merge', {
+    token: ADMIN_TOKEN,
+    body: { source_agent_id: source, target_agent_id: target }
+  });
+  const split = id => api.request('POST', `/api/agents/${id}/split`, { token: ADMIN_TOKEN });
+  const rollups = async (id, period) =>
+    (await api.request('GET', `/api/agents/${id}/rollups?period=${period}`, { token: ADMIN_TOKEN })).body;
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  beforeEach(async () => {
+    repo = await api.db.addRepository(`demo-${Date.now()}`, '/tmp/demo', null);
+    const ingestion = new IngestionService(api.db);
+    await ingestion.ingest(repo.id, scrapeResult([ALICE, ALICE_GH], '2026-01-05T10:00:00.000Z'));
+    await ingestion.ingest(repo.id, scrapeResult([ALICE], '2026-01-06T10:00:00.000Z'));
+
+    alice = await api.db.findAgentByAlias(ALICE.email, repo.id);
+    aliceGh = await api.db.findAgentByAlias(ALICE_GH.email, repo.id);
+  });
+
+  afterAll(() => api.close());
+
+  test('moves snapshots and aliases to the target and back on split', async () => {
+    const merged = await merge(aliceGh.id, alice.id);
+
+    expect(merged.status).toBe(200);
+    expect(merged.body.aliases.map(alias => alias.alias).sort()).toEqual([ALICE.email, ALICE_GH.email].sort());
+    expect((await api.db.getAgentMetrics(alice.id)).map(row => row.pull_requests).sort()).toEqual([1, 3, 3]);
+    expect(await api.db.getAgent(aliceGh.id)).toMatchObject({ merged_into_id: alice.id });
+
+    const response = await split(aliceGh.id);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ agent: { id: aliceGh.id, merged_into_id: null }, canonical_agent_id: alice.id });
+    expect(response.body.aliases.map(alias => alias.alias)).toEqual([ALICE_GH.email]);
+    expect((await api.db.getAgentMetrics(alice.id)).map(row => row.pull_requests)).toEqual([3, 3]);
+    expect((await api.db.getAgentMetrics(aliceGh.id)).map(row => row.pull_requests)).toEqual([1]);
+  });
+
+  test('carries the rollups of pruned snapshots through a merge and a split', async () => {
+    await new MetricsRollupJob(api.db, { retentionDays: 7 }).run(new Date('2026-01-26T00:00:00Z'));
+    expect(await api.db.getAgentMetrics(alice.id)).toEqual([]);
+
+    const [ownMonday] = await rollups(alice.id, 'daily');
+    const [ghMonday] = await rollups(aliceGh.id, 'daily');
+    await merge(aliceGh.id, alice.id);
+
+    expect(await rollups(aliceGh.id, 'daily')).toEqual([]);
+    const [monday, tuesday] = await rollups(alice.id, 'daily');
+    expect(monday).toMatchObject({
+      agent_id: alice.id,
+      period_start: '2026-01-05',
+      samples: 2,
+      health_score_min: Math.min(ownMonday.health_score_min, ghMonday.health_score_min),
+      health_score_max: Math.max(ownMonday.health_score_max, ghMonday.health_score_max)
+    });
+    expect(monday.health_score_avg).toBeCloseTo((ownMonday.health_score_avg + ghMonday.health_score_avg) / 2);
+    expect(tuesday).toMatchObject({ period_start: '2026-01-06', samples: 1 });
+    const [week] = await rollups(alice.id, 'weekly');
+    expect(week).toMatchObject({ period_start: '2026-01-05', samples: 3 });
+
+    await split(aliceGh.id);
+
+    expect(await rollups(alice.id, 'daily')).toEqual([ownMonday, expect.objectContaining({ period_start: '2026-01-06' })]);
+    expect(await rollups(aliceGh.id, 'daily')).toEqual([ghMonday]);
+  });
+
+  test('keeps merged identities apart when rollups are recomputed', async () => {
+    await merge(aliceGh.id, alice.id);
+    await new MetricsRollupJob(api.db, { retentionDays: 0 }).run(new Date('2026-01-08T00:00:00Z'));
+    expect((await rollups(alice.id, 'daily'))[0]).toMatchObject({ samples: 2 });
+
+    await split(aliceGh.id);
+
+    expect((await rollups(alice.id, 'daily')).map(row => row.samples)).toEqual([1, 1]);
+    expect((await rollups(aliceGh.id, 'daily')).map(row => row.samples)).toEqual([1]);
+  });
+
+  test('refuses invalid merges and splits', async () => {
+    expect((await merge(alice.id, alice.id)).status).toBe(400);
+    expect((await merge(aliceGh.id, 999999)).status).toBe(404);
+    expect((await split(alice.id)).status).toBe(409);
+
+    await merge(aliceGh.id, alice.id);
+    expect((await merge(aliceGh.id, alice.id)).status).toBe(409);
+    expect((await split(999999)).status).toBe(404);
+  });
+});
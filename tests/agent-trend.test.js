@@ -0,0 +1,51 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const { DAY_MS } = require('../src/backend/time-utils');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+const ALICE = { name: 'alice', email: 'alice@example.com', commits: 2, pullRequests: 1, codeReviews: 1, velocity: 4 };
+
+describe('GET /api/agents/:id/trend', () => {
+  let api;
+  let alice;
+
+  beforeAll(async () => {
+    api = await startServer();
+    const repo = await api.db.addRepository('demo', '/tmp/demo', null);
+    const ingestion = new IngestionService(api.db);
+
+    // Two weeks and one week ago, inside the trend window
+    const weeksAgo = weeks => new Date(Date.now() - weeks * 7 * DAY_MS).toISOString();
+    await ingestion.ingest(repo.id, scrapeResult([ALICE], weeksAgo(2)));
+    await ingestion.ingest(repo.id, scrapeResult(
+      [{ ...ALICE, commits: 6, pullRequests: 3, codeReviews: 4, velocity: 9 }],
+      weeksAgo(1)
+    ));
+
+    alice = await api.db.findAgentByAlias('alice@example.com', repo.id);
+  });
+
+  afterAll(() => api.close());
+
+  test('stores analyzer scores with each snapshot', async () => {
+    const snapshots = await api.db.getAgentMetrics(alice.id);
+
+    for (const snapshot of snapshots) {
+      expect(snapshot.health_score).toBeGreaterThan(0);
+      expect(snapshot.productivity_score).toBeGreaterThan(0);
+      expect(snapshot.quality_score).toBe(100);
+    }
+  });
+
+  test('reports the direction of each score', async () => {
+    const response = await api.request('GET', `/api/agents/${alice.id}/trend`, { token: ADMIN_TOKEN });
+
+    expect(response.status).toBe(200);
+    expect(response.body.samples).toBe(2);
+    const { health, productivity, quality } = response.body.dimensions;
+    expect(health.first).toBeGreaterThan(0);
+    expect(health.change).toBeGreaterThan(0);
+    expect(health.direction).toBe('improving');
+    expect(productivity.direction).toBe('improving');
+    expect(quality.direction).toBe('stable');
+  });
+});
@@ -0,0 +1,99 @@
+const AnalysisService = require('../src/backend/analysis-service');
+const IngestionService = require('../src/backend/ingestion-service');
+const { diffAnalyses } = require('../src/meta-agent/analysis-diff');
+const { ADMIN_TOKEN, createDatabase, startServer, scrapeResult } = require('./helpers');
+
+const STRONG = {
+  name: 'alice', email: 'alice@example.com',
+  commits: 10, pullRequests: 4, codeReviews: 5, bugsIntroduced: 0, techDebtScore: 10, velocity: 10
+};
+const WEAK = {
+  name: 'bob', email: 'bob@example.com',
+  commits: 2, pullRequests: 1, codeReviews: 1, bugsIntroduced: 3, techDebtScore: 60, velocity: 3
+};
+
+describe('AnalysisService', () => {
+  let db;
+  let repo;
+  let ingestion;
+  let service;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    repo = await db.addRepository('demo', '/tmp/demo', null);
+    ingestion = new IngestionService(db);
+    service = new AnalysisService(db);
+  });
+
+  afterEach(() => db.close());
+
+  test('scores the stored snapshots', async () => {
+    await ingestion.ingest(repo.id, scrapeResult([STRONG, WEAK]));
+
+    const { analysis, analysis_id } = await service.analyze(repo.id);
+
+    expect(analysis.teamAverageScore).toBeGreaterThan(0);
+    expect(analysis.healthyAgents.map(agent => agent.email)).toEqual(['alice@example.com']);
+    expect(analysis.criticalAgents.map(agent => agent.email)).toEqual(['bob@example.com']);
+    expect(analysis.lowestPerformer).toMatchObject({ name: 'bob', status: 'critical' });
+
+    const bob = await db.findAgentByAlias('bob@example.com', repo.id);
+    const stored = await db.getAnalysis(analysis_id);
+    expect(stored).toMatchObject({
+      team_average_score: analysis.teamAverageScore,
+      lowest_performer_id: bob.id,
+      critical_count: 1,
+      healthy_count: 1
+    });
+  });
+
+  test('produces score deltas between two analyses', async () => {
+    await ingestion.ingest(repo.id, scrapeResult([STRONG, WEAK]));
+    const before = await service.analyze(repo.id);
+    await ingestion.ingest(repo.id, scrapeResult([STRONG, { ...WEAK, bugsIntroduced: 0, techDebtScore: 10 }], '2026-01-12T10:00:00.000Z'));
+    const after = await service.analyze(repo.id);
+
+    const diff = diffAnalyses(before.analysis, after.analysis);
+    const bob = diff.agents.find(agent => agent.email === 'bob@example.com');
+
+    expect(diff.team_average.delta).toBeGreaterThan(0);
+    expect(bob.delta).toBeGreaterThan(0);
+    expect(bob.breakdown_delta.quality).toBeGreaterThan(0);
+  });
+
+  test('returns null without snapshots', async () => {
+    expect(await service.analyze(repo.id)).toBeNull();
+  });
+});
+
+describe('POST /api/analyze', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  afterAll(() => api.close());
+
+  test('answers 404 for an unknown repository', async () => {
+    const response = await api.request('POST', '/api/analyze', { token: ADMIN_TOKEN, body: { repo_id: 999 } });
+    expect(response).toMatchObject({ status: 404, body: { error: 'Repository not found' } });
+  });
+
+  test('answers 400 for a repository without snapshots', async () => {
+    const repo = await api.db.addRepository('empty', '/tmp/empty', null);
+    const response = await api.request('POST', '/api/analyze', { token: ADMIN_TOKEN, body: { repo_id: repo.id } });
+    expect(response.status).toBe(400);
+  });
+
+  test('returns the team analysis', async () => {
+    const repo = await api.db.addRepository('demo', '/tmp/demo', null);
+    await new IngestionService(api.db).ingest(repo.id, scrapeResult([STRONG, WEAK]));
+
+    const response = await api.request('POST', '/api/analyze', { token: ADMIN_TOKEN, body: { repo_id: repo.id } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.teamAverageScore).toBeGreaterThan(0);
+    expect(response.body.analysis_id).toEqual(expect.any(Number));
+  });
+});
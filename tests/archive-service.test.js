@@ -0,0 +1,119 @@
+const AnalysisService = require('../src/backend/analysis-service');
+const ArchiveService = require('../src/backend/archive-service');
+const IngestionService = require('../src/backend/ingestion-service');
+const { ADMIN_TOKEN, createDatabase, startServer, scrapeResult } = require('./helpers');
+
+describe('ArchiveService', () => {
+  let db;
+  let repo;
+  let archives;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    repo = await db.addRepository('demo', '/tmp/demo', null);
+    await db.updateRepositoryWebhook(repo.id, { secret: 's3cret' });
+    await db.createScrapeRun('run-1', repo.id, 'git', 'test');
+    await new IngestionService(db).ingest(repo.id, scrapeResult([{ name: 'alice', email: 'alice@example.com', commits: 5 }]));
+    archives = new ArchiveService(db);
+  });
+
+  afterEach(() => db.close());
+
+  test('leaves secret columns out of the export', async () => {
+    const archive = await archives.export();
+
+    expect(archive.tables.repositories).toHaveLength(1);
+    expect(archive.tables.repositories[0]).not.toHaveProperty('webhook_secret');
+    expect(JSON.stringify(archive)).not.toContain('s3cret');
+  });
+
+  test('imports an archive under new ids', async () => {
+    const archive = await archives.export();
+    const target = await createDatabase();
+
+    try {
+      const counts = await new ArchiveService(target).import(archive);
+
+      expect(counts).toMatchObject({ repositories: 1, agents: 1, scrape_runs: 1, agent_metrics: 1 });
+      expect(await target.getScrapeRun('run-1')).toMatchObject({ source: 'git' });
+      const [restored] = await target.getRepositories();
+      expect(restored.webhook_secret).toBeNull();
+    } finally {
+      await target.close();
+    }
+  });
+
+  test('reports scrape runs that already exist instead of skipping them', async () => {
+    const archive = await archives.export();
+
+    await expect(archives.import(archive))
+      .rejects.toThrow('Archive conflicts with existing scrape_runs: 1 id(s) already present (run-1)');
+
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM repositories');
+    expect(count).toBe(1);
+  });
+});
+
+describe('ArchiveService round trip', () => {
+  const ALICE = { name: 'alice', email: 'alice@example.com' };
+  const BOB = { name: 'bob', email: 'bob@example.com' };
+  let api;
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  afterAll(() => api.close());
+
+  test('points imported analyses at the imported agents', async () => {
+    const source = await createDatabase();
+    let archive;
+    try {
+      const repo = await source.addRepository('demo', '/tmp/demo', null);
+      const ingestion = new IngestionService(source);
+      const analyses = new AnalysisService(source);
+      await ingestion.ingest(repo.id, scrapeResult([
+        { ...ALICE, commits: 1, pullRequests: 0 },
+        { ...BOB, commits: 5, pullRequests: 2, codeReviews: 3, velocity: 8 }
+      ], '2026-01-05T10:00:00.000Z'));
+      await analyses.analyze(repo.id);
+      await ingestion.ingest(repo.id, scrapeResult([
+        { ...ALICE, commits: 6, pullRequests: 3, codeReviews: 4, velocity: 9 },
+        { ...BOB, commits: 1, pullRequests: 0 }
+      ], '2026-01-12T10:00:00.000Z'));
+      await analyses.analyze(repo.id);
+      archive = await new ArchiveService(source).export();
+    } finally {
+      await source.close();
+    }
+
+    // Existing rows shift every imported id
+    const existing = await api.db.addRepository('existing', '/tmp/existing', null);
+    await new IngestionService(api.db).ingest(existing.id, scrapeResult([{ name: 'carol', email: 'carol@example.com' }]));
+
+    await new ArchiveService(api.db).import(archive);
+
+    const restored = (await api.db.getRepositories()).find(repository => repository.name === 'demo');
+    const alice = await api.db.findAgentByAlias(ALICE.email, restored.id);
+    const bob = await api.db.findAgentByAlias(BOB.email, restored.id);
+    const [from, to] = await api.db.all('SELECT * FROM analyses WHERE repository_id = ? ORDER BY id', [restored.id]);
+
+    const analysis = JSON.parse(to.analysis_data);
+    expect(analysis.lowestPerformer.id).toBe(bob.id);
+    expect(analysis.highestPerformer.id).toBe(alice.id);
+    expect(analysis.allAgents.map(agent => agent.id).sort()).toEqual([alice.id, bob.id].sort());
+    expect(analysis.criticalAgents.map(agent => agent.id)).toEqual([bob.id]);
+    expect(to.lowest_performer_id).toBe(bob.id);
+
+    const response = await api.request('GET', `/api/analyses/diff?from=${from.id}&to=${to.id}`, { token: ADMIN_TOKEN });
+
+    expect(response.status).toBe(200);
+    expect(response.body.added_agents).toEqual([]);
+    expect(response.body.removed_agents).toEqual([]);
+    expect(response.body.agents).toEqual([
+      expect.objectContaining({ id: bob.id, email: BOB.email }),
+      expect.objectContaining({ id: alice.id, email: ALICE.email })
+    ]);
+    expect(response.body.lowest_performer).toMatchObject({ from: { email: ALICE.email }, to: { email: BOB.email }, changed: true });
+  });
+});
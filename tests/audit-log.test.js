@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { ADMIN_TOKEN, createDatabase, startServer } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Audit log', () => {
+  let api;
+
+  // Audit events are written once the response has been sent
+  async function lastEvent(filters, matches = () => true) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const [event] = await api.db.getAuditEvents({ ...filters, limit: 1 });
+      if (event && matches(event)) return event;
+      await delay(10);
+    }
+    throw new Error(`No audit event for ${JSON.stringify(filters)}`);
+  }
+
+  beforeAll(async () => {
+    api = await startServer();
+    const repo = await api.db.addRepository('demo', '/tmp/demo', null, 'https://github.com/acme/demo');
+    await api.db.updateRepositoryWebhook(repo.id, { secret: 'hook-secret' });
+  });
+
+  afterAll(() => api.close());
+
+  test('names the token, not the X-Actor header', async () => {
+    await api.request('POST', '/api/repos', {
+      token: ADMIN_TOKEN,
+      headers: { 'X-Actor': 'someone-else' },
+      body: { name: 'audited', path: '/tmp/audited' }
+    });
+
+    expect(await lastEvent({ action: 'POST /api/repos' })).toMatchObject({ actor: 'token:admin-token', status_code: 200 });
+  });
+
+  test('records mutations whatever the case of the path', async () => {
+    await api.request('POST', '/API/Repos', { token: ADMIN_TOKEN, body: { name: 'shouted', path: '/tmp/shouted' } });
+
+    const event = await lastEvent({ action: 'POST /api/repos' }, candidate => candidate.path === '/API/Repos');
+    expect(event).toMatchObject({ actor: 'token:admin-token', status_code: 200 });
+  });
+
+  describe('GitHub webhook', () => {
+    const payload = { zen: 'Keep it simple.', repository: { html_url: 'https://github.com/acme/demo' }, sender: { login: 'octocat' } };
+    const sign = body => `sha256=${crypto.createHmac('sha256', 'hook-secret').update(JSON.stringify(body)).digest('hex')}`;
+
+    test('names the sender of a signed delivery', async () => {
+      const response = await api.request('POST', '/api/webhook/github', {
+        body: payload,
+        headers: { 'X-GitHub-Event': 'ping', 'X-GitHub-Delivery': 'delivery-1', 'X-Hub-Signature-256': sign(payload) }
+      });
+
+      expect(response.status).toBe(200);
+      expect(await lastEvent({ action: 'POST /api/webhook/github', result: 'success' })).toMatchObject({ actor: 'github:octocat' });
+    });
+
+    test('does not trust the sender of an unsigned delivery', async () => {
+      const forged = { ...payload, sender: { login: 'mallory' } };
+      const response = await api.request('POST', '/api/webhook/github', {
+        body: forged,
+        headers: { 'X-GitHub-Event': 'ping', 'X-GitHub-Delivery': 'delivery-2', 'X-Actor': 'mallory', 'X-Hub-Signature-256': 'sha256=bad' }
+      });
+
+      expect(response.status).toBe(401);
+      const event = await lastEvent({ action: 'POST /api/webhook/github', result: 'failure' });
+      expect(event.actor).toMatch(/^anonymous@/);
+    });
+  });
+});
+
+describe('saveAuditEvent', () => {
+  test('keeps a duration of 0 ms', async () => {
+    const db = await createDatabase();
+    try {
+      await db.saveAuditEvent({ actor: 'token:ci', method: 'POST', action: 'POST /api/x', path: '/api/x', status_code: 200, result: 'success', duration_ms: 0 });
+      const [event] = await db.getAuditEvents();
+      expect(event.duration_ms).toBe(0);
+    } finally {
+      await db.close();
+    }
+  });
+});
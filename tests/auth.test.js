@@ -0,0 +1,59 @@
+const { ADMIN_TOKEN, startServer } = require('./helpers');
+
+describe('API authentication', () => {
+  let api;
+  let viewerToken;
+
+  beforeAll(async () => {
+    api = await startServer();
+    const created = await api.request('POST', '/api/tokens', {
+      token: ADMIN_TOKEN,
+      body: { name: 'grafana', role: 'viewer' }
+    });
+    viewerToken = created.body.token;
+  });
+
+  afterAll(() => api.close());
+
+  test('leaves public endpoints open', async () => {
+    expect((await api.request('GET', '/api/health')).status).toBe(200);
+    expect((await api.request('GET', '/api/openapi.json')).status).toBe(200);
+  });
+
+  test('requires a valid token on the other /api routes', async () => {
+    expect(await api.request('GET', '/api/repos')).toMatchObject({ status: 401, body: { error: 'API token required' } });
+    expect(await api.request('GET', '/api/repos', { token: 'wrong' }))
+      .toMatchObject({ status: 401, body: { error: 'Invalid or expired API token' } });
+    expect((await api.request('GET', '/api/repos', { headers: { 'X-API-Key': viewerToken } })).status).toBe(200);
+  });
+
+  test('ignores the case of the path, like the routes do', async () => {
+    expect(await api.request('GET', '/API/repos')).toMatchObject({ status: 401, body: { error: 'API token required' } });
+    expect((await api.request('GET', '/Api/Agents')).status).toBe(401);
+    expect((await api.request('GET', '/API/repos', { token: viewerToken })).status).toBe(200);
+    expect((await api.request('GET', '/API/health')).status).toBe(200);
+  });
+
+  test('validates requests whatever the case of the path', async () => {
+    const response = await api.request('POST', '/API/Analyze', { token: ADMIN_TOKEN, body: { repo_id: 'abc' } });
+    expect(response).toMatchObject({ status: 400, body: { error: 'Request validation failed' } });
+  });
+
+  test('checks the role of the token', async () => {
+    expect(await api.request('GET', '/api/auth/me', { token: viewerToken }))
+      .toMatchObject({ status: 200, body: { role: 'viewer', name: 'grafana' } });
+
+    const denied = await api.request('POST', '/api/repos', { token: viewerToken, body: { name: 'demo', path: '/tmp/demo' } });
+    expect(denied).toMatchObject({ status: 403, body: { error: 'Requires admin role' } });
+
+    const created = await api.request('POST', '/api/repos', { token: ADMIN_TOKEN, body: { name: 'demo', path: '/tmp/demo' } });
+    expect(created.status).toBe(200);
+  });
+
+  test('rejects revoked tokens', async () => {
+    const { body: token } = await api.request('POST', '/api/tokens', { token: ADMIN_TOKEN, body: { name: 'temp', role: 'viewer' } });
+    await api.request('DELETE', `/api/tokens/${token.id}`, { token: ADMIN_TOKEN });
+
+    expect((await api.request('GET', '/api/repos', { token: token.token })).status).toBe(401);
+  });
+});
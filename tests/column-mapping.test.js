@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { loadColumnMapping, mapPage, SchemaMismatchError } = require('../src/scraper/column-mapping');
+const { readPage } = require('../src/scraper/page-reader');
+const { mergeAgents } = require('../src/sources');
+
+const FIXTURES = path.join(__dirname, 'fixtures/techdebtgpt');
+const TIMESTAMP = '2026-01-05T06:00:00.000Z';
+
+const fixture = name => readPage(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+describe('TechDebtGPT column mapping', () => {
+  const mapping = loadColumnMapping(path.join(__dirname, '../config/techdebtgpt-columns.json'));
+
+  test('maps the team performance table by its headers', () => {
+    const agents = mapPage(fixture('team-performance.html'), mapping, TIMESTAMP);
+
+    expect(agents).toHaveLength(2);
+    expect(agents[0]).toMatchObject({
+      name: 'ipanov-ritech',
+      email: 'ipanov-ritech@techdebtgpt.user',
+      pullRequests: 12,
+      velocity: 6.5,
+      techDebtScore: 16,
+      timestamp: TIMESTAMP
+    });
+    expect(agents[0]).not.toHaveProperty('commits');
+    expect(agents[0].rawMetrics).toEqual({
+      'PRs': '12 / 14',
+      'Avg. Estimation': '6.5 /PR',
+      'Avg. Complexity': '4.2 /PR',
+      'Avg. Impact': '7.1 /PR',
+      'Avg. Quality': '8.4 /PR'
+    });
+    expect(agents[1]).toMatchObject({ name: 'claude-agent', pullRequests: 3, velocity: 2, techDebtScore: 45 });
+  });
+
+  test('follows a custom mapping', () => {
+    const custom = {
+      name: { header: 'contributor' },
+      columns: {
+        pullRequests: { header: 'PRs' },
+        codeReviews: { header: ['Reviews', 'Avg. Impact'] }
+      }
+    };
+
+    const [agent] = mapPage(fixture('team-performance.html'), custom, TIMESTAMP);
+    expect(agent).toMatchObject({ pullRequests: 12, codeReviews: 7.1 });
+    expect(agent).not.toHaveProperty('velocity');
+  });
+
+  test('fails with SchemaMismatchError when a mapped header is gone', () => {
+    let error;
+    try {
+      mapPage(fixture('team-performance-renamed.html'), mapping, TIMESTAMP);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(SchemaMismatchError);
+    expect(error.missing).toEqual(['Avg. Quality']);
+    expect(error.found).toContain('Quality Score');
+    expect(error.message).toMatch(/^Schema mismatch: expected column\(s\) "Avg. Quality" not found/);
+  });
+
+  test('fails with SchemaMismatchError when the page has no team data', () => {
+    expect(() => mapPage(readPage('<html><body><p>Loading…</p></body></html>'), mapping, TIMESTAMP))
+      .toThrow(SchemaMismatchError);
+  });
+
+  test('falls back to member cards when the page has no table', () => {
+    const agents = mapPage(fixture('team-performance-cards.html'), mapping, TIMESTAMP);
+
+    expect(agents).toEqual([
+      expect.objectContaining({ name: 'Ilija Panov', email: 'ipanov@example.com', timestamp: TIMESTAMP }),
+      expect.objectContaining({ name: 'Claude Agent', email: 'claude-agent@example.com' })
+    ]);
+  });
+
+  test('leaves metrics the page lacks to the sources merged after it', () => {
+    const [page] = mapPage(fixture('team-performance.html'), mapping, TIMESTAMP);
+    const email = 'ipanov-ritech@techdebtgpt.user';
+
+    const [merged] = mergeAgents([
+      { agents: [page] },
+      { agents: [{ name: 'ipanov', email, commits: 42, linesAdded: 900, linesDeleted: 120 }] },
+      { agents: [{ name: 'ipanov-ritech', email, pullRequests: 20, codeReviews: 7, bugsIntroduced: 1 }] }
+    ]);
+
+    expect(merged).toMatchObject({
+      pullRequests: 12,
+      velocity: 6.5,
+      commits: 42,
+      linesAdded: 900,
+      linesDeleted: 120,
+      codeReviews: 7,
+      bugsIntroduced: 1
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+const ALICE = { name: 'alice', email: 'alice@example.com' };
+const BOB = { name: 'bob', email: 'bob@example.com' };
+
+describe('GET /api/compare', () => {
+  let api;
+  let alice;
+  let bob;
+
+  const compare = query => api.request('GET', `/api/compare?${new URLSearchParams(query)}`, { token: ADMIN_TOKEN });
+  const categories = causes => causes.map(cause => cause.category);
+
+  beforeAll(async () => {
+    api = await startServer();
+    const repo = await api.db.addRepository('demo', '/tmp/demo', null);
+    const ingestion = new IngestionService(api.db);
+
+    await ingestion.ingest(repo.id, scrapeResult([
+      { ...ALICE, commits: 2, velocity: 2 },
+      { ...BOB, commits: 5, pullRequests: 2, velocity: 8, bugsIntroduced: 3 }
+    ], '2026-01-05T10:00:00.000Z'));
+    await ingestion.ingest(repo.id, scrapeResult([
+      { ...ALICE, commits: 10, pullRequests: 4, codeReviews: 6, velocity: 10 }
+    ], '2026-01-12T10:00:00.000Z'));
+
+    alice = await api.db.findAgentByAlias(ALICE.email, repo.id);
+    bob = await api.db.findAgentByAlias(BOB.email, repo.id);
+  });
+
+  afterAll(() => api.close());
+
+  test('compares the latest snapshots of two agents', async () => {
+    const response = await compare({ agent_a: alice.id, agent_b: bob.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      mode: 'agents',
+      a: { agent_id: alice.id, agent_name: 'alice', from: null, to: null, snapshots: 1, metrics: { commits: 10 } },
+      b: { agent_id: bob.id, agent_name: 'bob', snapshots: 1, metrics: { commits: 5, bugs_introduced: 3 } }
+    });
+    expect(response.body.deltas.metrics.commits).toEqual({ absolute: -5, percent: -50 });
+    expect(response.body.deltas.metrics.bugs_introduced).toEqual({ absolute: 3, percent: null });
+    expect(response.body.deltas.scores.overall.absolute).toBe(response.body.b.health.overall - response.body.a.health.overall);
+    expect(categories(response.body.root_causes.appeared)).toEqual(['collaboration']);
+    expect(response.body.root_causes.disappeared).toEqual([]);
+  });
+
+  test('compares one agent in two windows', async () => {
+    const response = await compare({
+      agent_id: alice.id,
+      from_a: '2026-01-05', to_a: '2026-01-05',
+      from_b: '2026-01-12', to_b: '2026-01-18'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      mode: 'windows',
+      a: { from: '2026-01-05 00:00:00', to: '2026-01-05 23:59:59', snapshots: 1, metrics: { commits: 2 } },
+      b: { from: '2026-01-12 00:00:00', to: '2026-01-18 23:59:59', snapshots: 1, metrics: { commits: 10 } }
+    });
+    expect(response.body.deltas.metrics.commits).toEqual({ absolute: 8, percent: 400 });
+    expect(categories(response.body.root_causes.disappeared)).toEqual(['productivity', 'collaboration', 'reliability']);
+    expect(response.body.root_causes.appeared).toEqual([]);
+  });
+
+  test('averages the snapshots inside a window', async () => {
+    const response = await compare({ agent_id: alice.id, from_a: '2026-01-01', to_a: '2026-01-31', to_b: '2026-01-05' });
+
+    expect(response.body.a).toMatchObject({ snapshots: 2, metrics: { commits: 6, velocity: 6 } });
+    expect(response.body.b).toMatchObject({ from: null, snapshots: 1, metrics: { commits: 2 } });
+  });
+
+  test('reports an empty window as metrics: null', async () => {
+    const response = await compare({ agent_id: alice.id, from_a: '2026-01-12', from_b: '2026-02-01', to_b: '2026-02-28' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.b).toMatchObject({ snapshots: 0, metrics: null, health: null, root_causes: [] });
+    expect(response.body.deltas.metrics.commits).toEqual({ absolute: null, percent: null });
+    expect(response.body.deltas.scores.overall).toEqual({ absolute: null, percent: null });
+    expect(response.body.root_causes).toEqual({ appeared: [], disappeared: [], persisting: [] });
+  });
+
+  test('refuses incomplete or invalid comparisons', async () => {
+    expect(await compare({ agent_a: alice.id })).toMatchObject({
+      status: 400, body: { error: 'agent_a and agent_b are both required' }
+    });
+    expect(await compare({ agent_id: alice.id, from_a: '2026-01-05' })).toMatchObject({
+      status: 400, body: { error: 'Both windows need from_* or to_*' }
+    });
+    expect((await compare({ agent_a: alice.id, agent_b: bob.id, from: 'soon' })).status).toBe(400);
+    expect((await compare({ agent_a: alice.id, agent_b: 999999 })).status).toBe(404);
+  });
+});
@@ -0,0 +1,51 @@
+const CronExpression = require('../src/backend/cron');
+
+const upcoming = (expression, count, after) =>
+  new CronExpression(expression).upcoming(count, new Date(after)).map(date => date.toISOString());
+
+describe('CronExpression', () => {
+  test('expands steps, ranges and lists', () => {
+    expect(upcoming('*/15 * * * *', 3, '2026-01-05T10:07:00Z'))
+      .toEqual(['2026-01-05T10:15:00.000Z', '2026-01-05T10:30:00.000Z', '2026-01-05T10:45:00.000Z']);
+    expect(upcoming('0 8-18/4 * * *', 4, '2026-01-05T09:00:00Z'))
+      .toEqual(['2026-01-05T12:00:00.000Z', '2026-01-05T16:00:00.000Z', '2026-01-06T08:00:00.000Z', '2026-01-06T12:00:00.000Z']);
+    expect(upcoming('30 9 1,15 * *', 3, '2026-01-02T00:00:00Z'))
+      .toEqual(['2026-01-15T09:30:00.000Z', '2026-02-01T09:30:00.000Z', '2026-02-15T09:30:00.000Z']);
+    expect(upcoming('0 0 * * mon-wed', 3, '2026-01-01T00:00:00Z'))
+      .toEqual(['2026-01-05T00:00:00.000Z', '2026-01-06T00:00:00.000Z', '2026-01-07T00:00:00.000Z']);
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 13th or any Friday; 2026-01-01 is a Thursday
+    expect(upcoming('0 0 13 * 5', 4, '2026-01-01T00:00:00Z')).toEqual([
+      '2026-01-02T00:00:00.000Z',
+      '2026-01-09T00:00:00.000Z',
+      '2026-01-13T00:00:00.000Z',
+      '2026-01-16T00:00:00.000Z'
+    ]);
+    // Only the weekday when the day of month is *
+    expect(upcoming('0 0 * * 7', 1, '2026-01-01T00:00:00Z')).toEqual(['2026-01-04T00:00:00.000Z']);
+  });
+
+  test('finds the next run across month and year boundaries', () => {
+    expect(upcoming('0 0 31 * *', 2, '2026-01-31T00:00:00Z'))
+      .toEqual(['2026-03-31T00:00:00.000Z', '2026-05-31T00:00:00.000Z']);
+    expect(upcoming('30 23 31 12 *', 1, '2026-12-31T23:30:00Z')).toEqual(['2027-12-31T23:30:00.000Z']);
+    expect(upcoming('@yearly', 1, '2026-06-01T12:00:00Z')).toEqual(['2027-01-01T00:00:00.000Z']);
+    expect(upcoming('0 0 29 2 *', 1, '2026-03-01T00:00:00Z')).toEqual(['2028-02-29T00:00:00.000Z']);
+  });
+
+  test('gives up on an expression that never matches', () => {
+    expect(() => new CronExpression('0 0 30 2 *').next(new Date('2026-01-01T00:00:00Z')))
+      .toThrow('Cron expression "0 0 30 2 *" never matches');
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => new CronExpression('')).toThrow('Cron expression is required');
+    expect(() => new CronExpression('* * *')).toThrow('must have 5 fields');
+    expect(() => new CronExpression('60 * * * *')).toThrow('Invalid minute value "60" (expected 0-59)');
+    expect(() => new CronExpression('0 18-8 * * *')).toThrow('Invalid hour range "18-8"');
+    expect(() => new CronExpression('*/0 * * * *')).toThrow('Invalid step "0" in minute');
+    expect(() => new CronExpression('0 0 * foo *')).toThrow('Invalid month value "foo"');
+  });
+});
@@ -0,0 +1,89 @@
+const { createDatabase } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Database transactions', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    await db.run('CREATE TABLE notes (text TEXT)');
+  });
+
+  afterEach(() => db.close());
+
+  const notes = async () => (await db.all('SELECT text FROM notes ORDER BY rowid')).map(row => row.text);
+
+  test('keeps concurrent statements out of a transaction that rolls back', async () => {
+    const failing = db.transaction(async (tx) => {
+      await tx.run(`INSERT INTO notes (text) VALUES ('inside')`);
+      await delay(20);
+      throw new Error('abort');
+    });
+    await delay(5);
+    const outside = db.run(`INSERT INTO notes (text) VALUES ('outside')`);
+
+    await expect(failing).rejects.toThrow('abort');
+    await outside;
+    expect(await notes()).toEqual(['outside']);
+  });
+
+  test('lets concurrent reads see only committed data', async () => {
+    const committed = db.transaction(async (tx) => {
+      await tx.run(`INSERT INTO notes (text) VALUES ('first')`);
+      await delay(20);
+      await tx.run(`INSERT INTO notes (text) VALUES ('second')`);
+    });
+    await delay(5);
+    const readDuringTransaction = notes();
+
+    await committed;
+    expect(await readDuringTransaction).toEqual(['first', 'second']);
+  });
+
+  test('runs queued transactions one after another', async () => {
+    const order = [];
+    await Promise.all(['a', 'b', 'c'].map(name => db.transaction(async (tx) => {
+      order.push(`begin ${name}`);
+      await tx.run('INSERT INTO notes (text) VALUES (?)', [name]);
+      await delay(5);
+      order.push(`end ${name}`);
+    })));
+
+    expect(order).toEqual(['begin a', 'end a', 'begin b', 'end b', 'begin c', 'end c']);
+    expect(await notes()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('joins a nested transaction to the open one', async () => {
+    await expect(db.transaction(async () => {
+      await db.transaction(tx => tx.run(`INSERT INTO notes (text) VALUES ('nested')`));
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await notes()).toEqual([]);
+  });
+});
+
+describe('Database leaderboard', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+  });
+
+  afterEach(() => db.close());
+
+  test('ranks each agent by its last stored snapshot when capture times tie', async () => {
+    const repo = await db.addRepository('demo', '/tmp/demo', null);
+    const alice = await db.addAgent(repo.id, 'alice', 'alice@example.com');
+    const bob = await db.addAgent(repo.id, 'bob', 'bob@example.com');
+    const recorded_at = '2026-01-05 10:00:00';
+
+    await db.saveAgentMetrics(alice.id, { health_score: 90, scrape_run_id: 'first', recorded_at });
+    await db.saveAgentMetrics(alice.id, { health_score: 40, scrape_run_id: 'second', recorded_at });
+    await db.saveAgentMetrics(bob.id, { health_score: 60, recorded_at });
+
+    expect((await db.getAgentLeaderboard(repo.id)).map(row => [row.name, row.health_score]))
+      .toEqual([['bob', 60], ['alice', 40]]);
+  });
+});
@@ -0,0 +1,116 @@
+const ScrapeRunner = require('../src/backend/scrape-runner');
+const MetricsSource = require('../src/sources/metrics-source');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+class FixedSource extends MetricsSource {
+  constructor(result) {
+    super();
+    this.name = 'fixed';
+    this.result = result;
+  }
+
+  async scrape() {
+    return this.result;
+  }
+}
+
+describe('GET /api/events', () => {
+  let api;
+  let repo;
+  let viewerToken;
+  const streams = [];
+
+  /**
+   * Open the event stream; next(type) resolves with the data of the next event of that type
+   */
+  async function connect(query, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${api.url}/api/events?${new URLSearchParams(query)}`, { headers, signal: controller.signal });
+    streams.push(controller);
+
+    const reader = response.body?.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function next(type) {
+      for (;;) {
+        const blocks = buffer.split('\n\n');
+        const index = blocks.findIndex(block => block.includes(`event: ${type}\n`));
+        if (index >= 0) {
+          buffer = blocks.slice(index + 1).join('\n\n');
+          return JSON.parse(blocks[index].match(/^data: (.*)$/m)[1]);
+        }
+
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`Stream ended before ${type}`);
+        buffer += decoder.decode(value, { stream: true });
+      }
+    }
+
+    return { response, next };
+  }
+
+  const ticket = async (token = viewerToken) =>
+    (await api.request('POST', '/api/events/ticket', { token })).body.ticket;
+
+  const ingest = (repository, agents) => new ScrapeRunner(api.db, null, api.app.locals.events)
+    .run(repository, { scraper: new FixedSource(scrapeResult(agents)) });
+
+  beforeAll(async () => {
+    api = await startServer();
+    viewerToken = (await api.request('POST', '/api/tokens', {
+      token: ADMIN_TOKEN,
+      body: { name: 'wallboard', role: 'viewer' }
+    })).body.token;
+  });
+
+  beforeEach(async () => {
+    repo = await api.db.addRepository(`demo-${Date.now()}`, '/tmp/demo', null);
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach(controller => controller.abort());
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => api.close());
+
+  test('streams the ingest of the followed repository', async () => {
+    const other = await api.db.addRepository(`other-${Date.now()}`, '/tmp/other', null);
+    const stream = await connect({ repo_id: repo.id }, { Authorization: `Bearer ${viewerToken}` });
+
+    expect(stream.response.status).toBe(200);
+    expect(stream.response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    await ingest(other, [{ name: 'bob', email: 'bob@example.com' }]);
+    await ingest(repo, [{ name: 'alice', email: 'alice@example.com', commits: 3 }]);
+
+    expect(await stream.next('ingest.completed')).toMatchObject({ repository_id: repo.id, snapshots_saved: 1 });
+    expect(await stream.next('scrape.completed')).toMatchObject({ repository_id: repo.id, status: 'succeeded' });
+  });
+
+  test('opens the stream with a ticket instead of a token in the URL', async () => {
+    const stream = await connect({ repo_id: repo.id, ticket: await ticket() });
+
+    expect(stream.response.status).toBe(200);
+    await ingest(repo, [{ name: 'alice', email: 'alice@example.com' }]);
+    expect(await stream.next('ingest.completed')).toMatchObject({ repository_id: repo.id });
+  });
+
+  test('accepts each ticket once and only for a minute', async () => {
+    const used = await ticket();
+    await connect({ ticket: used });
+    const expired = await ticket();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+
+    expect((await connect({ ticket: used })).response.status).toBe(401);
+    expect((await connect({ ticket: expired })).response.status).toBe(401);
+    expect((await connect({ ticket: 'made-up' })).response.status).toBe(401);
+  });
+
+  test('no longer accepts a token in the URL', async () => {
+    expect((await connect({ access_token: ADMIN_TOKEN })).response.status).toBe(401);
+    expect((await api.request('POST', '/api/events/ticket')).status).toBe(401);
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GitLogCollector, parseGitLog, summarizeByAuthor } = require('../src/sources/git-source');
+
+describe('git source', () => {
+  test('parses numstat output with renames and binary files', () => {
+    const output = [
+      '\x1eabc\x1fAlice@Example.com\x1fAlice\x1f2026-01-05T23:30:00+02:00',
+      '',
+      '10\t2\tsrc/a.js',
+      '-\t-\tlogo.png',
+      '3\t1\tsrc/{old => new}/b.js',
+      '\x1edef\x1falice@example.com\x1fAlice A.\x1f2026-01-06T09:00:00+02:00',
+      '',
+      '1\t0\tsrc/a.js',
+      ''
+    ].join('\n');
+
+    const commits = parseGitLog(output);
+    expect(commits[0]).toMatchObject({ email: 'alice@example.com', date: '2026-01-05T21:30:00.000Z', day: '2026-01-05' });
+    expect(commits[0].files.map(file => file.path)).toEqual(['src/a.js', 'logo.png', 'src/new/b.js']);
+
+    expect(summarizeByAuthor(commits)).toEqual([{
+      name: 'Alice A.',
+      email: 'alice@example.com',
+      commits: 2,
+      lines_added: 14,
+      lines_deleted: 3,
+      files_touched: 3,
+      active_days: 2,
+      first_commit_at: '2026-01-05T21:30:00.000Z',
+      last_commit_at: '2026-01-06T07:00:00.000Z'
+    }]);
+  });
+
+  describe('on a local repository', () => {
+    let dir;
+
+    const commit = (email, date, file, content) => {
+      fs.writeFileSync(path.join(dir, file), content);
+      execFileSync('git', ['-C', dir, 'add', file]);
+      execFileSync('git', ['-C', dir, 'commit', '-q', '-m', `Update ${file}`], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: email.split('@')[0],
+          GIT_AUTHOR_EMAIL: email,
+          GIT_AUTHOR_DATE: date,
+          GIT_COMMITTER_NAME: 'ci',
+          GIT_COMMITTER_EMAIL: 'ci@example.com',
+          GIT_COMMITTER_DATE: date
+        }
+      });
+    };
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-source-'));
+      execFileSync('git', ['init', '-q', dir]);
+      commit('bob@example.com', '2025-12-01T12:00:00Z', 'old.txt', 'too old\n');
+      commit('alice@example.com', '2026-01-01T10:00:00Z', 'a.txt', 'one\n');
+      commit('alice@example.com', '2026-01-02T10:00:00Z', 'a.txt', 'one\ntwo\n');
+      commit('bob@example.com', '2026-01-02T12:00:00Z', 'b.txt', 'bob\n');
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('reports per-author activity in the window', async () => {
+      const result = await new GitLogCollector(dir).scrape({ since: '2025-12-31', until: '2026-01-03' });
+
+      expect(result.success).toBe(true);
+      expect(result.agents).toEqual([
+        { name: 'alice', email: 'alice@example.com', commits: 2, linesAdded: 2, linesDeleted: 0, filesTouched: 1, activeDays: 2 },
+        { name: 'bob', email: 'bob@example.com', commits: 1, linesAdded: 1, linesDeleted: 0, filesTouched: 1, activeDays: 1 }
+      ]);
+    });
+
+    test('fails without a usable checkout', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const result = await new GitLogCollector(path.join(dir, 'missing')).scrape();
+
+        expect(result.success).toBe(false);
+        expect(error).toHaveBeenCalledWith('❌ Reading git history failed:', expect.any(String));
+      } finally {
+        error.mockRestore();
+      }
+    });
+  });
+});
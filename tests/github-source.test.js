@@ -0,0 +1,94 @@
+const http = require('http');
+const { GitHubCollector, parseGitHubRepo, referencedPullNumbers } = require('../src/sources/github-source');
+
+const user = login => ({ login, type: login.endsWith('[bot]') ? 'Bot' : 'User' });
+
+// A fake GitHub API for acme/demo; every list fits on one page
+const ROUTES = {
+  '/repos/acme/demo/commits': [
+    { author: user('alice'), commit: { author: { email: 'Alice@Example.com' } } },
+    { author: user('alice'), commit: { author: { email: 'alice@old-laptop.local' } } },
+    { author: user('dependabot[bot]'), commit: { author: { email: 'bot@example.com' } } }
+  ],
+  '/repos/acme/demo/pulls': [
+    { number: 2, user: user('bob'), state: 'open', created_at: '2026-01-09T10:00:00Z', updated_at: '2026-01-09T10:00:00Z', merged_at: null },
+    { number: 1, user: user('alice'), state: 'closed', created_at: '2026-01-02T10:00:00Z', updated_at: '2026-01-05T10:00:00Z', merged_at: '2026-01-05T10:00:00Z' }
+  ],
+  '/repos/acme/demo/pulls/1/reviews': [
+    { user: user('bob'), state: 'APPROVED', submitted_at: '2026-01-04T10:00:00Z' }
+  ],
+  '/repos/acme/demo/pulls/2/reviews': [
+    { user: user('alice'), state: 'COMMENTED', submitted_at: '2026-01-10T10:00:00Z' },
+    { user: user('bob'), state: 'COMMENTED', submitted_at: '2026-01-10T11:00:00Z' }
+  ],
+  '/repos/acme/demo/pulls/comments': [
+    { user: user('bob'), created_at: '2026-01-03T10:00:00Z', pull_request_url: 'http://api/repos/acme/demo/pulls/1' },
+    { user: user('bob'), created_at: '2026-01-03T11:00:00Z', pull_request_url: 'http://api/repos/acme/demo/pulls/1' },
+    { user: user('alice'), created_at: '2026-01-03T12:00:00Z', pull_request_url: 'http://api/repos/acme/demo/pulls/1' }
+  ],
+  '/repos/acme/demo/issues': [
+    { number: 3, title: 'Crash after #1', body: null, created_at: '2026-01-07T10:00:00Z' }
+  ]
+};
+
+describe('GitHub source', () => {
+  let server;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      requests.push({ path: pathname, authorization: req.headers.authorization });
+      const body = ROUTES[pathname];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { message: 'Not Found' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.GITHUB_PAT = 'fake-token';
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterAll(async () => {
+    delete process.env.GITHUB_API_URL;
+    delete process.env.GITHUB_PAT;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('parses repository URLs and PR references', () => {
+    expect(parseGitHubRepo('git@github.com:acme/demo.git')).toEqual({ owner: 'acme', repo: 'demo' });
+    expect(parseGitHubRepo('https://github.com/acme/demo/')).toEqual({ owner: 'acme', repo: 'demo' });
+    expect(parseGitHubRepo('not a url')).toBeNull();
+    expect(referencedPullNumbers('Fixes #4, see acme/demo#5 and https://github.com/acme/demo/pull/6', 'acme', 'demo').sort())
+      .toEqual([4, 5, 6]);
+  });
+
+  test('reports activity per login from GITHUB_API_URL', async () => {
+    const result = await new GitHubCollector('https://github.com/acme/demo')
+      .scrape({ since: '2026-01-01T00:00:00Z', until: '2026-01-15T00:00:00Z' });
+
+    expect(result.success).toBe(true);
+    expect([...result.agents].sort((a, b) => a.name.localeCompare(b.name))).toEqual([
+      { name: 'alice', email: 'alice@example.com', pullRequests: 1, codeReviews: 1, reviewComments: 0, bugsIntroduced: 1 },
+      { name: 'bob', email: 'bob@users.noreply.github.com', pullRequests: 1, codeReviews: 1, reviewComments: 2, bugsIntroduced: 0 }
+    ]);
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests.every(request => request.authorization === 'token fake-token')).toBe(true);
+  });
+
+  test('fails without a GitHub URL', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const result = await new GitHubCollector(null).scrape();
+
+      expect(result).toMatchObject({ success: false, error: 'Repository has no valid GitHub URL: (not set)' });
+      expect(error).toHaveBeenCalledWith('❌ Collecting GitHub metrics failed:', result.error);
+      expect(requests).toEqual([]);
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
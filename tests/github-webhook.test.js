@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const IngestionService = require('../src/backend/ingestion-service');
+const { startServer, scrapeResult } = require('./helpers');
+
+const SECRET = 'webhook-secret';
+
+const sign = (secret, payload) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex')}`;
+
+describe('POST /api/webhook/github', () => {
+  let api;
+  let repo;
+  let alice;
+
+  const push = (branch, githubUrl = repo.github_url) => ({
+    ref: `refs/heads/${branch}`,
+    repository: { html_url: githubUrl },
+    sender: { login: 'alice' },
+    commits: [{ id: 'abc123', message: 'Fix parser', author: { email: 'alice@example.com' }, timestamp: '2026-01-05T10:00:00Z' }]
+  });
+
+  const deliver = (payload, { secret = SECRET, signature, delivery = crypto.randomUUID() } = {}) =>
+    api.request('POST', '/api/webhook/github', {
+      body: payload,
+      headers: {
+        'X-GitHub-Event': 'push',
+        'X-GitHub-Delivery': delivery,
+        ...(signature !== null && { 'X-Hub-Signature-256': signature || sign(secret, payload) })
+      }
+    });
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  beforeEach(async () => {
+    const name = `demo-${crypto.randomBytes(4).toString('hex')}`;
+    repo = await api.db.addRepository(name, '/tmp/demo', null, `https://github.com/acme/${name}`);
+    repo = await api.db.updateRepositoryWebhook(repo.id, { secret: SECRET, branches: ['main'] });
+    await new IngestionService(api.db).ingest(repo.id, scrapeResult([{ name: 'alice', email: 'alice@example.com' }]));
+    alice = await api.db.findAgentByAlias('alice@example.com', repo.id);
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  });
+
+  afterAll(() => api.close());
+
+  test('records the commits of a signed push', async () => {
+    const response = await deliver(push('main'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ received: true, duplicate: false, activities_recorded: 1, unmatched: [] });
+    expect(await api.db.getAgentActivity(alice.id)).toEqual([
+      expect.objectContaining({ kind: 'commit', reference: 'abc123' })
+    ]);
+  });
+
+  test('rejects missing and invalid signatures', async () => {
+    const missing = await deliver(push('main'), { signature: null });
+    const invalid = await deliver(push('main'), { secret: 'wrong-secret' });
+
+    expect(missing).toMatchObject({ status: 401, body: { error: 'Invalid webhook signature' } });
+    expect(invalid).toMatchObject({ status: 401, body: { error: 'Invalid webhook signature' } });
+    expect(await api.db.getAgentActivity(alice.id)).toEqual([]);
+  });
+
+  test('answers deliveries for unknown repositories like a bad signature', async () => {
+    const response = await deliver(push('main', 'https://github.com/acme/unknown'));
+
+    expect(response).toMatchObject({ status: 401, body: { error: 'Invalid webhook signature' } });
+  });
+
+  test('ignores a redelivered X-GitHub-Delivery id', async () => {
+    const delivery = crypto.randomUUID();
+    await deliver(push('main'), { delivery });
+    const response = await deliver(push('main'), { delivery });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ duplicate: true });
+    expect(await api.db.getAgentActivity(alice.id)).toHaveLength(1);
+  });
+
+  test('ignores pushes to branches outside webhook_branches', async () => {
+    const response = await deliver(push('feature'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ outcome: 'ignored: branch feature is not tracked', activities_recorded: 0 });
+    expect(await api.db.getAgentActivity(alice.id)).toEqual([]);
+  });
+
+  test('falls back to GITHUB_WEBHOOK_SECRET for repositories without a secret', async () => {
+    await api.db.updateRepositoryWebhook(repo.id, { secret: null });
+    expect((await deliver(push('main'))).status).toBe(401);
+
+    process.env.GITHUB_WEBHOOK_SECRET = 'global-secret';
+    const response = await deliver(push('main'), { secret: 'global-secret' });
+    const unknown = await deliver(push('main', 'https://github.com/acme/unknown'), { secret: 'global-secret' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ activities_recorded: 1 });
+    expect(unknown).toMatchObject({ status: 404, body: { error: 'Repository not registered' } });
+  });
+});
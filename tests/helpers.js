@@ -0,0 +1,67 @@
+/**
+ * Test Helpers
+ * An initialized in-memory database, and the API server on a random port
+ */
+
+const Database = require('../src/backend/database');
+const MemoryAdapter = require('../src/backend/storage/memory-adapter');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+async function createDatabase() {
+  const db = new Database(new MemoryAdapter());
+  await db.initialize();
+  return db;
+}
+
+/**
+ * Start src/backend/server.js on an in-memory database
+ * @returns {Object} { app, db, url, request(method, path, { token, body, headers }), close() }
+ */
+async function startServer() {
+  process.env.DB_ADAPTER = 'memory';
+  const app = require('../src/backend/server');
+  await app.locals.db.initialize();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, options = {}) {
+    const headers = { ...options.headers };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Plain text (e.g. /metrics)
+    }
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await app.locals.db.close();
+  }
+
+  return { app, db: app.locals.db, url: baseUrl, request, close };
+}
+
+/**
+ * A successful scrape result as returned by a metrics source
+ */
+function scrapeResult(agents, timestamp = '2026-01-05T10:00:00.000Z') {
+  return { success: true, timestamp, agents };
+}
+
+module.exports = { ADMIN_TOKEN, createDatabase, startServer, scrapeResult };
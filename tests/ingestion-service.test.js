@@ -0,0 +1,108 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const { createDatabase, scrapeResult } = require('./helpers');
+
+const ALICE = { name: 'alice', email: 'alice@example.com', commits: 8, pullRequests: 3, codeReviews: 4, reviewComments: 6, velocity: 7 };
+const BOB = { name: 'bob', email: 'bob@example.com', commits: 2, pullRequests: 1, bugsIntroduced: 2 };
+
+describe('IngestionService', () => {
+  let db;
+  let repo;
+  let ingestion;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    repo = await db.addRepository('demo', '/tmp/demo', null);
+    ingestion = new IngestionService(db);
+  });
+
+  afterEach(() => db.close());
+
+  test('creates agents and tags their snapshots with the run id derived from the result', async () => {
+    const result = scrapeResult([ALICE, BOB]);
+    const summary = await ingestion.ingest(repo.id, result);
+
+    expect(summary).toMatchObject({ agents_created: 2, snapshots_saved: 2, snapshots_skipped: 0 });
+    expect(summary.scrape_run_id).toBe(ingestion.getScrapeRunId(repo.id, result));
+
+    const alice = await db.findAgentByAlias('alice@example.com', repo.id);
+    const [snapshot] = await db.getAgentMetrics(alice.id);
+    expect(snapshot).toMatchObject({ commits: 8, pull_requests: 3, code_reviews: 4, review_comments: 6, scrape_run_id: summary.scrape_run_id });
+  });
+
+  test('skips the snapshots of a result that was already ingested', async () => {
+    const result = scrapeResult([ALICE, BOB]);
+    await ingestion.ingest(repo.id, result);
+    const again = await ingestion.ingest(repo.id, { ...result, agents: result.agents.map(agent => ({ ...agent })) });
+
+    expect(again).toMatchObject({ agents_created: 0, snapshots_saved: 0, snapshots_skipped: 2 });
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM agent_metrics');
+    expect(count).toBe(2);
+  });
+
+  test('stores a new snapshot for a later result', async () => {
+    await ingestion.ingest(repo.id, scrapeResult([ALICE], '2026-01-05T10:00:00.000Z'));
+    const later = await ingestion.ingest(repo.id, scrapeResult([ALICE], '2026-01-06T10:00:00.000Z'));
+
+    expect(later).toMatchObject({ agents_created: 0, snapshots_saved: 1 });
+  });
+
+  test('matches agents through their aliases', async () => {
+    await ingestion.ingest(repo.id, scrapeResult([ALICE]));
+    const alice = await db.findAgentByAlias('alice@example.com', repo.id);
+    await db.addAgentAlias(alice.id, repo.id, 'alice-gh');
+
+    const summary = await ingestion.ingest(repo.id, scrapeResult(
+      [{ name: 'alice-gh', email: 'alice-gh@users.noreply.github.com', pullRequests: 5 }],
+      '2026-01-06T10:00:00.000Z'
+    ));
+
+    expect(summary).toMatchObject({ agents_created: 0, snapshots_saved: 1 });
+    expect((await db.getAgentMetrics(alice.id)).map(row => row.pull_requests).sort()).toEqual([3, 5]);
+  });
+
+  test('merges rows that aliases map to the same agent into one snapshot', async () => {
+    await ingestion.ingest(repo.id, scrapeResult([ALICE]));
+    const alice = await db.findAgentByAlias('alice@example.com', repo.id);
+    await db.addAgentAlias(alice.id, repo.id, 'alice-gh');
+
+    // What MergedSource returns for git + github: the rows differ by email
+    const summary = await ingestion.ingest(repo.id, scrapeResult([
+      { name: 'Alice', email: 'alice@example.com', commits: 12, linesAdded: 300 },
+      { name: 'alice-gh', email: 'alice-gh@users.noreply.github.com', commits: 4, pullRequests: 6, codeReviews: 2 }
+    ], '2026-01-06T10:00:00.000Z'));
+
+    expect(summary).toMatchObject({ agents_created: 0, agents_merged: 1, snapshots_saved: 1, snapshots_skipped: 0 });
+    const latest = (await db.getAgentMetrics(alice.id)).find(row => row.scrape_run_id === summary.scrape_run_id);
+    expect(latest).toMatchObject({ commits: 12, lines_added: 300, pull_requests: 6, code_reviews: 2 });
+  });
+
+  test('leaves out a sprint that was closed before the capture time', async () => {
+    const sprint = await db.addSprint(repo.id, 'Sprint 1', '2026-01-01', '2026-01-14');
+    await db.run(`UPDATE sprints SET status = 'closed', closed_at = '2026-01-04 18:00:00' WHERE id = ?`, [sprint.id]);
+
+    const summary = await ingestion.ingest(repo.id, scrapeResult([ALICE], '2026-01-05T10:00:00.000Z'));
+
+    expect(summary.sprint_id).toBeNull();
+    const alice = await db.findAgentByAlias('alice@example.com', repo.id);
+    const [snapshot] = await db.getAgentMetrics(alice.id);
+    expect(snapshot).toMatchObject({ recorded_at: '2026-01-05 10:00:00', sprint_id: null });
+  });
+
+  test('rolls back every snapshot when one of them fails', async () => {
+    const saveAgentMetrics = db.saveAgentMetrics.bind(db);
+    let calls = 0;
+    db.saveAgentMetrics = async (...args) => {
+      if (++calls === 2) throw new Error('disk full');
+      return saveAgentMetrics(...args);
+    };
+
+    await expect(ingestion.ingest(repo.id, scrapeResult([ALICE, BOB]))).rejects.toThrow('disk full');
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM agent_metrics');
+    expect(count).toBe(0);
+  });
+
+  test('refuses failed scrape results', async () => {
+    await expect(ingestion.ingest(repo.id, { success: false, error: 'login failed' }))
+      .rejects.toThrow('Cannot ingest failed scrape: login failed');
+  });
+});
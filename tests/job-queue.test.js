@@ -0,0 +1,100 @@
+const JobQueue = require('../src/backend/job-queue');
+const { createDatabase } = require('./helpers');
+
+/**
+ * Poll until the queue has caught up with the condition
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  expect(condition()).toBe(true);
+}
+
+describe('JobQueue', () => {
+  let db;
+  let first;
+  let second;
+  let queue;
+  let runs;
+
+  // Each run of the stub handler stays in progress until the test finishes it
+  const scrape = job => new Promise((resolve, reject) => {
+    runs.push({ job, finish: () => resolve({ scraped: job.repository_id }), fail: reject });
+  });
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    first = await db.addRepository('first', '/tmp/first', null);
+    second = await db.addRepository('second', '/tmp/second', null);
+    runs = [];
+    queue = new JobQueue(db, { scrape }, { concurrency: 2 });
+  });
+
+  afterEach(async () => {
+    runs.forEach(run => run.finish());
+    await waitFor(() => queue.running.size === 0);
+    await db.close();
+  });
+
+  test('runs jobs for the same repository one at a time', async () => {
+    const a = await queue.enqueue('scrape', first.id);
+    await waitFor(() => runs.length === 1);
+    const b = await queue.enqueue('scrape', first.id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(runs).toHaveLength(1);
+    expect(await db.getJob(b.id)).toMatchObject({ status: 'queued' });
+
+    runs[0].finish();
+    await waitFor(() => runs.length === 2);
+
+    expect(runs[1].job.id).toBe(b.id);
+    expect(await db.getJob(a.id)).toMatchObject({ status: 'succeeded', result: JSON.stringify({ scraped: first.id }) });
+    expect(await db.getJob(b.id)).toMatchObject({ status: 'running' });
+  });
+
+  test('runs jobs for different repositories in parallel', async () => {
+    await queue.enqueue('scrape', first.id);
+    await queue.enqueue('scrape', second.id);
+    await waitFor(() => runs.length === 2);
+
+    expect(runs.map(run => run.job.repository_id).sort()).toEqual([first.id, second.id].sort());
+    expect(queue.running.size).toBe(2);
+  });
+
+  test('merges a request into the identical job that is still queued', async () => {
+    await queue.enqueue('scrape', first.id);
+    await waitFor(() => runs.length === 1);
+
+    const queued = await queue.enqueue('scrape', first.id, {}, 'webhook');
+    const duplicate = await queue.enqueue('scrape', first.id, {}, 'scheduler');
+
+    expect(queued.coalesced).toBe(false);
+    expect(duplicate).toMatchObject({ id: queued.id, coalesced: true, triggered_by: 'webhook' });
+    expect(await db.getJobs({ repository_id: first.id })).toHaveLength(2);
+
+    runs[0].finish();
+    await waitFor(() => runs.length === 2);
+    expect(runs[1].job.id).toBe(queued.id);
+  });
+
+  test('records a failing job and moves on', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = await queue.enqueue('scrape', first.id);
+    await waitFor(() => runs.length === 1);
+    const next = await queue.enqueue('scrape', first.id);
+
+    runs[0].fail(new Error('page did not load'));
+    await waitFor(() => runs.length === 2);
+
+    expect(await db.getJob(failing.id)).toMatchObject({ status: 'failed', error_message: 'page did not load' });
+    expect(runs[1].job.id).toBe(next.id);
+    expect(consoleError).toHaveBeenCalledWith(`❌ Job ${failing.id} failed:`, 'page did not load');
+    consoleError.mockRestore();
+  });
+
+  test('refuses unknown job types', async () => {
+    await expect(queue.enqueue('deploy', first.id)).rejects.toThrow('Unknown job type: deploy');
+  });
+});
@@ -0,0 +1,58 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const AnalysisService = require('../src/backend/analysis-service');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+const STRONG = { name: 'alice', email: 'alice@example.com', commits: 10, pullRequests: 4, codeReviews: 5, velocity: 10 };
+const WEAK = { name: 'bob', email: 'bob@example.com', commits: 2, pullRequests: 1, codeReviews: 1, bugsIntroduced: 3, techDebtScore: 60, velocity: 3 };
+
+describe('GET /metrics', () => {
+  let api;
+  let viewerToken;
+
+  beforeAll(async () => {
+    api = await startServer();
+    const repo = await api.db.addRepository('demo', '/tmp/demo', null);
+    await new IngestionService(api.db).ingest(repo.id, scrapeResult([STRONG, WEAK]));
+    await new AnalysisService(api.db).analyze(repo.id);
+
+    const created = await api.request('POST', '/api/tokens', { token: ADMIN_TOKEN, body: { name: 'prometheus', role: 'viewer' } });
+    viewerToken = created.body.token;
+  });
+
+  afterAll(() => api.close());
+
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+    delete process.env.AUTH_DISABLED;
+  });
+
+  test('requires a token even without METRICS_TOKEN', async () => {
+    expect((await api.request('GET', '/metrics')).status).toBe(401);
+    expect((await api.request('GET', '/metrics', { token: 'wrong' })).status).toBe(401);
+  });
+
+  test('accepts METRICS_TOKEN, ADMIN_TOKEN and API tokens', async () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+
+    expect((await api.request('GET', '/metrics', { token: 'scrape-me' })).status).toBe(200);
+    expect((await api.request('GET', '/metrics', { token: ADMIN_TOKEN })).status).toBe(200);
+    expect((await api.request('GET', '/metrics', { token: viewerToken })).status).toBe(200);
+  });
+
+  test('is open with AUTH_DISABLED', async () => {
+    process.env.AUTH_DISABLED = 'true';
+    expect((await api.request('GET', '/metrics')).status).toBe(200);
+  });
+
+  test('exports the stored scores and the analysis', async () => {
+    const { body } = await api.request('GET', '/metrics', { token: viewerToken });
+
+    const health = body.match(/^agent_health_score\{[^}]*agent="alice"[^}]*\} (\d+)$/m);
+    expect(Number(health[1])).toBeGreaterThan(0);
+    expect(body).toMatch(/^agent_quality_score\{[^}]*agent="bob"[^}]*\} [1-9]/m);
+    expect(body).toMatch(/^team_agents\{[^}]*status="critical"\} 1$/m);
+    expect(body).toMatch(/^team_agents\{[^}]*status="healthy"\} 1$/m);
+    expect(body).toMatch(/^team_average_score\{[^}]*\} [1-9]/m);
+    expect(body).not.toContain('example.com');
+  });
+});
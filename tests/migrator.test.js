@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/backend/database');
+const MemoryAdapter = require('../src/backend/storage/memory-adapter');
+const Migrator = require('../src/backend/migrator');
+const { main: migrateCli } = require('../src/backend/migrate');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../src/backend/migrations');
+const LATEST_VERSION = Math.max(...fs.readdirSync(MIGRATIONS_DIR).map(file => parseInt(file, 10)).filter(Boolean));
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database(new MemoryAdapter());
+    await db.connect();
+  });
+
+  afterEach(() => db.close());
+
+  test('applies every migration to an empty database', async () => {
+    const applied = await new Migrator(db).migrate();
+
+    expect(applied).toHaveLength(LATEST_VERSION);
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+    expect((await new Migrator(db).status()).every(migration => migration.applied)).toBe(true);
+    expect(await new Migrator(db).migrate()).toEqual([]);
+  });
+
+  test('stops at a target version', async () => {
+    await new Migrator(db).migrate(3);
+
+    expect(await db.getSchemaVersion()).toBe(3);
+    const pending = (await new Migrator(db).status()).filter(migration => !migration.applied);
+    expect(pending[0].version).toBe(4);
+  });
+
+  test('rolls back the latest migrations and re-applies them', async () => {
+    const migrator = new Migrator(db);
+    await migrator.migrate();
+
+    const reverted = await migrator.rollback(2);
+    expect(reverted.map(migration => migration.version)).toEqual([LATEST_VERSION, LATEST_VERSION - 1]);
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION - 2);
+
+    await migrator.migrate();
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+  });
+
+  test.each([0, -1, NaN, 1.5, '2'])('refuses to roll back %p steps without touching the schema', async (steps) => {
+    const migrator = new Migrator(db);
+    await migrator.migrate();
+
+    await expect(migrator.rollback(steps)).rejects.toThrow('Invalid number of steps');
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+  });
+
+  test('refuses an invalid target version', async () => {
+    await expect(new Migrator(db).migrate(-1)).rejects.toThrow('Invalid target version');
+    await expect(new Migrator(db).migrate(NaN)).rejects.toThrow('Invalid target version');
+  });
+
+  test('scores snapshots that were stored without scores', async () => {
+    const migrator = new Migrator(db);
+    await migrator.migrate(14);
+    const repo = await db.addRepository('demo', '/tmp/demo', null);
+    const agent = await db.addAgent(repo.id, 'alice', 'alice@example.com');
+    await db.run(
+      `INSERT INTO agent_metrics (agent_id, origin_agent_id, commits, pull_requests, code_reviews, velocity, recorded_at)
+       VALUES (?, ?, 5, 2, 3, 10, '2026-01-05 10:00:00')`,
+      [agent.id, agent.id]
+    );
+    await db.run(
+      `INSERT INTO agent_metrics (agent_id, origin_agent_id, commits, pull_requests, code_reviews, velocity,
+         bugs_introduced, tech_debt_score, recorded_at)
+       VALUES (?, ?, 2, 1, 1, 4, 1, 30, '2026-01-06 10:00:00')`,
+      [agent.id, agent.id]
+    );
+
+    await migrator.migrate(15);
+
+    const [weak, strong] = await db.getAgentMetrics(agent.id);
+    expect(strong).toMatchObject({
+      health_score: 100,
+      productivity_score: 100,
+      quality_score: 100,
+      collaboration_score: 100,
+      reliability_score: 100
+    });
+    expect(weak).toMatchObject({
+      health_score: 54,
+      productivity_score: 45,
+      quality_score: 80,
+      collaboration_score: 33,
+      reliability_score: 40
+    });
+  });
+
+  test('gives rollups an origin and combines merged origins on the way down', async () => {
+    const migrator = new Migrator(db);
+    await migrator.migrate(16);
+    const repo = await db.addRepository('demo', '/tmp/demo', null);
+    const agent = await db.addAgent(repo.id, 'alice', 'alice@example.com');
+    await db.run(
+      `INSERT INTO agent_metrics_daily (agent_id, period_start, samples, health_score_min, health_score_max, health_score_avg)
+       VALUES (?, '2026-01-05', 2, 40, 60, 50)`,
+      [agent.id]
+    );
+
+    await migrator.migrate(17);
+    expect(await db.all('SELECT agent_id, origin_agent_id, samples FROM agent_metrics_daily'))
+      .toEqual([{ agent_id: agent.id, origin_agent_id: agent.id, samples: 2 }]);
+
+    // A merged identity's row for the same day
+    await db.run(
+      `INSERT INTO agent_metrics_daily (agent_id, origin_agent_id, period_start, samples, health_score_min, health_score_max, health_score_avg)
+       VALUES (?, ?, '2026-01-05', 1, 80, 80, 80)`,
+      [agent.id, agent.id + 1]
+    );
+    await migrator.rollback(1);
+
+    expect(await db.all('SELECT agent_id, samples, health_score_min, health_score_max, health_score_avg FROM agent_metrics_daily'))
+      .toEqual([{ agent_id: agent.id, samples: 3, health_score_min: 40, health_score_max: 80, health_score_avg: 60 }]);
+  });
+
+  describe('CLI', () => {
+    beforeEach(() => {
+      process.env.DB_ADAPTER = 'memory';
+    });
+
+    afterEach(() => {
+      delete process.env.DB_ADAPTER;
+    });
+
+    test.each(['0', 'abc', '-1', '2x'])('rejects "down %s"', async (arg) => {
+      await expect(migrateCli(['down', arg])).rejects.toThrow('Invalid number of steps');
+    });
+
+    test('rejects "up" with a non-numeric version', async () => {
+      await expect(migrateCli(['up', 'latest'])).rejects.toThrow('Invalid version "latest"');
+    });
+  });
+
+  describe('with a failing migration', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(dir, '001_create_things.js'),
+        "module.exports = { up: ['CREATE TABLE things (id INTEGER)'], down: ['DROP TABLE things'] };");
+      fs.writeFileSync(path.join(dir, '002_broken.js'),
+        "module.exports = { up: ['ALTER TABLE things ADD COLUMN name TEXT', 'SELECT * FROM missing_table'], down: [] };");
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('rolls the failed migration back and reports it', async () => {
+      const migrator = new Migrator(db, dir);
+
+      await expect(migrator.migrate()).rejects.toThrow('Migration 002_broken (up) failed');
+      expect(await db.getSchemaVersion()).toBe(1);
+
+      const columns = await db.all('PRAGMA table_info(things)');
+      expect(columns.map(column => column.name)).toEqual(['id']);
+    });
+  });
+});
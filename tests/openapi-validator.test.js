@@ -0,0 +1,197 @@
+const express = require('express');
+const OpenApiValidator = require('../src/backend/openapi-validator');
+const { ADMIN_TOKEN, startServer } = require('./helpers');
+
+const THING = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: { id: { type: 'integer' }, name: { type: 'string' } }
+};
+
+// A two-route API: GET /api/things/{id}?limit= and POST /api/things
+const SPEC = {
+  openapi: '3.0.3',
+  components: { schemas: { Thing: THING } },
+  paths: {
+    '/api/things': {
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'tags'],
+                properties: {
+                  name: { type: 'string' },
+                  tags: { type: 'array', items: { type: 'string' } },
+                  owner: { type: 'object', properties: { id: { type: 'integer' } } }
+                }
+              }
+            }
+          }
+        },
+        responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Thing' } } } } }
+      }
+    },
+    '/api/things/{id}': {
+      get: {
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1 } }
+        ],
+        responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Thing' } } } } }
+      }
+    }
+  }
+};
+
+/**
+ * Serve the spec's routes; ?shape=wrong answers with a body that breaks it
+ * and ?status=<code> with an undocumented status
+ */
+async function serve(validator) {
+  const app = express();
+  app.use(express.json());
+  app.use(validator.middleware());
+  app.get('/api/things/:id', (req, res) => {
+    if (req.query.status) return res.status(Number(req.query.status)).json({ error: 'Not here' });
+    res.json(req.query.shape === 'wrong' ? { id: 'one' } : { id: Number(req.params.id), name: 'thing' });
+  });
+  app.post('/api/things', (req, res) => res.json({ id: 1, name: req.body.name }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: async (method, path, body) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('OpenApiValidator', () => {
+  describe('requests', () => {
+    let api;
+
+    beforeAll(async () => {
+      api = await serve(new OpenApiValidator(SPEC, { responses: 'off' }));
+    });
+
+    afterAll(() => api.close());
+
+    test('lists every body mismatch with its location, field and message', async () => {
+      const response = await api.request('POST', '/api/things', { tags: ['a', 2], owner: { id: 'x' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Request validation failed',
+        details: expect.arrayContaining([
+          { location: 'body', field: 'name', message: 'is required' },
+          { location: 'body', field: 'tags.1', message: 'must be string' },
+          { location: 'body', field: 'owner.id', message: 'must be integer' }
+        ])
+      });
+      expect(response.body.details).toHaveLength(3);
+    });
+
+    test('checks path and query parameters after coercing them', async () => {
+      expect((await api.request('GET', '/api/things/7?limit=5')).status).toBe(200);
+
+      const response = await api.request('GET', '/api/things/seven?limit=0');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { location: 'path', field: 'id', message: 'must be integer' },
+        { location: 'query', field: 'limit', message: 'must be >= 1' }
+      ]);
+    });
+
+    test('passes valid requests through', async () => {
+      const response = await api.request('POST', '/api/things', { name: 'thing', tags: [] });
+
+      expect(response).toEqual({ status: 200, body: { id: 1, name: 'thing' } });
+    });
+  });
+
+  describe('strict response validation', () => {
+    let api;
+    let consoleError;
+
+    beforeAll(async () => {
+      api = await serve(new OpenApiValidator(SPEC, { responses: 'strict' }));
+    });
+
+    beforeEach(() => {
+      consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => consoleError.mockRestore());
+
+    afterAll(() => api.close());
+
+    test('replaces a response that breaks its schema with a 500', async () => {
+      const response = await api.request('GET', '/api/things/7?shape=wrong');
+
+      expect(response).toEqual({ status: 500, body: { error: 'Response does not match the API specification' } });
+      expect(consoleError).toHaveBeenCalledWith(
+        '❌ Response does not match OpenAPI spec (GET /api/things/{id} → 200):',
+        'name is required; id must be integer'
+      );
+    });
+
+    test('replaces a response with an undocumented status', async () => {
+      const response = await api.request('GET', '/api/things/7?status=418');
+
+      expect(response.status).toBe(500);
+      expect(consoleError).toHaveBeenCalledWith(
+        '❌ Response does not match OpenAPI spec (GET /api/things/{id} → 418):',
+        'status 418 is not documented'
+      );
+    });
+
+    test('leaves matching responses alone', async () => {
+      expect(await api.request('GET', '/api/things/7')).toEqual({ status: 200, body: { id: 7, name: 'thing' } });
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+  });
+
+  test('only logs mismatching responses in warn mode', async () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const api = await serve(new OpenApiValidator(SPEC, { responses: 'warn' }));
+
+    try {
+      expect(await api.request('GET', '/api/things/7?shape=wrong')).toEqual({ status: 200, body: { id: 'one' } });
+      expect(consoleWarn).toHaveBeenCalledTimes(1);
+    } finally {
+      consoleWarn.mockRestore();
+      await api.close();
+    }
+  });
+
+  test('validates the API against openapi.js', async () => {
+    const api = await startServer();
+
+    try {
+      const response = await api.request('POST', '/api/sprints', {
+        token: ADMIN_TOKEN,
+        body: { repo_id: 'one', name: 'Sprint 1', start_date: '2026-01-05' }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(expect.arrayContaining([
+        { location: 'body', field: 'repo_id', message: 'must be integer' },
+        { location: 'body', field: 'end_date', message: 'is required' }
+      ]));
+    } finally {
+      await api.close();
+    }
+  });
+});
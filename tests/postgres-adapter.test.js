@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('../src/backend/database');
+const PostgresAdapter = require('../src/backend/storage/postgres-adapter');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../src/backend/migrations');
+const LATEST_VERSION = Math.max(...fs.readdirSync(MIGRATIONS_DIR).map(file => parseInt(file, 10)).filter(Boolean));
+
+describe('PostgresAdapter', () => {
+  const adapter = new PostgresAdapter('postgres://unused');
+
+  test('translates placeholders outside string literals', () => {
+    expect(adapter.translate("SELECT * FROM agents WHERE name = ? AND role != '?' AND id = ?"))
+      .toBe("SELECT * FROM agents WHERE name = $1 AND role != '?' AND id = $2");
+  });
+
+  test('maps SQLite-only DDL types', () => {
+    expect(adapter.translate('CREATE TABLE things (id INTEGER PRIMARY KEY AUTOINCREMENT, at DATETIME, ok BOOLEAN DEFAULT 1)'))
+      .toBe('CREATE TABLE things (id SERIAL PRIMARY KEY, at TIMESTAMP, ok BOOLEAN DEFAULT TRUE)');
+    expect(adapter.translate('SELECT created_at FROM things WHERE note = ?'))
+      .toBe('SELECT created_at FROM things WHERE note = $1');
+  });
+});
+
+// Needs a reachable PostgreSQL: DATABASE_URL=postgres://localhost:5432/agent_health npm test
+const describeWithPostgres = process.env.DATABASE_URL ? describe : describe.skip;
+
+describeWithPostgres('PostgreSQL storage', () => {
+  // A schema of its own, so the tests leave the database's tables alone
+  const schema = `test_${crypto.randomBytes(4).toString('hex')}`;
+  let db;
+
+  beforeAll(async () => {
+    db = new Database(new PostgresAdapter(process.env.DATABASE_URL));
+    await db.connect();
+    await db.run(`CREATE SCHEMA ${schema}`);
+    await db.run(`SET search_path TO ${schema}`);
+  });
+
+  afterAll(async () => {
+    await db.run(`DROP SCHEMA ${schema} CASCADE`);
+    await db.close();
+  });
+
+  test('initializes the schema with every migration', async () => {
+    await db.migrate();
+
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+    await db.migrate();
+    expect(await db.getSchemaVersion()).toBe(LATEST_VERSION);
+  });
+
+  test('commits a transaction and returns inserted ids', async () => {
+    const repo = await db.transaction(async (tx) => {
+      const created = await tx.addRepository('demo', '/tmp/demo', null);
+      await tx.addAgent(created.id, 'alice', 'alice@example.com');
+      return created;
+    });
+
+    expect(repo.id).toEqual(expect.any(Number));
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM agents WHERE repository_id = ?', [repo.id]);
+    expect(count).toBe(1);
+  });
+
+  test('rolls a failed transaction back', async () => {
+    await expect(db.transaction(async (tx) => {
+      await tx.addRepository('rolled-back', '/tmp/rolled-back', null);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await db.get('SELECT id FROM repositories WHERE name = ?', ['rolled-back'])).toBeUndefined();
+  });
+});
@@ -0,0 +1,100 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+describe('/api/repos', () => {
+  let api;
+
+  const request = (method, path, body) => api.request(method, path, { token: ADMIN_TOKEN, body });
+  const countRepositories = async () =>
+    (await api.db.get('SELECT COUNT(*) AS count FROM repositories')).count;
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => api.close());
+
+  describe('POST', () => {
+    test('creates a repository with its metrics sources', async () => {
+      const response = await request('POST', '/api/repos', { name: 'demo', path: '/tmp/demo', metrics_sources: ['git', 'github', 'git'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ name: 'demo', path: '/tmp/demo', github_url: null, metrics_sources: ['git', 'github'] });
+      expect(response.body).not.toHaveProperty('webhook_secret');
+    });
+
+    test('refuses unknown metrics sources with 400', async () => {
+      const before = await countRepositories();
+      const response = await request('POST', '/api/repos', { name: 'demo', path: '/tmp/demo', metrics_sources: ['svn'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Unknown metrics source: svn/);
+      expect(await countRepositories()).toBe(before);
+    });
+
+    test('answers storage failures with 500 and leaves no half-created repository', async () => {
+      jest.spyOn(api.db, 'updateRepository').mockRejectedValueOnce(new Error('disk I/O error'));
+      const before = await countRepositories();
+
+      const response = await request('POST', '/api/repos', { name: 'demo', path: '/tmp/demo', metrics_sources: ['git'] });
+
+      expect(response).toMatchObject({ status: 500, body: { error: 'disk I/O error' } });
+      expect(await countRepositories()).toBe(before);
+    });
+  });
+
+  describe('PATCH', () => {
+    test('changes only the given fields', async () => {
+      const { body: repo } = await request('POST', '/api/repos', { name: 'demo', path: '/tmp/demo', github_url: 'https://github.com/acme/demo' });
+
+      const response = await request('PATCH', `/api/repos/${repo.id}`, { path: '/srv/demo' });
+
+      expect(response.body).toMatchObject({ name: 'demo', path: '/srv/demo', github_url: 'https://github.com/acme/demo' });
+      expect((await request('PATCH', `/api/repos/${repo.id}`, { metrics_sources: ['svn'] })).status).toBe(400);
+    });
+  });
+
+  describe('DELETE', () => {
+    let repo;
+    let agent;
+
+    beforeEach(async () => {
+      repo = await api.db.addRepository(`demo-${Date.now()}`, '/tmp/demo', null);
+      await new IngestionService(api.db).ingest(repo.id, scrapeResult([{ name: 'alice', email: 'alice@example.com', commits: 3 }]));
+      agent = await api.db.findAgentByAlias('alice@example.com', repo.id);
+    });
+
+    test('hides a soft-deleted repository until it is restored', async () => {
+      const deleted = await request('DELETE', `/api/repos/${repo.id}`);
+
+      expect(deleted.body).toMatchObject({ success: true, id: repo.id, purged: false, deleted_at: expect.any(String) });
+      expect((await request('GET', `/api/repos/${repo.id}`)).status).toBe(404);
+      expect((await request('GET', '/api/repos')).body.map(row => row.id)).not.toContain(repo.id);
+      expect((await request('GET', '/api/repos?include_deleted=true')).body.map(row => row.id)).toContain(repo.id);
+
+      const restored = await request('POST', `/api/repos/${repo.id}/restore`);
+
+      expect(restored.body).toMatchObject({ id: repo.id, deleted_at: null });
+      expect(await api.db.getAgentMetrics(agent.id)).toHaveLength(1);
+      expect((await request('POST', `/api/repos/${repo.id}/restore`)).status).toBe(409);
+    });
+
+    test('purges a repository and its data with ?purge=true', async () => {
+      await request('DELETE', `/api/repos/${repo.id}`);
+      const response = await request('DELETE', `/api/repos/${repo.id}?purge=true`);
+
+      expect(response.body).toEqual({ success: true, id: repo.id, purged: true });
+      expect(await api.db.getRepository(repo.id, { includeDeleted: true })).toBeUndefined();
+      expect(await api.db.getAgent(agent.id)).toBeUndefined();
+      expect(await api.db.getAgentMetrics(agent.id)).toEqual([]);
+      expect((await request('POST', `/api/repos/${repo.id}/restore`)).status).toBe(404);
+    });
+
+    test('answers unknown repositories with 404', async () => {
+      expect((await request('DELETE', '/api/repos/999999')).status).toBe(404);
+      expect((await request('DELETE', '/api/repos/999999?purge=true')).status).toBe(404);
+    });
+  });
+});
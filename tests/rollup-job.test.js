@@ -0,0 +1,61 @@
+const MetricsRollupJob = require('../src/backend/rollup-job');
+const IngestionService = require('../src/backend/ingestion-service');
+const { createDatabase, scrapeResult } = require('./helpers');
+
+const ALICE = { name: 'alice', email: 'alice@example.com', commits: 2, pullRequests: 1, codeReviews: 1, velocity: 4 };
+
+describe('MetricsRollupJob', () => {
+  let db;
+  let alice;
+  let snapshots;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    const repo = await db.addRepository('demo', '/tmp/demo', null);
+    const ingestion = new IngestionService(db);
+
+    await ingestion.ingest(repo.id, scrapeResult([ALICE], '2026-01-05T09:00:00.000Z'));
+    await ingestion.ingest(repo.id, scrapeResult([{ ...ALICE, commits: 5, pullRequests: 2 }], '2026-01-05T15:00:00.000Z'));
+    await ingestion.ingest(repo.id, scrapeResult([{ ...ALICE, codeReviews: 3 }], '2026-01-07T09:00:00.000Z'));
+
+    alice = await db.findAgentByAlias('alice@example.com', repo.id);
+    snapshots = await db.getAgentMetrics(alice.id);
+    const recordedAt = ['2026-01-05 09:00:00', '2026-01-05 15:00:00', '2026-01-07 09:00:00'];
+    for (const [i, snapshot] of snapshots.entries()) {
+      await db.run('UPDATE agent_metrics SET recorded_at = ? WHERE id = ?', [recordedAt[i], snapshot.id]);
+    }
+  });
+
+  afterEach(() => db.close());
+
+  test('aggregates the scores stored at ingestion', async () => {
+    const summary = await new MetricsRollupJob(db, { retentionDays: 0 }).run(new Date('2026-01-08T00:00:00Z'));
+    expect(summary).toMatchObject({ daily: 2, weekly: 1, pruned: 0 });
+
+    const [monday, wednesday] = await db.getAgentRollups(alice.id, 'daily');
+    const [first, second, third] = snapshots.map(snapshot => snapshot.health_score);
+    expect(first).toBeGreaterThan(0);
+    expect(monday).toMatchObject({
+      period_start: '2026-01-05',
+      samples: 2,
+      health_score_min: Math.min(first, second),
+      health_score_max: Math.max(first, second),
+      health_score_avg: (first + second) / 2
+    });
+    expect(wednesday).toMatchObject({ period_start: '2026-01-07', samples: 1, health_score_avg: third });
+    expect(monday.productivity_score_avg).toBeGreaterThan(0);
+
+    const [week] = await db.getAgentRollups(alice.id, 'weekly');
+    expect(week).toMatchObject({ period_start: '2026-01-05', samples: 3 });
+    expect(week.health_score_avg).toBeCloseTo((first + second + third) / 3);
+  });
+
+  test('keeps the rollups of pruned snapshots', async () => {
+    const summary = await new MetricsRollupJob(db, { retentionDays: 7 }).run(new Date('2026-01-20T00:00:00Z'));
+
+    expect(summary).toMatchObject({ pruned: 3, cutoff: '2026-01-12' });
+    expect(await db.getAgentMetrics(alice.id)).toEqual([]);
+    const [week] = await db.getAgentRollups(alice.id, 'weekly');
+    expect(week.health_score_avg).toBeGreaterThan(0);
+  });
+});
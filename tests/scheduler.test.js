@@ -0,0 +1,73 @@
+const RepositoryScheduler = require('../src/backend/scheduler');
+const { createDatabase } = require('./helpers');
+
+describe('RepositoryScheduler', () => {
+  let db;
+  let repo;
+  let jobQueue;
+  let scheduler;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    repo = await db.addRepository('demo', '/tmp/demo', null);
+    await db.updateRepositorySchedule(repo.id, { cron: '0 * * * *' });
+    jobQueue = { enqueue: jest.fn(async () => ({ id: 1 })) };
+    scheduler = new RepositoryScheduler(db, jobQueue, { intervalMs: 60 * 1000 });
+  });
+
+  afterEach(() => db.close());
+
+  test('queues a pipeline when the schedule is due', async () => {
+    expect(await scheduler.tick(new Date('2026-01-05T10:30:00Z'))).toEqual([]);
+    expect((await db.getRepository(repo.id)).schedule_next_run_at).toBe('2026-01-05 11:00:00');
+
+    expect(await scheduler.tick(new Date('2026-01-05T11:00:30Z'))).toEqual([repo.id]);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('pipeline', repo.id,
+      { scheduled_for: '2026-01-05T11:00:00.000Z', catch_up: false }, 'scheduler');
+  });
+
+  test('catches up exactly one missed run after downtime', async () => {
+    await scheduler.tick(new Date('2026-01-05T10:30:00Z'));
+
+    // Down from 10:30 to 15:10: the 11:00-15:00 runs were missed
+    expect(await scheduler.tick(new Date('2026-01-05T15:10:00Z'))).toEqual([repo.id]);
+    expect(await scheduler.tick(new Date('2026-01-05T15:11:00Z'))).toEqual([]);
+
+    expect(jobQueue.enqueue).toHaveBeenCalledTimes(1);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('pipeline', repo.id,
+      { scheduled_for: '2026-01-05T11:00:00.000Z', catch_up: true }, 'scheduler');
+    expect(await db.getRepository(repo.id)).toMatchObject({
+      schedule_last_run_at: '2026-01-05 15:10:00',
+      schedule_next_run_at: '2026-01-05 16:00:00'
+    });
+  });
+
+  test('skips missed runs when catch-up is disabled', async () => {
+    await db.updateRepositorySchedule(repo.id, { catch_up: false });
+    await scheduler.tick(new Date('2026-01-05T10:30:00Z'));
+
+    expect(await scheduler.tick(new Date('2026-01-05T15:10:00Z'))).toEqual([]);
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+    expect((await db.getRepository(repo.id)).schedule_next_run_at).toBe('2026-01-05 16:00:00');
+  });
+
+  test('uses the default schedule for repositories without their own', async () => {
+    const other = await db.addRepository('other', '/tmp/other', null);
+    const withDefault = new RepositoryScheduler(db, jobQueue, { defaultSchedule: '@daily' });
+
+    expect(withDefault.describe(await db.getRepository(other.id), 1))
+      .toMatchObject({ cron: '@daily', source: 'default', enabled: true });
+    expect(scheduler.describe(await db.getRepository(other.id)))
+      .toMatchObject({ cron: null, enabled: false, upcoming: [] });
+  });
+
+  test('refuses an invalid DEFAULT_SCHEDULE when it is created', () => {
+    process.env.DEFAULT_SCHEDULE = '0 25 * * *';
+    try {
+      expect(() => new RepositoryScheduler(db, jobQueue))
+        .toThrow('Invalid DEFAULT_SCHEDULE: Invalid hour value "25" (expected 0-23)');
+    } finally {
+      delete process.env.DEFAULT_SCHEDULE;
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const ScrapeRunner = require('../src/backend/scrape-runner');
+const EventBus = require('../src/backend/event-bus');
+const MetricsSource = require('../src/sources/metrics-source');
+const { createDatabase, scrapeResult } = require('./helpers');
+
+class FixedSource extends MetricsSource {
+  constructor(scrape) {
+    super();
+    this.name = 'fixed';
+    this.scrape = scrape;
+  }
+}
+
+describe('ScrapeRunner', () => {
+  let db;
+  let repo;
+  let events;
+  let runner;
+
+  beforeEach(async () => {
+    db = await createDatabase();
+    repo = await db.addRepository('demo', '/tmp/demo', null);
+    events = new EventBus();
+    runner = new ScrapeRunner(db, null, events);
+  });
+
+  afterEach(() => db.close());
+
+  test('records and ingests a successful scrape', async () => {
+    const published = [];
+    events.on('event', event => published.push(event));
+    const result = scrapeResult([{ name: 'alice', email: 'alice@example.com', commits: 6 }]);
+
+    const { run, ingested } = await runner.run(repo, { scraper: new FixedSource(async () => result), triggeredBy: 'test' });
+
+    expect(run).toMatchObject({ status: 'succeeded', source: 'fixed', agent_count: 1, triggered_by: 'test' });
+    expect(ingested).toMatchObject({ snapshots_saved: 1, scrape_run_id: runner.ingestion.getScrapeRunId(repo.id, result) });
+    expect(published.find(event => event.type === 'ingest.completed').data)
+      .toMatchObject({ scrape_run_id: run.id, snapshot_run_id: ingested.scrape_run_id, snapshots_saved: 1 });
+  });
+
+  test('does not store the snapshots of the same result twice', async () => {
+    const result = scrapeResult([{ name: 'alice', email: 'alice@example.com', commits: 6 }]);
+    const source = new FixedSource(async () => result);
+
+    const first = await runner.run(repo, { scraper: source });
+    const second = await runner.run(repo, { scraper: source });
+
+    expect(second.run.id).not.toBe(first.run.id);
+    expect(second.ingested).toMatchObject({ snapshots_saved: 0, snapshots_skipped: 1 });
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM agent_metrics');
+    expect(count).toBe(1);
+  });
+
+  test('marks the run failed when the source throws', async () => {
+    const { run, result, ingested } = await runner.run(repo, {
+      scraper: new FixedSource(async () => { throw new Error('browser crashed'); })
+    });
+
+    expect(run).toMatchObject({ status: 'failed', error_message: 'browser crashed' });
+    expect(run.finished_at).toBeTruthy();
+    expect(result.success).toBe(false);
+    expect(ingested).toBeNull();
+  });
+
+  test('marks the run failed when the source reports a failure', async () => {
+    const { run } = await runner.run(repo, {
+      scraper: new FixedSource(async () => ({ success: false, error: 'login failed', timestamp: new Date().toISOString() }))
+    });
+
+    expect(run).toMatchObject({ status: 'failed', error_message: 'login failed' });
+  });
+});
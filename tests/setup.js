@@ -0,0 +1,11 @@
+/**
+ * Jest setup (setupFilesAfterEnv)
+ * Services log every step with console.log; keep the test output readable.
+ * Responses that do not match the OpenAPI document fail with a 500.
+ */
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+process.env.OPENAPI_RESPONSE_VALIDATION = 'strict';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+delete process.env.AUTH_DISABLED;
@@ -0,0 +1,89 @@
+const { SourceRegistry, MetricsSource, MergedSource, mergeAgents } = require('../src/sources');
+
+class StaticSource extends MetricsSource {
+  constructor(name, result) {
+    super();
+    this.name = name;
+    this.result = result;
+  }
+
+  async scrape() {
+    return { timestamp: new Date().toISOString(), ...this.result };
+  }
+}
+
+describe('SourceRegistry', () => {
+  const registry = new SourceRegistry()
+    .register('a', () => new StaticSource('a', { success: true, agents: [] }), 'Source A')
+    .register('b', () => new StaticSource('b', { success: true, agents: [] }), 'Source B');
+
+  afterEach(() => {
+    delete process.env.METRICS_SOURCES;
+  });
+
+  test('validates source lists', () => {
+    expect(registry.validate(['b', 'a', 'b'])).toEqual(['b', 'a']);
+    expect(() => registry.validate([])).toThrow('At least one metrics source is required');
+    expect(() => registry.validate(['a', 'nope'])).toThrow('Unknown metrics source: nope');
+  });
+
+  test('uses the repository setting, then METRICS_SOURCES, then techdebtgpt', () => {
+    expect(registry.namesFor({ metrics_sources: '["b","a"]' })).toEqual(['b', 'a']);
+    process.env.METRICS_SOURCES = 'a, b';
+    expect(registry.namesFor({})).toEqual(['a', 'b']);
+    delete process.env.METRICS_SOURCES;
+    expect(registry.namesFor({})).toEqual(['techdebtgpt']);
+  });
+
+  test('merges several sources for one repository', () => {
+    expect(registry.forRepository({ metrics_sources: '["a"]' })).toBeInstanceOf(StaticSource);
+
+    const merged = registry.forRepository({ metrics_sources: '["a","b"]' });
+    expect(merged).toBeInstanceOf(MergedSource);
+    expect(merged.name).toBe('a+b');
+  });
+});
+
+describe('mergeAgents', () => {
+  test('lets the first source win and fills gaps from later ones', () => {
+    const agents = mergeAgents([
+      { agents: [{ name: 'Alice', email: 'Alice@Example.com', commits: 4, pullRequests: null }] },
+      { agents: [
+        { name: 'alice', email: 'alice@example.com', commits: 9, pullRequests: 2 },
+        { name: 'bob', email: 'bob@example.com', commits: 1 }
+      ] }
+    ]);
+
+    expect(agents).toEqual([
+      { name: 'Alice', email: 'Alice@Example.com', commits: 4, pullRequests: 2 },
+      { name: 'bob', email: 'bob@example.com', commits: 1 }
+    ]);
+  });
+});
+
+describe('MergedSource', () => {
+  test('succeeds when one source does and reports each source', async () => {
+    const merged = new MergedSource([
+      new StaticSource('down', { success: false, error: 'timeout' }),
+      new StaticSource('up', { success: true, agents: [{ name: 'alice', email: 'alice@example.com', commits: 3 }] })
+    ]);
+
+    const result = await merged.scrape();
+
+    expect(result.success).toBe(true);
+    expect(result.agents).toHaveLength(1);
+    expect(result.sources).toEqual([
+      { name: 'down', success: false, agent_count: 0, error: 'timeout' },
+      { name: 'up', success: true, agent_count: 1, error: null }
+    ]);
+  });
+
+  test('fails when every source fails', async () => {
+    const result = await new MergedSource([
+      new StaticSource('a', { success: false, error: 'no token' }),
+      new StaticSource('b', { success: false, error: 'no path' })
+    ]).scrape();
+
+    expect(result).toMatchObject({ success: false, error: 'a: no token; b: no path' });
+  });
+});
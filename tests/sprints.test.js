@@ -0,0 +1,80 @@
+const IngestionService = require('../src/backend/ingestion-service');
+const { DAY_MS, toDateString } = require('../src/backend/time-utils');
+const { ADMIN_TOKEN, startServer, scrapeResult } = require('./helpers');
+
+const daysFromNow = days => toDateString(new Date(Date.now() + days * DAY_MS));
+
+describe('/api/sprints', () => {
+  let api;
+  let repo;
+
+  const createSprint = body => api.request('POST', '/api/sprints', {
+    token: ADMIN_TOKEN,
+    body: { repo_id: repo.id, name: 'Sprint', ...body }
+  });
+  const ingest = timestamp => new IngestionService(api.db).ingest(repo.id, scrapeResult([
+    { name: 'alice', email: 'alice@example.com', commits: 4, pullRequests: 2 }
+  ], timestamp));
+
+  beforeAll(async () => {
+    api = await startServer();
+  });
+
+  beforeEach(async () => {
+    repo = await api.db.addRepository(`demo-${Date.now()}`, '/tmp/demo', null);
+  });
+
+  afterAll(() => api.close());
+
+  test('attaches snapshots recorded inside a new sprint', async () => {
+    await ingest('2026-01-06T10:00:00.000Z');
+    await ingest('2026-01-20T10:00:00.000Z');
+
+    const response = await createSprint({ name: 'Sprint 1', start_date: '2026-01-05', end_date: '2026-01-16' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ name: 'Sprint 1', status: 'active', attached: { metrics: 1, analyses: 0 } });
+    const sprint = await api.request('GET', `/api/sprints/${response.body.id}`, { token: ADMIN_TOKEN });
+    expect(sprint.body.agents).toEqual([expect.objectContaining({ email: 'alice@example.com', recorded_at: '2026-01-06 10:00:00' })]);
+  });
+
+  test('refuses overlapping sprints with 409', async () => {
+    const existing = await createSprint({ name: 'Sprint 1', start_date: '2026-01-05', end_date: '2026-01-16' });
+    const response = await createSprint({ name: 'Sprint 2', start_date: '2026-01-16', end_date: '2026-01-30' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Sprint overlaps with "Sprint 1"', overlapping_sprint_id: existing.body.id });
+    expect((await createSprint({ name: 'Sprint 2', start_date: '2026-01-17', end_date: '2026-01-30' })).status).toBe(200);
+  });
+
+  test('refuses a start_date after the end_date', async () => {
+    const response = await createSprint({ start_date: '2026-01-16', end_date: '2026-01-05' });
+
+    expect(response).toMatchObject({ status: 400, body: { error: 'start_date must not be after end_date' } });
+    expect(await api.db.getSprints(repo.id)).toEqual([]);
+  });
+
+  test('attaches new metrics and analyses to the active sprint', async () => {
+    const { body: sprint } = await createSprint({ start_date: daysFromNow(-3), end_date: daysFromNow(3) });
+
+    await ingest(new Date().toISOString());
+    const analysis = await api.request('POST', '/api/analyze', { token: ADMIN_TOKEN, body: { repo_id: repo.id } });
+
+    expect(analysis.body.sprint_id).toBe(sprint.id);
+    const response = await api.request('GET', `/api/sprints/${sprint.id}`, { token: ADMIN_TOKEN });
+    expect(response.body.agents).toEqual([expect.objectContaining({ email: 'alice@example.com', sprint_id: sprint.id })]);
+    expect(response.body.analyses.map(row => row.id)).toEqual([analysis.body.analysis_id]);
+  });
+
+  test('stops attaching metrics once the sprint is closed', async () => {
+    const { body: sprint } = await createSprint({ start_date: daysFromNow(-3), end_date: daysFromNow(3) });
+
+    const closed = await api.request('POST', `/api/sprints/${sprint.id}/close`, { token: ADMIN_TOKEN });
+    await ingest(new Date(Date.now() + 1000).toISOString());
+
+    expect(closed.body).toMatchObject({ status: 'closed' });
+    expect((await api.request('POST', `/api/sprints/${sprint.id}/close`, { token: ADMIN_TOKEN })).status).toBe(409);
+    const alice = await api.db.findAgentByAlias('alice@example.com', repo.id);
+    expect((await api.db.getAgentMetrics(alice.id)).map(row => row.sprint_id)).toEqual([null]);
+  });
+});
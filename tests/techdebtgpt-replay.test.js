@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TechDebtGPTScraper = require('../src/scraper/techdebtgpt-scraper');
+const { createDatabase } = require('./helpers');
+
+const { main } = TechDebtGPTScraper;
+
+const FIXTURES = path.join(__dirname, 'fixtures/techdebtgpt');
+
+// Saved pages as the scraper names them, so replays read the capture time
+const SAVED = {
+  'team-performance-2026-01-05T06-00-00-000Z.html': 'team-performance.html',
+  'team-performance-2026-01-12T06-00-00-000Z.html': 'team-performance-renamed.html',
+  'team-performance-2026-01-19T06-00-00-000Z.html': 'team-performance-cards.html'
+};
+
+describe('TechDebtGPT replay', () => {
+  let dir;
+
+  beforeEach(() => {
+    // Pages that fail to parse are reported on stderr
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-snapshots-'));
+    for (const [saved, fixture] of Object.entries(SAVED).reverse()) {
+      fs.copyFileSync(path.join(FIXTURES, fixture), path.join(dir, saved));
+    }
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('parses saved pages oldest first with their capture time', async () => {
+    const results = await new TechDebtGPTScraper().replay(dir);
+
+    expect(results.map(result => [path.basename(result.file), result.success, result.timestamp])).toEqual([
+      ['team-performance-2026-01-05T06-00-00-000Z.html', true, '2026-01-05T06:00:00.000Z'],
+      ['team-performance-2026-01-12T06-00-00-000Z.html', false, '2026-01-12T06:00:00.000Z'],
+      ['team-performance-2026-01-19T06-00-00-000Z.html', true, '2026-01-19T06:00:00.000Z']
+    ]);
+    expect(results[0].agents.map(agent => [agent.name, agent.pullRequests, agent.timestamp])).toEqual([
+      ['ipanov-ritech', 12, '2026-01-05T06:00:00.000Z'],
+      ['claude-agent', 3, '2026-01-05T06:00:00.000Z']
+    ]);
+    expect(results[1].error).toMatch(/^Schema mismatch/);
+    expect(results[2].agents.map(agent => agent.email)).toEqual(['ipanov@example.com', 'claude-agent@example.com']);
+  });
+
+  test('replays a single saved page', async () => {
+    const file = path.join(dir, 'team-performance-2026-01-05T06-00-00-000Z.html');
+    const [result] = await new TechDebtGPTScraper().replay(file);
+
+    expect(result).toMatchObject({ file, success: true, timestamp: '2026-01-05T06:00:00.000Z' });
+  });
+
+  test('refuses a directory without saved pages', async () => {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'html-snapshots-'));
+    try {
+      await expect(new TechDebtGPTScraper().replay(empty)).rejects.toThrow(`No .html files in ${empty}`);
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  describe('CLI with --ingest', () => {
+    let db;
+    let repo;
+
+    beforeEach(async () => {
+      db = await createDatabase();
+      repo = await db.addRepository('demo', '/tmp/demo', null);
+    });
+
+    afterEach(() => db.close());
+
+    test('ingests the parsed pages once', async () => {
+      const results = await main(['--replay', dir, '--ingest', String(repo.id)], db);
+
+      expect(results.map(result => result.ingested?.snapshots_saved)).toEqual([2, undefined, 2]);
+      const { count } = await db.get('SELECT COUNT(*) AS count FROM agent_metrics');
+      expect(count).toBe(4);
+
+      const again = await main(['--replay', dir, '--ingest', String(repo.id)], db);
+      expect(again.map(result => result.ingested?.snapshots_skipped)).toEqual([2, undefined, 2]);
+      expect((await db.get('SELECT COUNT(*) AS count FROM agent_metrics')).count).toBe(4);
+    });
+
+    test('records each page at its capture time and in the sprint running then', async () => {
+      const first = await db.addSprint(repo.id, 'Sprint 1', '2026-01-01', '2026-01-11');
+      await db.closeSprint(first.id);
+      const second = await db.addSprint(repo.id, 'Sprint 2', '2026-01-12', '2026-01-25');
+
+      await main(['--replay', dir, '--ingest', String(repo.id)], db);
+
+      const rows = await db.all(
+        `SELECT DISTINCT recorded_at, sprint_id FROM agent_metrics ORDER BY recorded_at`
+      );
+      expect(rows).toEqual([
+        { recorded_at: '2026-01-05 06:00:00', sprint_id: first.id },
+        { recorded_at: '2026-01-19 06:00:00', sprint_id: second.id }
+      ]);
+    });
+
+    test.each([['abc'], [undefined]])('rejects --ingest %p', async (arg) => {
+      const args = ['--replay', dir, '--ingest', ...(arg ? [arg] : [])];
+      await expect(main(args, db)).rejects.toThrow('Invalid repository id');
+    });
+
+    test('rejects an unknown repository', async () => {
+      await expect(main(['--replay', dir, '--ingest', '999'], db)).rejects.toThrow('Repository 999 not found');
+    });
+  });
+});